@@ -0,0 +1,715 @@
+// ============================================================================
+// ALERT TEMPLATES
+// Шаблони повідомлень (alert / escalation / market) і мовні пакети uk / ru / en.
+// Шаблон обирається для кожного чату (/prefs template, /prefs language)
+//
+// Шаблон - { parseMode: "text" | "HTML" | "MarkdownV2", alert, escalation?, market? },
+// де alert / escalation / market - масив рядків (або рядок). Відсутній вид
+// повідомлення береться з шаблону default.
+//
+// Синтаксис:
+//   {{symbol}}, {{priceChange.changePercent}} - поле даних (всі поля getWindowStats)
+//   {{t.volume}}                              - рядок мовного пакета
+//   {{fmt.totalVolume}}                       - відформатоване значення (див. buildFormatted)
+//   {{#profile}}...{{/profile}}               - лише якщо значення є (^ - якщо немає)
+// Рядок, що після рендеру порожній лише через секції, пропускається.
+// Всі підстановки екрануються під parseMode; літеральний текст шаблону
+// в MarkdownV2 / HTML автор екранує сам: \( \) \# / &lt; - validateTemplates перевіряє це рендером
+//
+// ALERT_TEMPLATES_FILE: { "templates": { "<name>": { ...шаблон } } }
+// ============================================================================
+
+const fs = require('fs');
+
+const PARSE_MODES = ['text', 'HTML', 'MarkdownV2'];
+const KINDS = ['alert', 'escalation', 'market'];
+
+const ESCAPE = {
+  text: (value) => value,
+  HTML: (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'),
+  MarkdownV2: (value) => value.replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&')
+};
+
+const LOCALES = {
+  uk: {
+    alertTitleLong: 'ЛІКВІДАЦІЯ ЛОНГІВ',
+    alertTitleShort: 'ЛІКВІДАЦІЯ ШОРТІВ',
+    sideLong: 'ЛОНГІВ',
+    sideShort: 'ШОРТІВ',
+    volume: 'Об\'єм',
+    for: 'за',
+    dominance: 'Домінування',
+    window: 'Вікно',
+    profile: 'Профіль',
+    strategy: 'Стратегія',
+    market: 'Ринок',
+    priceChange: 'Зміна ціни',
+    price: 'Ціна',
+    count: 'Кількість ліквідацій',
+    exchange: 'Біржа',
+    aggressiveVolume: 'Агресивний об\'єм',
+    sellLongs: 'Продаж (LONG ліквідації)',
+    buyShorts: 'Покупка (SHORT ліквідації)',
+    ofVolume24h: 'від 24h об\'єму',
+    ofOpenInterest: 'від OI',
+    funding: 'Фандинг',
+    volume24h: '24h об\'єм',
+    cascade: 'КАСКАД ТРИВАЄ',
+    escalationSideLong: 'ліквідації лонгів',
+    escalationSideShort: 'ліквідації шортів',
+    threshold: 'поріг',
+    growth: 'Зростання',
+    marketTitleLong: 'МАСОВА ЛІКВІДАЦІЯ ЛОНГІВ',
+    marketTitleShort: 'МАСОВА ЛІКВІДАЦІЯ ШОРТІВ',
+    coins: 'Монет',
+    regimeLongFlush: 'масова ліквідація лонгів',
+    regimeShortSqueeze: 'масова ліквідація шортів',
+    regimeNormal: 'спокійно',
+    regimeCoins: 'монет',
+    unitSec: 'сек',
+    unitMin: 'хв',
+    durationMin: 'хв',
+    durationSec: 'с'
+  },
+  ru: {
+    alertTitleLong: 'ЛИКВИДАЦИЯ ЛОНГОВ',
+    alertTitleShort: 'ЛИКВИДАЦИЯ ШОРТОВ',
+    sideLong: 'ЛОНГОВ',
+    sideShort: 'ШОРТОВ',
+    volume: 'Объем',
+    for: 'за',
+    dominance: 'Доминирование',
+    window: 'Окно',
+    profile: 'Профиль',
+    strategy: 'Стратегия',
+    market: 'Рынок',
+    priceChange: 'Изменение цены',
+    price: 'Цена',
+    count: 'Кол-во ликвидаций',
+    exchange: 'Биржа',
+    aggressiveVolume: 'Агрессивный объем',
+    sellLongs: 'Продажа (LONG ликвидации)',
+    buyShorts: 'Покупка (SHORT ликвидации)',
+    ofVolume24h: 'от 24h объема',
+    ofOpenInterest: 'от OI',
+    funding: 'Фандинг',
+    volume24h: '24h объем',
+    cascade: 'КАСКАД ПРОДОЛЖАЕТСЯ',
+    escalationSideLong: 'ликвидации лонгов',
+    escalationSideShort: 'ликвидации шортов',
+    threshold: 'порог',
+    growth: 'Рост',
+    marketTitleLong: 'МАССОВАЯ ЛИКВИДАЦИЯ ЛОНГОВ',
+    marketTitleShort: 'МАССОВАЯ ЛИКВИДАЦИЯ ШОРТОВ',
+    coins: 'Монет',
+    regimeLongFlush: 'массовая ликвидация лонгов',
+    regimeShortSqueeze: 'массовая ликвидация шортов',
+    regimeNormal: 'спокойно',
+    regimeCoins: 'монет',
+    unitSec: 'сек',
+    unitMin: 'мин',
+    durationMin: 'м',
+    durationSec: 'с'
+  },
+  en: {
+    alertTitleLong: 'LONG LIQUIDATIONS',
+    alertTitleShort: 'SHORT LIQUIDATIONS',
+    sideLong: 'LONGS',
+    sideShort: 'SHORTS',
+    volume: 'Volume',
+    for: 'in',
+    dominance: 'Dominance',
+    window: 'Window',
+    profile: 'Profile',
+    strategy: 'Strategy',
+    market: 'Market',
+    priceChange: 'Price change',
+    price: 'Price',
+    count: 'Liquidations',
+    exchange: 'Exchange',
+    aggressiveVolume: 'Aggressive volume',
+    sellLongs: 'Sell (LONG liquidations)',
+    buyShorts: 'Buy (SHORT liquidations)',
+    ofVolume24h: 'of 24h volume',
+    ofOpenInterest: 'of OI',
+    funding: 'Funding',
+    volume24h: '24h volume',
+    cascade: 'CASCADE CONTINUES',
+    escalationSideLong: 'long liquidations',
+    escalationSideShort: 'short liquidations',
+    threshold: 'threshold',
+    growth: 'Growth',
+    marketTitleLong: 'MARKET-WIDE LONG LIQUIDATIONS',
+    marketTitleShort: 'MARKET-WIDE SHORT LIQUIDATIONS',
+    coins: 'Coins',
+    regimeLongFlush: 'market-wide long liquidations',
+    regimeShortSqueeze: 'market-wide short liquidations',
+    regimeNormal: 'calm',
+    regimeCoins: 'coins',
+    unitSec: 'sec',
+    unitMin: 'min',
+    durationMin: 'm',
+    durationSec: 's'
+  }
+};
+
+const DIVIDER = '————————————————————';
+
+const BUILTIN_TEMPLATES = {
+  default: {
+    parseMode: 'text',
+    alert: [
+      '{{fmt.sideEmoji}} {{fmt.title}}',
+      '{{t.volume}}: {{fmt.totalVolume}} ({{t.for}} {{fmt.duration}})',
+      '{{t.dominance}}: {{fmt.dominance}}% {{fmt.side}}',
+      DIVIDER,
+      '🔥 {{symbol}} #{{fmt.cleanSymbol}}',
+      '⏱️ {{t.window}}: {{fmt.window}}',
+      '{{#profile}}🏷️ {{t.profile}}: {{profile}}{{/profile}}',
+      '{{#strategy}}🎯 {{t.strategy}}: {{fmt.strategy}}{{/strategy}}',
+      '{{#marketRegime}}🌐 {{t.market}}: {{fmt.regime}}{{/marketRegime}}',
+      '{{#priceChange}}{{fmt.priceEmoji}} {{t.priceChange}}: {{fmt.priceChange}}{{/priceChange}}',
+      '{{#priceChange}}💵 {{t.price}}: {{fmt.oldPrice}} → {{fmt.newPrice}}{{/priceChange}}',
+      '📊 {{t.count}}: {{count}}',
+      '{{#fmt.relative}}📐 {{fmt.relative}}{{/fmt.relative}}',
+      '{{#fmt.funding}}💸 {{t.funding}}: {{fmt.funding}}{{/fmt.funding}}',
+      '{{#fmt.openInterest}}📦 OI: {{fmt.openInterest}}{{#fmt.oiChange}} ({{fmt.oiChange}} {{t.for}} {{fmt.oiChangeWindow}}){{/fmt.oiChange}}{{/fmt.openInterest}}',
+      '{{#fmt.tokenStats}}💹 {{fmt.tokenStats}}{{/fmt.tokenStats}}',
+      '{{#exchanges}}🏦 {{t.exchange}}: {{fmt.exchanges}}{{/exchanges}}',
+      '💥 {{t.aggressiveVolume}}:',
+      '   🔴 {{t.sellLongs}}: {{fmt.longVolume}}',
+      '   🟢 {{t.buyShorts}}: {{fmt.shortVolume}}'
+    ],
+    escalation: [
+      '📈 {{t.cascade}} x{{level}}',
+      '{{fmt.sideEmoji}} {{symbol}} #{{fmt.cleanSymbol}}: {{fmt.side}}',
+      '{{t.volume}}: {{fmt.initialVolume}} → {{fmt.cumulativeVolume}} ({{t.threshold}} {{fmt.threshold}})',
+      '{{t.growth}}: +{{fmt.growth}} {{t.for}} {{fmt.elapsed}}',
+      '{{#strategy}}🎯 {{t.strategy}}: {{strategy}}{{/strategy}}'
+    ],
+    market: [
+      '🌐{{fmt.sideEmoji}} {{fmt.title}}',
+      '{{t.volume}}: {{fmt.dominantVolume}} {{t.for}} {{fmt.duration}}',
+      '{{t.dominance}}: {{fmt.dominance}}% | {{t.coins}}: {{breadth}}',
+      DIVIDER,
+      '{{#fmt.topSymbols}}{{fmt.topSymbols}}{{/fmt.topSymbols}}'
+    ]
+  },
+  compact: {
+    parseMode: 'text',
+    alert: [
+      '{{fmt.sideEmoji}} {{symbol}} {{fmt.totalVolume}} ({{fmt.dominance}}% {{fmt.side}}, {{fmt.window}})' +
+        '{{#priceChange}} {{fmt.priceChange}}{{/priceChange}}{{#strategy}} [{{fmt.strategy}}]{{/strategy}}'
+    ],
+    escalation: [
+      '📈 {{symbol}} x{{level}}: {{fmt.initialVolume}} → {{fmt.cumulativeVolume}} ({{fmt.elapsed}})'
+    ],
+    market: [
+      '🌐{{fmt.sideEmoji}} {{fmt.title}}: {{fmt.dominantVolume}}, {{breadth}} {{t.regimeCoins}}'
+    ]
+  },
+  html: {
+    parseMode: 'HTML',
+    alert: [
+      '{{fmt.sideEmoji}} <b>{{fmt.title}}</b>',
+      '{{t.volume}}: <b>{{fmt.totalVolume}}</b> ({{t.for}} {{fmt.duration}})',
+      '{{t.dominance}}: <b>{{fmt.dominance}}%</b> {{fmt.side}}',
+      DIVIDER,
+      '🔥 <b>{{symbol}}</b> #{{fmt.cleanSymbol}}',
+      '⏱️ {{t.window}}: {{fmt.window}}',
+      '{{#profile}}🏷️ {{t.profile}}: {{profile}}{{/profile}}',
+      '{{#strategy}}🎯 {{t.strategy}}: <i>{{fmt.strategy}}</i>{{/strategy}}',
+      '{{#marketRegime}}🌐 {{t.market}}: {{fmt.regime}}{{/marketRegime}}',
+      '{{#priceChange}}{{fmt.priceEmoji}} {{t.priceChange}}: <b>{{fmt.priceChange}}</b>{{/priceChange}}',
+      '{{#priceChange}}💵 {{t.price}}: <code>{{fmt.oldPrice}}</code> → <code>{{fmt.newPrice}}</code>{{/priceChange}}',
+      '📊 {{t.count}}: {{count}}',
+      '{{#fmt.relative}}📐 {{fmt.relative}}{{/fmt.relative}}',
+      '{{#fmt.funding}}💸 {{t.funding}}: <b>{{fmt.funding}}</b>{{/fmt.funding}}',
+      '{{#fmt.openInterest}}📦 OI: {{fmt.openInterest}}{{#fmt.oiChange}} (<b>{{fmt.oiChange}}</b> {{t.for}} {{fmt.oiChangeWindow}}){{/fmt.oiChange}}{{/fmt.openInterest}}',
+      '{{#fmt.tokenStats}}💹 {{fmt.tokenStats}}{{/fmt.tokenStats}}',
+      '{{#exchanges}}🏦 {{t.exchange}}: {{fmt.exchanges}}{{/exchanges}}',
+      '💥 {{t.aggressiveVolume}}:',
+      '   🔴 {{t.sellLongs}}: {{fmt.longVolume}}',
+      '   🟢 {{t.buyShorts}}: {{fmt.shortVolume}}'
+    ]
+  },
+  markdown: {
+    parseMode: 'MarkdownV2',
+    alert: [
+      '{{fmt.sideEmoji}} *{{fmt.title}}*',
+      '{{t.volume}}: *{{fmt.totalVolume}}* \\({{t.for}} {{fmt.duration}}\\)',
+      '{{t.dominance}}: *{{fmt.dominance}}%* {{fmt.side}}',
+      DIVIDER,
+      '🔥 *{{symbol}}* \\#{{fmt.cleanSymbol}}',
+      '⏱️ {{t.window}}: {{fmt.window}}',
+      '{{#profile}}🏷️ {{t.profile}}: {{profile}}{{/profile}}',
+      '{{#strategy}}🎯 {{t.strategy}}: _{{fmt.strategy}}_{{/strategy}}',
+      '{{#marketRegime}}🌐 {{t.market}}: {{fmt.regime}}{{/marketRegime}}',
+      '{{#priceChange}}{{fmt.priceEmoji}} {{t.priceChange}}: *{{fmt.priceChange}}*{{/priceChange}}',
+      '{{#priceChange}}💵 {{t.price}}: `{{fmt.oldPrice}}` → `{{fmt.newPrice}}`{{/priceChange}}',
+      '📊 {{t.count}}: {{count}}',
+      '{{#fmt.relative}}📐 {{fmt.relative}}{{/fmt.relative}}',
+      '{{#fmt.funding}}💸 {{t.funding}}: *{{fmt.funding}}*{{/fmt.funding}}',
+      '{{#fmt.openInterest}}📦 OI: {{fmt.openInterest}}{{#fmt.oiChange}} \\(*{{fmt.oiChange}}* {{t.for}} {{fmt.oiChangeWindow}}\\){{/fmt.oiChange}}{{/fmt.openInterest}}',
+      '{{#fmt.tokenStats}}💹 {{fmt.tokenStats}}{{/fmt.tokenStats}}',
+      '{{#exchanges}}🏦 {{t.exchange}}: {{fmt.exchanges}}{{/exchanges}}',
+      '💥 {{t.aggressiveVolume}}:',
+      '   🔴 {{t.sellLongs}}: {{fmt.longVolume}}',
+      '   🟢 {{t.buyShorts}}: {{fmt.shortVolume}}'
+    ]
+  }
+};
+
+// ============================================================================
+// ФОРМАТУВАННЯ ЗНАЧЕНЬ
+// ============================================================================
+
+function formatVolume(usd) {
+  if (usd >= 1_000_000) {
+    return `${(usd / 1_000_000).toFixed(2)}M`;
+  }
+  return `${(usd / 1_000).toFixed(0)}K`;
+}
+
+/**
+ * OI, 24h об'єм і MCAP бувають мільярдними
+ */
+function formatLargeVolume(usd) {
+  if (usd >= 1_000_000_000) {
+    return `${(usd / 1_000_000_000).toFixed(2)}B`;
+  }
+  return formatVolume(usd);
+}
+
+function formatSignedPercent(value, digits = 2) {
+  return `${value >= 0 ? '+' : ''}${value.toFixed(digits)}%`;
+}
+
+function formatPrice(price) {
+  if (price >= 100) return price.toFixed(2);
+  if (price >= 1) return price.toFixed(4);
+  return price.toPrecision(4);
+}
+
+function formatWindow(seconds, t) {
+  return seconds < 60 ? `${Math.round(seconds)} ${t.unitSec}` : `${Math.floor(seconds / 60)} ${t.unitMin}`;
+}
+
+function formatDuration(seconds, t) {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}${t.durationMin} ${secs}${t.durationSec}`;
+}
+
+function formatRegime(snapshot, t) {
+  const volume = `${formatVolume(snapshot.totalVolumeUSD)} ${t.for} ${Math.round(snapshot.windowSec / 60)} ${t.unitMin}`;
+  switch (snapshot.regime) {
+    case 'LONG_FLUSH':
+      return `${t.regimeLongFlush} (${volume}, ${snapshot.breadth} ${t.regimeCoins})`;
+    case 'SHORT_SQUEEZE':
+      return `${t.regimeShortSqueeze} (${volume}, ${snapshot.breadth} ${t.regimeCoins})`;
+    default:
+      return `${t.regimeNormal} (${volume})`;
+  }
+}
+
+function formatRelative(relative, t) {
+  if (!relative) return '';
+
+  const parts = [];
+  if (relative.volumeRatioPercent !== null) {
+    parts.push(`${relative.volumeRatioPercent.toFixed(2)}% ${t.ofVolume24h}`);
+  }
+  if (relative.oiRatioPercent !== null) {
+    parts.push(`${relative.oiRatioPercent.toFixed(2)}% ${t.ofOpenInterest}`);
+  }
+  if (relative.zScore !== null) {
+    parts.push(`z=${relative.zScore.toFixed(1)}`);
+  }
+  return parts.join(' | ');
+}
+
+/**
+ * fmt.* - готові до показу значення для виду повідомлення
+ */
+function buildFormatted(kind, data, t) {
+  const isLong = (kind === 'escalation' ? data.side : data.dominantSide) === 'LONG';
+  const common = {
+    sideEmoji: isLong ? '🌊' : '🔥',
+    cleanSymbol: data.symbol ? data.symbol.replace('USDT', '') : ''
+  };
+
+  if (kind === 'escalation') {
+    return {
+      ...common,
+      side: isLong ? t.escalationSideLong : t.escalationSideShort,
+      initialVolume: formatVolume(data.initialVolumeUSD),
+      cumulativeVolume: formatVolume(data.cumulativeUSD),
+      threshold: formatVolume(data.thresholdUSD),
+      growth: formatVolume(data.cumulativeUSD - data.initialVolumeUSD),
+      elapsed: formatDuration(data.elapsedSec, t)
+    };
+  }
+
+  if (kind === 'market') {
+    return {
+      ...common,
+      title: isLong ? t.marketTitleLong : t.marketTitleShort,
+      side: isLong ? t.sideLong : t.sideShort,
+      dominantVolume: formatVolume(isLong ? data.longVolumeUSD : data.shortVolumeUSD),
+      totalVolume: formatVolume(data.totalVolumeUSD),
+      dominance: data.dominance.toFixed(1),
+      duration: formatDuration(data.windowSec, t),
+      topSymbols: data.topSymbols.map(({ symbol, volumeUSD }) => `• ${symbol} ${formatVolume(volumeUSD)}`).join('\n')
+    };
+  }
+
+  const priceChange = data.priceChange;
+  const exchanges = data.exchanges || [];
+  // Funding / OI / 24h об'єм / MCAP (AlertEngine.buildContext); null - немає даних
+  const context = data.context || {};
+  const has = (value) => value !== null && value !== undefined;
+  const tokenStats = [
+    has(context.volume24h) ? `${t.volume24h}: ${formatLargeVolume(context.volume24h)}` : null,
+    has(context.mcap) ? `MCAP: ${formatLargeVolume(context.mcap)}` : null
+  ].filter(Boolean);
+
+  return {
+    ...common,
+    title: isLong ? t.alertTitleLong : t.alertTitleShort,
+    side: isLong ? t.sideLong : t.sideShort,
+    totalVolume: formatVolume(data.totalVolumeUSD),
+    longVolume: formatVolume(data.longVolumeUSD),
+    shortVolume: formatVolume(data.shortVolumeUSD),
+    dominantVolume: formatVolume(isLong ? data.longVolumeUSD : data.shortVolumeUSD),
+    dominance: data.dominance.toFixed(1),
+    duration: formatDuration(data.durationSec, t),
+    // Яке з вікон агрегації спрацювало
+    window: formatWindow(data.windowSec !== undefined ? data.windowSec : data.durationSec, t),
+    strategy: data.strategyTag || data.strategy || '',
+    regime: data.marketRegime ? formatRegime(data.marketRegime, t) : '',
+    priceEmoji: priceChange && priceChange.changePercent < 0 ? '📉' : '📈',
+    priceChange: priceChange ? formatSignedPercent(priceChange.changePercent) : '',
+    oldPrice: priceChange ? formatPrice(priceChange.oldPrice) : '',
+    newPrice: priceChange ? formatPrice(priceChange.newPrice) : '',
+    relative: formatRelative(data.relative, t),
+    funding: has(context.fundingRatePercent) ? formatSignedPercent(context.fundingRatePercent, 4) : '',
+    openInterest: has(context.openInterestUSD) ? formatLargeVolume(context.openInterestUSD) : '',
+    oiChange: has(context.oiChangePercent) ? formatSignedPercent(context.oiChangePercent) : '',
+    oiChangeWindow: has(context.oiChangeSec) ? formatWindow(context.oiChangeSec, t) : '',
+    tokenStats: tokenStats.join(' | '),
+    exchanges: exchanges
+      .map(exchange => exchanges.length > 1
+        ? `${exchange} ${formatVolume(data.volumeByExchange[exchange])}`
+        : exchange)
+      .join(' | ')
+  };
+}
+
+// ============================================================================
+// РЕНДЕР
+// ============================================================================
+
+const SECTION = /\{\{([#^])([\w.]+)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+const VARIABLE = /\{\{([\w.]+)\}\}/g;
+
+function lookup(vars, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), vars);
+}
+
+function isPresent(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== null && value !== undefined && value !== '' && value !== false;
+}
+
+function renderSections(text, vars) {
+  return text.replace(SECTION, (match, type, path, inner) =>
+    isPresent(lookup(vars, path)) === (type === '#') ? renderSections(inner, vars) : ''
+  );
+}
+
+function renderLine(line, vars, escape) {
+  return renderSections(line, vars).replace(VARIABLE, (match, path) => {
+    const value = lookup(vars, path);
+    if (value === null || value === undefined) return '';
+    return escape(Array.isArray(value) ? value.join(', ') : String(value));
+  });
+}
+
+function renderLines(lines, vars, escape) {
+  const source = Array.isArray(lines) ? lines : lines.split('\n');
+  return source
+    .map(line => ({ line, text: renderLine(line, vars, escape) }))
+    .filter(({ line, text }) => text.trim() !== '' || !/\{\{[#^]/.test(line))
+    .map(({ text }) => text)
+    .join('\n');
+}
+
+// ============================================================================
+// ПЕРЕВІРКА ШАБЛОНІВ
+// ============================================================================
+
+// Повні дані кожного виду (як getWindowStats / ескалація / знімок ринку);
+// рендер ще й з мінімальними, щоб перевірити секції {{^...}}
+const SAMPLE_DATA = {
+  alert: {
+    symbol: '1000PEPEUSDT',
+    longVolumeUSD: 1_250_000.5,
+    shortVolumeUSD: 48_000,
+    totalVolumeUSD: 1_298_000.5,
+    dominantSide: 'LONG',
+    dominance: 96.3,
+    longDominance: 96.3,
+    shortDominance: 3.7,
+    count: 42,
+    durationSec: 95.5,
+    windowSec: 120,
+    timestamp: 1_700_000_000_000,
+    priceChange: { changePercent: -3.21, duration: 90, oldPrice: 0.001234, newPrice: 0.001194, dataPoints: 12, source: 'mark' },
+    exchanges: ['BINANCE', 'MEXC'],
+    volumeByExchange: { BINANCE: 1_000_000, MEXC: 298_000.5 },
+    exchangeSymbols: { BINANCE: '1000PEPEUSDT', MEXC: 'PEPE_USDT' },
+    profile: 'memes_tier-2',
+    relative: { volumeRatioPercent: 1.25, oiRatioPercent: 0.5, zScore: 4.2 },
+    strategy: 'cascade.v2',
+    marketRegime: { regime: 'LONG_FLUSH', totalVolumeUSD: 25_000_000, windowSec: 300, breadth: 12 },
+    context: {
+      fundingRatePercent: -0.0125,
+      openInterestUSD: 150_000_000,
+      oiChangePercent: -2.5,
+      oiChangeSec: 600,
+      volume24h: 900_000_000,
+      mcap: 4_000_000_000
+    }
+  },
+  escalation: {
+    symbol: '1000PEPEUSDT',
+    strategy: 'cascade.v2',
+    profile: 'memes_tier-2',
+    side: 'LONG',
+    thresholdUSD: 1_000_000,
+    initialVolumeUSD: 1_250_000.5,
+    cumulativeUSD: 3_100_000,
+    level: 3,
+    elapsedSec: 75
+  },
+  market: {
+    regime: 'LONG_FLUSH',
+    longVolumeUSD: 25_000_000,
+    shortVolumeUSD: 1_000_000.5,
+    totalVolumeUSD: 26_000_000.5,
+    dominantSide: 'LONG',
+    dominance: 96.2,
+    breadth: 12,
+    topSymbols: [{ symbol: '1000PEPEUSDT', volumeUSD: 5_000_000 }, { symbol: 'BTCUSDT', volumeUSD: 4_000_000.5 }],
+    windowSec: 300,
+    timestamp: 1_700_000_000_000
+  }
+};
+
+const MINIMAL_DATA = {
+  alert: {
+    ...SAMPLE_DATA.alert,
+    priceChange: null,
+    exchanges: [],
+    profile: null,
+    relative: null,
+    strategy: null,
+    marketRegime: null,
+    context: null
+  },
+  escalation: { ...SAMPLE_DATA.escalation, strategy: null, profile: null },
+  market: { ...SAMPLE_DATA.market, topSymbols: [] }
+};
+
+// Символи, які в MarkdownV2 поза розміткою мають бути екрановані
+const MARKDOWN_RESERVED = /[[\]()>#+\-=|{}.!]/g;
+const MARKDOWN_PAIRED = ['*', '_', '~', '`'];
+
+const HTML_TAGS = ['b', 'strong', 'i', 'em', 'u', 'ins', 's', 'strike', 'del', 'span', 'tg-spoiler', 'a', 'code', 'pre', 'blockquote', 'tg-emoji'];
+
+/**
+ * Помилки літерального тексту MarkdownV2 (підстановки вже прибрані)
+ */
+function checkMarkdownV2(text) {
+  const errors = [];
+  const unescaped = text.replace(/\\[\s\S]/g, '');
+
+  for (const char of MARKDOWN_PAIRED) {
+    if (unescaped.split(char).length % 2 === 0) {
+      errors.push(`незакрита розмітка "${char}"`);
+    }
+  }
+
+  const plain = unescaped
+    .replace(/`[^`]*`/g, '')
+    .replace(/\[([^\]]*)\]\(([^)]*)\)/g, '$1')
+    .replace(/\|\|/g, '')
+    .replace(/^>/gm, '');
+  const reserved = [...new Set(plain.match(MARKDOWN_RESERVED) || [])];
+  if (reserved.length > 0) {
+    errors.push(`неекрановані символи ${reserved.join(' ')} (потрібно \\${reserved[0]})`);
+  }
+
+  return errors;
+}
+
+/**
+ * Помилки літерального тексту HTML: невідомі / незакриті теги, сирі < > &
+ */
+function checkHtml(text) {
+  const errors = [];
+  const open = [];
+  const tag = /<(\/?)([a-z-]+)(?:\s[^<>]*)?>/gi;
+  let match;
+
+  while ((match = tag.exec(text)) !== null) {
+    const name = match[2].toLowerCase();
+    if (!HTML_TAGS.includes(name)) {
+      errors.push(`тег <${name}> не підтримується Telegram`);
+    } else if (!match[1]) {
+      open.push(name);
+    } else if (open.pop() !== name) {
+      errors.push(`тег </${name}> без відповідного <${name}>`);
+    }
+  }
+  if (open.length > 0) {
+    errors.push(`незакриті теги: ${open.map(name => `<${name}>`).join(', ')}`);
+  }
+
+  const plain = text.replace(tag, '');
+  if (/[<>]/.test(plain)) {
+    errors.push('неекрановані < або > (потрібно &lt; / &gt;)');
+  }
+  if (/&(?!(?:lt|gt|amp|quot|#\d+|#x[0-9a-f]+);)/i.test(plain)) {
+    errors.push('неекранований & (потрібно &amp;)');
+  }
+
+  return errors;
+}
+
+const LITERAL_CHECKS = { MarkdownV2: checkMarkdownV2, HTML: checkHtml };
+
+/**
+ * Рендер шаблону на прикладі даних: підстановки екрануються самі,
+ * тому перевіряється лише літеральний текст (підстановки - порожні)
+ */
+function checkRendered(kind, lines, parseMode) {
+  const t = LOCALES.ru;
+  const errors = [];
+
+  for (const data of [SAMPLE_DATA[kind], MINIMAL_DATA[kind]]) {
+    const vars = { ...data, t, fmt: buildFormatted(kind, data, t) };
+    let literal;
+    try {
+      renderLines(lines, vars, ESCAPE[parseMode]);
+      literal = renderLines(lines, vars, () => '');
+    } catch (error) {
+      return [`помилка рендеру: ${error.message}`];
+    }
+
+    const check = LITERAL_CHECKS[parseMode];
+    for (const error of check ? check(literal) : []) {
+      if (!errors.includes(error)) errors.push(error);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Перевірка шаблонів з файлу; помилки з назвою шаблону і поля
+ */
+function validateTemplates(raw) {
+  const errors = [];
+  const templates = raw && typeof raw.templates === 'object' && !Array.isArray(raw.templates) ? raw.templates : null;
+
+  if (!templates) {
+    return ['templates: очікується об\'єкт { назва: шаблон }'];
+  }
+
+  for (const [name, template] of Object.entries(templates)) {
+    if (!PARSE_MODES.includes(template.parseMode)) {
+      errors.push(`${name}.parseMode: одне з ${PARSE_MODES.join(', ')}`);
+    }
+
+    const kinds = KINDS.filter(kind => template[kind] !== undefined);
+    if (kinds.length === 0) {
+      errors.push(`${name}: потрібен хоча б один з ${KINDS.join(', ')}`);
+    }
+
+    for (const kind of kinds) {
+      const lines = template[kind];
+      const valid = typeof lines === 'string' ||
+        (Array.isArray(lines) && lines.every(line => typeof line === 'string'));
+      if (!valid) {
+        errors.push(`${name}.${kind}: очікується рядок або масив рядків`);
+        continue;
+      }
+
+      // Незакриті секції
+      const text = Array.isArray(lines) ? lines.join('\n') : lines;
+      const opened = (text.match(/\{\{[#^][\w.]+\}\}/g) || []).length;
+      const closed = (text.match(/\{\{\/[\w.]+\}\}/g) || []).length;
+      if (opened !== closed) {
+        errors.push(`${name}.${kind}: відкритих секцій ${opened}, закритих ${closed}`);
+        continue;
+      }
+
+      if (PARSE_MODES.includes(template.parseMode)) {
+        for (const error of checkRendered(kind, lines, template.parseMode)) {
+          errors.push(`${name}.${kind}: ${error}`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+class AlertTemplates {
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.templates = { ...BUILTIN_TEMPLATES };
+  }
+
+  /**
+   * Шаблони з файлу доповнюють / перекривають вбудовані; при помилці кидає
+   */
+  load() {
+    if (!this.filePath) return;
+
+    const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    const errors = validateTemplates(raw);
+    if (errors.length > 0) {
+      throw new Error(`Некоректні шаблони в ${this.filePath}:\n  ${errors.join('\n  ')}`);
+    }
+
+    Object.assign(this.templates, raw.templates);
+    console.log(`[TEMPLATES] ✅ Шаблони: ${Object.keys(this.templates).join(', ')}`);
+  }
+
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.templates, name);
+  }
+
+  getNames() {
+    return Object.keys(this.templates);
+  }
+
+  /**
+   * { text, parseMode } - parseMode для Telegram (null = звичайний текст)
+   */
+  render(kind, data, { template = 'default', language = 'ru' } = {}) {
+    const selected = this.has(template) ? this.templates[template] : this.templates.default;
+    const source = selected[kind] !== undefined ? selected : this.templates.default;
+    const t = LOCALES[language] || LOCALES.ru;
+
+    const vars = { ...data, t, fmt: buildFormatted(kind, data, t) };
+    const text = renderLines(source[kind], vars, ESCAPE[source.parseMode]);
+
+    return { text, parseMode: source.parseMode === 'text' ? null : source.parseMode };
+  }
+}
+
+module.exports = { AlertTemplates, validateTemplates };
@@ -0,0 +1,222 @@
+// ============================================================================
+// CHAT PREFERENCES
+// Налаштування кожного чату поверх спільного потоку алертів: мін. об'єм,
+// сторони, власний watchlist / blacklist символів, тихі години, мова і шаблон.
+// Зберігаються в JSON файл (CHAT_PREFERENCES_FILE), змінюються через /prefs
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+
+const PREFERENCES_VERSION = 1;
+const LANGUAGES = ['uk', 'ru', 'en'];
+const SIDES = ['LONG', 'SHORT'];
+
+const DEFAULTS = {
+  minVolumeUSD: null,   // null - без власного порогу
+  sides: SIDES,
+  watchlist: [],        // непорожній - лише ці символи
+  blacklist: [],
+  quietHours: null,     // "23:00-07:00" у timezone чату
+  timezone: 'UTC',
+  language: 'ru',
+  template: 'default'   // див. alert-templates.js
+};
+
+/**
+ * "23:00-07:00" -> { from, to } у хвилинах від півночі або null
+ */
+function parseQuietHours(text) {
+  const match = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/.exec(text || '');
+  if (!match) return null;
+
+  const [fromHour, fromMinute, toHour, toMinute] = match.slice(1).map(Number);
+  if (fromHour > 23 || toHour > 23 || fromMinute > 59 || toMinute > 59) return null;
+
+  return { from: fromHour * 60 + fromMinute, to: toHour * 60 + toMinute };
+}
+
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function minutesInTimezone(timestamp, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(timestamp));
+  const get = (type) => parseInt(parts.find(part => part.type === type).value);
+  return get('hour') * 60 + get('minute');
+}
+
+/**
+ * Перевірка одного поля; кидає з описом для відповіді в Telegram
+ */
+function validatePreference(key, value) {
+  switch (key) {
+    case 'minVolumeUSD':
+      if (value !== null && !(Number.isFinite(value) && value >= 0)) {
+        throw new Error('Мін. об\'єм має бути числом >= 0');
+      }
+      return;
+    case 'sides':
+      if (!Array.isArray(value) || value.length === 0 || value.some(side => !SIDES.includes(side))) {
+        throw new Error(`Сторони: ${SIDES.join(', ')}`);
+      }
+      return;
+    case 'watchlist':
+    case 'blacklist':
+      if (!Array.isArray(value) || value.some(symbol => typeof symbol !== 'string')) {
+        throw new Error(`${key}: очікується список символів`);
+      }
+      return;
+    case 'quietHours':
+      if (value !== null && !parseQuietHours(value)) {
+        throw new Error('Тихі години у форматі HH:MM-HH:MM (приклад: 23:00-07:00)');
+      }
+      return;
+    case 'timezone':
+      if (typeof value !== 'string' || !isValidTimezone(value)) {
+        throw new Error(`Невідомий часовий пояс: ${value} (приклад: Europe/Kyiv)`);
+      }
+      return;
+    case 'language':
+      if (!LANGUAGES.includes(value)) {
+        throw new Error(`Мова: ${LANGUAGES.join(', ')}`);
+      }
+      return;
+    case 'template':
+      if (typeof value !== 'string' || !value) {
+        throw new Error('Потрібна назва шаблону');
+      }
+      return;
+    default:
+      throw new Error(`Невідоме налаштування: ${key}`);
+  }
+}
+
+class ChatPreferences {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.defaults = { ...DEFAULTS, ...options.defaults };
+    this.clock = options.clock || { now: () => Date.now() };
+    this.chats = new Map(); // chatId -> лише змінені поля
+  }
+
+  /**
+   * Некоректні поля з файлу пропускаються з попередженням
+   */
+  load() {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[PREFS] Помилка читання налаштувань чатів:', error.message);
+      }
+      return;
+    }
+
+    if (raw.version !== PREFERENCES_VERSION) {
+      console.error(`[PREFS] Несумісна версія налаштувань (${raw.version}), ігноруємо`);
+      return;
+    }
+
+    for (const [chatId, stored] of Object.entries(raw.chats || {})) {
+      const prefs = {};
+      for (const [key, value] of Object.entries(stored)) {
+        try {
+          validatePreference(key, value);
+          prefs[key] = value;
+        } catch (error) {
+          console.warn(`[PREFS] ⚠️ Чат ${chatId}: ${error.message}`);
+        }
+      }
+      this.chats.set(chatId, prefs);
+    }
+
+    console.log(`[PREFS] ✅ Налаштування ${this.chats.size} чатів`);
+  }
+
+  save() {
+    const snapshot = {
+      version: PREFERENCES_VERSION,
+      chats: Object.fromEntries(this.chats)
+    };
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(snapshot, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  get(chatId) {
+    return { ...this.defaults, ...this.chats.get(String(chatId)) };
+  }
+
+  /**
+   * Валідація і збереження; повертає нові налаштування чату
+   */
+  update(chatId, changes) {
+    for (const [key, value] of Object.entries(changes)) {
+      validatePreference(key, value);
+    }
+
+    const key = String(chatId);
+    this.chats.set(key, { ...this.chats.get(key), ...changes });
+    this.save();
+    return this.get(key);
+  }
+
+  reset(chatId) {
+    this.chats.delete(String(chatId));
+    this.save();
+  }
+
+  isQuiet(prefs, timestamp = this.clock.now()) {
+    const range = parseQuietHours(prefs.quietHours);
+    if (!range) return false;
+
+    const minutes = minutesInTimezone(timestamp, prefs.timezone);
+    return range.from <= range.to
+      ? minutes >= range.from && minutes < range.to
+      : minutes >= range.from || minutes < range.to;
+  }
+
+  /**
+   * message: { symbol?, side?, volumeUSD? } - відсутні атрибути не фільтруються
+   * (ринковий алерт не має символу); тихі години діють на всі алерти.
+   * 'match' - чат отримує повідомлення, 'volume' - бракує лише мін. об'єму
+   * (вікно ще може дорости до порогу чату), 'skip' - відфільтровано
+   */
+  evaluate(chatId, message) {
+    const prefs = this.get(chatId);
+
+    if (this.isQuiet(prefs)) return 'skip';
+    if (message.side !== undefined && !prefs.sides.includes(message.side)) return 'skip';
+
+    if (message.symbol !== undefined) {
+      if (prefs.blacklist.includes(message.symbol)) return 'skip';
+      if (prefs.watchlist.length > 0 && !prefs.watchlist.includes(message.symbol)) return 'skip';
+    }
+
+    if (message.volumeUSD !== undefined && prefs.minVolumeUSD !== null && message.volumeUSD < prefs.minVolumeUSD) {
+      return 'volume';
+    }
+
+    return 'match';
+  }
+
+  matches(chatId, message) {
+    return this.evaluate(chatId, message) === 'match';
+  }
+}
+
+module.exports = { ChatPreferences, parseQuietHours, LANGUAGES };
@@ -0,0 +1,88 @@
+// ============================================================================
+// ESCALATION TRACKER
+// Каскад, що продовжується після алерту: поки діє cooldown, рахуємо
+// ліквідації тієї ж сторони і повідомляємо при кожному наступному кратному порогу
+// ============================================================================
+
+class EscalationTracker {
+  constructor(options = {}) {
+    this.clock = options.clock || { now: () => Date.now() };
+    this.episodes = new Map(); // ключ cooldown -> епізод
+  }
+
+  /**
+   * Новий епізод після алерту (замінює попередній з тим самим ключем)
+   * thresholdUSD - поріг об'єму, що діяв для алерту (SignalDetector.getVolumeThresholdUSD)
+   * messageRefs - [{ chatId, messageId }] відправленого алерту, для reply
+   */
+  open(key, stats, thresholdUSD, durationMs, messageRefs = []) {
+    if (!(thresholdUSD > 0)) return;
+
+    const dominantVolumeUSD = stats.dominantSide === 'LONG' ? stats.longVolumeUSD : stats.shortVolumeUSD;
+    const now = this.clock.now();
+
+    this.episodes.set(key, {
+      key,
+      symbol: stats.symbol,
+      strategy: stats.strategy || null,
+      profile: stats.profile || null,
+      side: stats.dominantSide,
+      thresholdUSD,
+      initialVolumeUSD: dominantVolumeUSD,
+      cumulativeUSD: dominantVolumeUSD,
+      level: Math.max(1, Math.floor(dominantVolumeUSD / thresholdUSD)),
+      // Ліквідації до цього моменту вже увійшли в алерт
+      since: stats.timestamp,
+      openedAt: now,
+      expiresAt: now + durationMs,
+      messageRefs
+    });
+  }
+
+  /**
+   * Досилання алерту іншим чатам - їхні повідомлення теж отримують reply
+   */
+  addMessageRefs(key, messageRefs) {
+    const episode = this.episodes.get(key);
+    if (episode) {
+      episode.messageRefs = [...episode.messageRefs, ...messageRefs];
+    }
+  }
+
+  observe(symbol, liquidation) {
+    for (const episode of this.episodes.values()) {
+      if (episode.symbol !== symbol || episode.side !== liquidation.side) continue;
+      if (liquidation.timestamp <= episode.since) continue;
+      episode.cumulativeUSD += liquidation.volumeUSD;
+    }
+  }
+
+  /**
+   * Епізоди, що перетнули наступне кратне порогу; прострочені видаляються
+   */
+  collectDue() {
+    const now = this.clock.now();
+    const due = [];
+
+    for (const [key, episode] of this.episodes.entries()) {
+      if (now >= episode.expiresAt) {
+        this.episodes.delete(key);
+        continue;
+      }
+
+      const level = Math.floor(episode.cumulativeUSD / episode.thresholdUSD);
+      if (level > episode.level) {
+        episode.level = level;
+        due.push({ ...episode, elapsedSec: (now - episode.openedAt) / 1000 });
+      }
+    }
+
+    return due;
+  }
+
+  get activeCount() {
+    return this.episodes.size;
+  }
+}
+
+module.exports = { EscalationTracker };
@@ -0,0 +1,543 @@
+// ============================================================================
+// EXCHANGE SOURCES MODULE
+// Джерела ліквідацій з різних бірж (Binance, MEXC)
+// Кожне джерело нормалізує події до єдиного формату:
+// { exchange, symbol, side, price, quantity, volumeUSD, timestamp, receivedAt }
+// timestamp - час події на біржі, receivedAt - локальний час отримання
+// ============================================================================
+
+const WebSocket = require('ws');
+const { httpsGet } = require('./market-data-providers');
+
+/**
+ * Нормалізація символу контракту до формату BTCUSDT
+ * BTC_USDT -> BTCUSDT, btc-usdt -> BTCUSDT
+ */
+function normalizeSymbol(symbol) {
+  if (!symbol) return null;
+  return String(symbol).toUpperCase().replace(/[_\-/]/g, '');
+}
+
+// ============================================================================
+// БАЗОВЕ ДЖЕРЕЛО (життєвий цикл WebSocket)
+// ============================================================================
+
+class ExchangeSource {
+  constructor(name, url, options = {}) {
+    this.name = name;
+    this.url = url;
+    this.onLiquidation = options.onLiquidation || (() => {});
+    this.onStatusChange = options.onStatusChange || (() => {});
+    this.clock = options.clock || { now: () => Date.now() };
+    this.ws = null;
+    this.reconnectAttempts = 0;
+    this.reconnectBaseDelay = options.reconnectBaseDelay || 1000;
+    this.reconnectMaxDelay = options.reconnectMaxDelay || 60_000;
+    this.reconnectTimer = null;
+    // Backoff скидається лише після першого повідомлення або стабільного з'єднання:
+    // сервер, що приймає і одразу рве з'єднання, не отримує реконекти кожну секунду
+    this.stableConnectionMs = options.stableConnectionMs || 30_000;
+    this.stableTimer = null;
+    this.heartbeatIntervalMs = options.heartbeatIntervalMs || 20_000;
+    this.staleTimeoutMs = options.staleTimeoutMs || 60_000;
+    this.heartbeatTimer = null;
+    // Binance рве з'єднання через 24 год - перепідключаємось заздалегідь
+    this.maxConnectionAgeMs = options.maxConnectionAgeMs || 23 * 60 * 60 * 1000;
+    this.rotationTimer = null;
+    this.isRotating = false;
+    this.disconnectAlertMs = options.disconnectAlertMs || 120_000;
+    this.disconnectAlertTimer = null;
+    this.disconnectedAt = null;
+    this.disconnectAlertSent = false;
+    this.lastFrameAt = null;
+    this.lastMessageAt = null;
+    this.isConnected = false;
+    this.isClosed = false;
+    this.receivedCount = 0;
+    this.clockSkewMs = null; // EWMA (локальний час - час біржі)
+    this.maxClockSkewMs = 0;
+  }
+
+  connect() {
+    this.isClosed = false;
+    console.log(`[WS:${this.name}] Підключення до ${this.url}...`);
+
+    const ws = new WebSocket(this.url);
+    this.ws = ws;
+
+    ws.on('open', () => {
+      console.log(`[WS:${this.name}] ✅ Підключено`);
+      this.isConnected = true;
+      this.stableTimer = setTimeout(() => this.resetBackoff(), this.stableConnectionMs);
+      this.lastFrameAt = this.clock.now();
+      this.startHeartbeat();
+      this.scheduleRotation();
+      this.markConnected();
+      this.onOpen();
+    });
+
+    ws.on('message', (data) => {
+      this.lastFrameAt = this.clock.now();
+      this.lastMessageAt = this.lastFrameAt;
+      this.resetBackoff();
+      this.handleMessage(data);
+    });
+
+    ws.on('pong', () => {
+      this.lastFrameAt = this.clock.now();
+    });
+
+    ws.on('error', (error) => {
+      console.error(`[WS:${this.name}] Помилка:`, error.message);
+    });
+
+    ws.on('close', () => {
+      // Подія від старого сокета після ротації/реконекту
+      if (ws !== this.ws) return;
+
+      console.log(`[WS:${this.name}] З'єднання закрито`);
+      this.isConnected = false;
+      this.stopTimers();
+      this.onClose();
+
+      if (this.isClosed) return;
+
+      if (this.isRotating) {
+        this.isRotating = false;
+        this.connect();
+        return;
+      }
+
+      this.markDisconnected();
+      this.reconnect();
+    });
+  }
+
+  /**
+   * Ping кожні N секунд; якщо жодного кадру (повідомлення чи pong) - з'єднання мертве
+   */
+  startHeartbeat() {
+    this.heartbeatTimer = setInterval(() => {
+      const silenceMs = this.clock.now() - this.lastFrameAt;
+      if (silenceMs > this.staleTimeoutMs) {
+        console.error(`[WS:${this.name}] ⚠️ Немає даних ${(silenceMs / 1000).toFixed(0)}с - перепідключення`);
+        this.ws.terminate();
+        return;
+      }
+
+      if (this.ws.readyState === WebSocket.OPEN) {
+        this.ws.ping();
+      }
+    }, this.heartbeatIntervalMs);
+  }
+
+  scheduleRotation() {
+    this.rotationTimer = setTimeout(() => {
+      console.log(`[WS:${this.name}] 🔄 Планова ротація з'єднання (ліміт 24 год)`);
+      this.isRotating = true;
+      this.ws.close();
+    }, this.maxConnectionAgeMs);
+  }
+
+  resetBackoff() {
+    if (this.stableTimer) {
+      clearTimeout(this.stableTimer);
+      this.stableTimer = null;
+    }
+    this.reconnectAttempts = 0;
+  }
+
+  stopTimers() {
+    if (this.stableTimer) {
+      clearTimeout(this.stableTimer);
+      this.stableTimer = null;
+    }
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+    if (this.rotationTimer) {
+      clearTimeout(this.rotationTimer);
+      this.rotationTimer = null;
+    }
+  }
+
+  markDisconnected() {
+    if (this.disconnectedAt !== null) return;
+
+    this.disconnectedAt = this.clock.now();
+    this.disconnectAlertTimer = setTimeout(() => {
+      this.disconnectAlertSent = true;
+      this.onStatusChange({ source: this.name, status: 'down', downtimeMs: this.clock.now() - this.disconnectedAt });
+    }, this.disconnectAlertMs);
+  }
+
+  markConnected() {
+    if (this.disconnectAlertTimer) {
+      clearTimeout(this.disconnectAlertTimer);
+      this.disconnectAlertTimer = null;
+    }
+
+    if (this.disconnectAlertSent) {
+      this.onStatusChange({ source: this.name, status: 'up', downtimeMs: this.clock.now() - this.disconnectedAt });
+    }
+
+    this.disconnectedAt = null;
+    this.disconnectAlertSent = false;
+  }
+
+  /**
+   * Довідкові дані біржі перед першим підключенням
+   */
+  async prepare() {}
+
+  /**
+   * Хук для підписок після підключення
+   */
+  onOpen() {}
+
+  onClose() {}
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return;
+    }
+
+    let events;
+    try {
+      events = this.parseMessage(message);
+    } catch (error) {
+      // Мовчки ігноруємо некоректні повідомлення
+      return;
+    }
+
+    const receivedAt = this.clock.now();
+
+    for (const event of events) {
+      if (!event || !event.symbol || !Number.isFinite(event.volumeUSD)) continue;
+
+      // Без часу біржі - використовуємо час отримання
+      if (!Number.isFinite(event.timestamp)) {
+        event.timestamp = receivedAt;
+      }
+      event.receivedAt = receivedAt;
+      this.updateClockSkew(receivedAt - event.timestamp);
+
+      this.receivedCount++;
+      // Помилка споживача не повинна зламати обробку сокета
+      try {
+        this.onLiquidation(event);
+      } catch (error) {
+        console.error(`[WS:${this.name}] Помилка обробки ліквідації ${event.symbol}:`, error.message);
+      }
+    }
+  }
+
+  updateClockSkew(skewMs) {
+    this.clockSkewMs = this.clockSkewMs === null
+      ? skewMs
+      : this.clockSkewMs * 0.9 + skewMs * 0.1;
+    this.maxClockSkewMs = Math.max(this.maxClockSkewMs, Math.abs(skewMs));
+  }
+
+  /**
+   * Парсинг сирого повідомлення біржі -> масив нормалізованих подій
+   */
+  parseMessage(message) {
+    return [];
+  }
+
+  send(payload) {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify(payload));
+    }
+  }
+
+  /**
+   * Експоненційний backoff з jitter, без ліміту спроб
+   */
+  getReconnectDelay() {
+    const exponential = this.reconnectBaseDelay * Math.pow(2, Math.min(this.reconnectAttempts, 16));
+    const capped = Math.min(this.reconnectMaxDelay, exponential);
+    return Math.round(capped * (0.5 + Math.random() * 0.5));
+  }
+
+  reconnect() {
+    const delay = this.getReconnectDelay();
+    this.reconnectAttempts++;
+    console.log(`[WS:${this.name}] Переподключення через ${(delay / 1000).toFixed(1)}с (спроба ${this.reconnectAttempts})`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  close() {
+    this.isClosed = true;
+    this.stopTimers();
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.disconnectAlertTimer) {
+      clearTimeout(this.disconnectAlertTimer);
+      this.disconnectAlertTimer = null;
+    }
+    if (this.ws) {
+      this.ws.close();
+    }
+  }
+}
+
+// ============================================================================
+// BINANCE FUTURES (!forceOrder@arr)
+// ============================================================================
+
+class BinanceSource extends ExchangeSource {
+  constructor(url, options = {}) {
+    super('BINANCE', url, options);
+  }
+
+  parseMessage(message) {
+    if (!message.o) return [];
+
+    const order = message.o;
+    // BUY = примусове закриття шорта
+    const side = order.S === 'BUY' ? 'SHORT' : 'LONG';
+    const price = parseFloat(order.p);
+    const quantity = parseFloat(order.q);
+
+    return [{
+      exchange: this.name,
+      symbol: normalizeSymbol(order.s),
+      side,
+      price,
+      quantity,
+      volumeUSD: price * quantity,
+      // T - час угоди, E - час події
+      timestamp: parseInt(order.T) || parseInt(message.E) || null
+    }];
+  }
+}
+
+// ============================================================================
+// MEXC CONTRACT
+// Публічний канал ліквідацій MEXC не задокументований стабільно,
+// тому назва каналу конфігурується (MEXC_LIQUIDATION_CHANNEL).
+// Об'єм у контрактах: розмір контракту з /api/v1/contract/detail,
+// без нього подія відкидається
+// ============================================================================
+
+class MexcSource extends ExchangeSource {
+  constructor(url, options = {}) {
+    super('MEXC', url, options);
+    this.channel = options.channel || 'liquidation';
+    this.contractDetailUrl = options.contractDetailUrl || 'https://contract.mexc.com/api/v1/contract/detail';
+    this.contractRefreshMs = options.contractRefreshMs || 2 * 60 * 60 * 1000;
+    // Підміна HTTP в тестах
+    this.fetchJson = options.fetchJson || ((url) => httpsGet(url, { retries: 1 }));
+    this.contractSizes = new Map(Object.entries(options.contractSizes || {})); // BTC_USDT -> 0.0001
+    this.contractRefreshTimer = null;
+    this.missingSizes = new Set(); // символи без розміру контракту (лог один раз)
+    this.droppedCount = 0;
+    this.appPingIntervalMs = options.appPingIntervalMs || 15000;
+    this.pingTimer = null;
+  }
+
+  /**
+   * Розміри контрактів при старті і далі разом з оновленням списку токенів
+   */
+  async prepare() {
+    await this.loadContractSizes();
+
+    if (!this.contractRefreshTimer) {
+      this.contractRefreshTimer = setInterval(() => this.loadContractSizes(), this.contractRefreshMs);
+    }
+  }
+
+  /**
+   * При помилці лишаються попередні розміри
+   */
+  async loadContractSizes() {
+    try {
+      const response = await this.fetchJson(this.contractDetailUrl);
+      const contracts = Array.isArray(response.data) ? response.data : [];
+      const sizes = new Map();
+
+      for (const contract of contracts) {
+        const size = parseFloat(contract.contractSize);
+        if (contract.symbol && Number.isFinite(size) && size > 0) {
+          sizes.set(contract.symbol, size);
+        }
+      }
+
+      if (sizes.size === 0) {
+        throw new Error('порожній список контрактів');
+      }
+
+      this.contractSizes = sizes;
+      this.missingSizes.clear();
+      console.log(`[WS:${this.name}] Розміри контрактів: ${sizes.size}`);
+    } catch (error) {
+      console.error(
+        `[WS:${this.name}] Помилка завантаження розмірів контрактів, ` +
+        `лишаємо ${this.contractSizes.size}:`, error.message
+      );
+    }
+  }
+
+  onOpen() {
+    this.send({ method: `sub.${this.channel}`, param: {} });
+
+    // MEXC закриває з'єднання без ping кожні ~20с
+    this.pingTimer = setInterval(() => {
+      this.send({ method: 'ping' });
+    }, this.appPingIntervalMs);
+  }
+
+  onClose() {
+    if (this.pingTimer) {
+      clearInterval(this.pingTimer);
+      this.pingTimer = null;
+    }
+  }
+
+  close() {
+    if (this.contractRefreshTimer) {
+      clearInterval(this.contractRefreshTimer);
+      this.contractRefreshTimer = null;
+    }
+    super.close();
+  }
+
+  parseMessage(message) {
+    if (message.channel !== `push.${this.channel}` || !message.data) return [];
+
+    const items = Array.isArray(message.data) ? message.data : [message.data];
+    return items.map(item => this.parseItem(item, message));
+  }
+
+  /**
+   * Формат елемента: { symbol, p, v, T, t }
+   * T: 1 = buy (закриття шорта), 2 = sell (закриття лонга)
+   * v: кількість контрактів; null, якщо розмір контракту невідомий
+   */
+  parseItem(item, message) {
+    const rawSymbol = item.symbol || message.symbol;
+    const contractSize = this.contractSizes.get(rawSymbol);
+
+    if (!contractSize) {
+      this.droppedCount++;
+      if (!this.missingSizes.has(rawSymbol)) {
+        this.missingSizes.add(rawSymbol);
+        console.warn(`[WS:${this.name}] Невідомий розмір контракту ${rawSymbol}, події відкидаються`);
+      }
+      return null;
+    }
+
+    const price = parseFloat(item.p);
+    const contracts = parseFloat(item.v);
+    const quantity = contracts * contractSize;
+
+    return {
+      exchange: this.name,
+      symbol: normalizeSymbol(rawSymbol),
+      exchangeSymbol: rawSymbol,
+      side: Number(item.T) === 1 ? 'SHORT' : 'LONG',
+      price,
+      quantity,
+      volumeUSD: price * quantity,
+      timestamp: parseInt(item.t) || parseInt(message.ts) || null
+    };
+  }
+}
+
+// ============================================================================
+// BINANCE MARK PRICE (!markPrice@arr@1s)
+// Ринкова ціна для всіх контрактів раз на секунду
+// ============================================================================
+
+class BinanceMarkPriceSource extends ExchangeSource {
+  constructor(url, options = {}) {
+    super('BINANCE-MARK', url, options);
+    this.onPrice = options.onPrice || (() => {});
+  }
+
+  handleMessage(data) {
+    let updates;
+    try {
+      updates = JSON.parse(data);
+    } catch (error) {
+      return;
+    }
+
+    if (!Array.isArray(updates)) return;
+
+    const receivedAt = this.clock.now();
+
+    for (const update of updates) {
+      if (update.e !== 'markPriceUpdate') continue;
+
+      const price = parseFloat(update.p);
+      if (!Number.isFinite(price) || price <= 0) continue;
+
+      const timestamp = parseInt(update.E) || receivedAt;
+      this.updateClockSkew(receivedAt - timestamp);
+      this.receivedCount++;
+
+      const symbol = normalizeSymbol(update.s);
+      // Як і для ліквідацій: помилка споживача не ламає обробку сокета
+      try {
+        this.onPrice({ symbol, price, fundingRate: parseFloat(update.r), timestamp });
+      } catch (error) {
+        console.error(`[WS:${this.name}] Помилка обробки mark price ${symbol}:`, error.message);
+      }
+    }
+  }
+}
+
+/**
+ * Створення джерел за списком назв бірж
+ */
+function createExchangeSources(exchanges, config, onLiquidation, onStatusChange) {
+  const sources = [];
+  const common = {
+    onLiquidation,
+    onStatusChange,
+    disconnectAlertMs: config.WS_DISCONNECT_ALERT_SEC * 1000
+  };
+
+  for (const name of exchanges) {
+    switch (name.toLowerCase()) {
+      case 'binance':
+        sources.push(new BinanceSource(config.BINANCE_WS, common));
+        break;
+      case 'mexc':
+        sources.push(new MexcSource(config.MEXC_WS, {
+          ...common,
+          channel: config.MEXC_LIQUIDATION_CHANNEL,
+          contractDetailUrl: config.MEXC_CONTRACT_DETAIL_URL,
+          // Разом з оновленням списку токенів
+          contractRefreshMs: config.FILTER_CONFIG.UPDATE_INTERVAL_HOURS * 60 * 60 * 1000
+        }));
+        break;
+      default:
+        console.error(`[WS] Невідома біржа: ${name}`);
+    }
+  }
+
+  return sources;
+}
+
+module.exports = {
+  ExchangeSource,
+  BinanceSource,
+  MexcSource,
+  BinanceMarkPriceSource,
+  createExchangeSources,
+  normalizeSymbol
+};
@@ -0,0 +1,119 @@
+// ============================================================================
+// FILTER VERDICT
+// Результат SignalDetector.shouldAlert: кожне правило зі значенням,
+// порогом і pass/fail - одне джерело для [SKIP], [DEBUG] і near-miss дайджесту
+// ============================================================================
+
+const COMPARE = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+};
+
+// Оператор, що описує невдалу перевірку
+const NEGATED = { '>': '<=', '>=': '<', '<': '>=', '<=': '>', '==': '!=', '!=': '==' };
+
+/**
+ * op: '>=' (значення має бути не менше порогу), '<=', '>', '<', '==', '!='
+ * unit: 'usd' | 'percent' | 'number' | 'text'
+ * field: поле статистики вікна (назва з FIELDS rule-engine) або null
+ */
+function createRule(name, value, threshold, op, unit, field = null) {
+  const known = unit === 'text'
+    ? typeof value === 'string'
+    : value !== null && value !== undefined && Number.isFinite(value);
+  const pass = known && COMPARE[op](value, threshold);
+  return { name, value: known ? value : null, threshold, op, unit, field, pass };
+}
+
+function formatValue(value, unit) {
+  if (value === null) return 'n/a';
+  switch (unit) {
+    case 'usd':
+      return Math.abs(value) >= 1e6 ? `${(value / 1e6).toFixed(2)}M` : `${(value / 1000).toFixed(0)}K`;
+    case 'percent':
+      return `${value.toFixed(2)}%`;
+    case 'text':
+      return value;
+    default:
+      return value.toFixed(2);
+  }
+}
+
+/**
+ * Правило для вузла not: назва описує стан вкладених умов,
+ * "not(count 25>=20)"; значення і порогу немає
+ */
+function createNegation(rules, pass) {
+  return {
+    name: `not(${rules.map(formatRule).join(', ')})`,
+    value: null,
+    threshold: null,
+    op: 'not',
+    unit: 'text',
+    field: null,
+    pass
+  };
+}
+
+/**
+ * "dominance 58.00%<65.00%" - для невдалого правила оператор інвертується
+ */
+function formatRule(rule) {
+  if (rule.op === 'not') return rule.name;
+  const op = rule.pass ? rule.op : NEGATED[rule.op];
+  return `${rule.name} ${formatValue(rule.value, rule.unit)}${op}${formatValue(rule.threshold, rule.unit)}`;
+}
+
+function formatFailedRules(verdict) {
+  return verdict.failed.map(formatRule).join(', ');
+}
+
+// Поля об'єму в порядку пріоритету: загальний, відносні режими, по сторонах
+const VOLUME_FIELDS = [
+  'totalVolumeUSD',
+  'relative.volumeRatioPercent',
+  'relative.oiRatioPercent',
+  'relative.zScore',
+  'dominantVolumeUSD',
+  'longVolumeUSD',
+  'shortVolumeUSD',
+];
+
+/**
+ * Частка основного порогу об'єму, яку досягло вікно. Правило шукається за полем,
+ * а не за позицією: у стратегії першою може бути dominance чи count;
+ * без поля - перша нижня межа в USD
+ */
+function getVolumeProgress(verdict) {
+  const lowerBounds = verdict.rules.filter(rule =>
+    (rule.op === '>=' || rule.op === '>') && rule.threshold > 0);
+  const rule = VOLUME_FIELDS
+    .map(field => lowerBounds.find(candidate => candidate.field === field))
+    .find(Boolean) || lowerBounds.find(candidate => candidate.unit === 'usd');
+
+  if (!rule || rule.value === null) return 0;
+  return rule.value / rule.threshold;
+}
+
+/**
+ * Near miss: не більше maxFailed невдалих правил, і кожне в межах tolerance від порогу
+ */
+function isNearMiss(verdict, maxFailed, tolerance) {
+  if (verdict.pass || verdict.failed.length === 0 || verdict.failed.length > maxFailed) {
+    return false;
+  }
+
+  return verdict.failed.every(rule => {
+    if (rule.value === null || rule.unit === 'text') return false;
+    const margin = Math.abs(rule.threshold) * tolerance;
+    if (rule.op === '>=' || rule.op === '>') return rule.value >= rule.threshold - margin;
+    if (rule.op === '<=' || rule.op === '<') return rule.value <= rule.threshold + margin;
+    return false;
+  });
+}
+
+module.exports = { createRule, createNegation, formatRule, formatFailedRules, getVolumeProgress, isNearMiss };
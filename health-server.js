@@ -0,0 +1,183 @@
+// ============================================================================
+// HEALTH SERVER
+// HTTP: /healthz (стан), /metrics (Prometheus), /windows (активні вікна)
+// ============================================================================
+
+const http = require('http');
+
+class HealthServer {
+  /**
+   * ctx: { wsManager, tokenFilter, aggregator, alertEngine, notifier }
+   */
+  constructor(ctx, options = {}) {
+    this.ctx = ctx;
+    this.port = options.port;
+    this.maxMessageAgeSec = options.maxMessageAgeSec || 300;
+    this.server = null;
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    this.server.on('error', (error) => {
+      console.error('[HTTP] Помилка сервера:', error.message);
+    });
+    this.server.listen(this.port, () => {
+      console.log(`[HTTP] ✅ Health/metrics на порту ${this.server.address().port}`);
+    });
+  }
+
+  handleRequest(req, res) {
+    const url = req.url.split('?')[0];
+
+    try {
+      switch (url) {
+        case '/healthz': {
+          const health = this.getHealth();
+          this.sendJson(res, health.ok ? 200 : 503, health);
+          break;
+        }
+        case '/metrics':
+          res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+          res.end(this.getMetrics());
+          break;
+        case '/windows':
+          this.sendJson(res, 200, this.getWindows());
+          break;
+        default:
+          this.sendJson(res, 404, { error: 'Not found' });
+      }
+    } catch (error) {
+      console.error(`[HTTP] Помилка обробки ${url}:`, error.message);
+      this.sendJson(res, 500, { error: error.message });
+    }
+  }
+
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  getLastMessageAgeSec() {
+    const lastMessageAt = Math.max(0, ...this.ctx.wsManager.sources.map(s => s.lastMessageAt || 0));
+    return lastMessageAt > 0 ? (Date.now() - lastMessageAt) / 1000 : null;
+  }
+
+  getHealth() {
+    const { wsManager, tokenFilter } = this.ctx;
+    const filterStats = tokenFilter.getStats();
+    const lastMessageAgeSec = this.getLastMessageAgeSec();
+    const tokenFilterAgeSec = filterStats.dataSource
+      ? (Date.now() - filterStats.dataSource.fetchedAt) / 1000
+      : null;
+
+    const wsConnected = wsManager.isConnected;
+    const messagesFresh = lastMessageAgeSec !== null && lastMessageAgeSec < this.maxMessageAgeSec;
+
+    return {
+      ok: wsConnected && messagesFresh && filterStats.total > 0,
+      wsConnected,
+      lastMessageAgeSec,
+      tokenFilter: {
+        validTokens: filterStats.total,
+        ageSec: tokenFilterAgeSec,
+        fromSnapshot: filterStats.dataSource ? filterStats.dataSource.fromSnapshot : null
+      },
+      exchanges: wsManager.getStats().byExchange
+    };
+  }
+
+  getMetrics() {
+    const { wsManager, tokenFilter, aggregator, alertEngine, notifier } = this.ctx;
+    const wsStats = wsManager.getStats();
+    const filterStats = tokenFilter.getStats();
+    const aggregatorStats = aggregator.getStats();
+    const lines = [];
+
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${name} ${help}`);
+      lines.push(`# TYPE ${name} ${type}`);
+      for (const [labels, value] of samples) {
+        if (value === null || value === undefined || !Number.isFinite(value)) continue;
+        lines.push(`${name}${labels} ${value}`);
+      }
+    };
+
+    const byExchange = Object.entries(wsStats.byExchange);
+    const label = (exchange) => `{exchange="${exchange}"}`;
+
+    metric('liquidation_bot_events_processed_total', 'counter', 'Liquidation events received from all exchanges',
+      [['', wsStats.processed]]);
+    metric('liquidation_bot_events_filtered_total', 'counter', 'Liquidation events rejected by the token filter',
+      [['', wsStats.filtered]]);
+    metric('liquidation_bot_events_late_dropped_total', 'counter', 'Liquidation events older than the aggregation window',
+      [['', aggregatorStats.lateDropped]]);
+    metric('liquidation_bot_events_future_dropped_total', 'counter', 'Liquidation events timestamped too far in the future',
+      [['', aggregatorStats.futureDropped]]);
+    metric('liquidation_bot_alerts_sent_total', 'counter', 'Alerts sent',
+      [['', alertEngine.alertsSent]]);
+    metric('liquidation_bot_escalations_sent_total', 'counter', 'Follow-up alerts for growing cascades',
+      [['', alertEngine.escalationsSent]]);
+    const telegram = notifier.getChannel('telegram');
+    metric('liquidation_bot_telegram_errors_total', 'counter', 'Failed Telegram sendMessage calls',
+      [['', telegram ? telegram.errorCount : 0]]);
+    if (telegram) {
+      metric('liquidation_bot_telegram_queue_pending', 'gauge', 'Messages waiting in the Telegram delivery queue',
+        [['', telegram.queue.pending]]);
+      metric('liquidation_bot_telegram_retries_total', 'counter', 'Telegram sends retried after 429 or transient errors',
+        [['', telegram.queue.retryCount]]);
+    }
+    metric('liquidation_bot_notifier_errors_total', 'counter', 'Failed deliveries per notification channel',
+      notifier.channels.map(channel => [`{channel="${channel.name}"}`, channel.errorCount]));
+    metric('liquidation_bot_active_windows', 'gauge', 'Symbols with an open aggregation window',
+      [['', aggregatorStats.activeWindows]]);
+    metric('liquidation_bot_valid_tokens', 'gauge', 'Tokens passing the MCAP/volume filter',
+      [['', filterStats.total]]);
+    metric('liquidation_bot_ws_connected', 'gauge', 'WebSocket connection state (1 = connected)',
+      byExchange.map(([name, info]) => [label(name), info.connected ? 1 : 0]));
+    metric('liquidation_bot_ws_messages_total', 'counter', 'Liquidation events parsed per exchange',
+      byExchange.map(([name, info]) => [label(name), info.received]));
+    metric('liquidation_bot_ws_last_message_age_seconds', 'gauge', 'Seconds since the last WebSocket message',
+      byExchange.map(([name, info]) => [label(name), info.lastMessageAt ? (Date.now() - info.lastMessageAt) / 1000 : null]));
+    metric('liquidation_bot_ws_clock_skew_ms', 'gauge', 'Smoothed local time minus exchange event time',
+      byExchange.map(([name, info]) => [label(name), info.clockSkewMs]));
+
+    metric('liquidation_bot_market_alerts_sent_total', 'counter', 'Market-wide flush alerts',
+      [['', alertEngine.marketAlertsSent]]);
+
+    if (alertEngine.marketRegime) {
+      const market = alertEngine.marketRegime.getSnapshot();
+      metric('liquidation_bot_market_liquidations_usd', 'gauge', 'Liquidation volume across all symbols in the regime window',
+        [['{side="LONG"}', market.longVolumeUSD], ['{side="SHORT"}', market.shortVolumeUSD]]);
+      metric('liquidation_bot_market_liquidated_symbols', 'gauge', 'Symbols with liquidations in the regime window',
+        [['{side="LONG"}', market.longSymbols], ['{side="SHORT"}', market.shortSymbols]]);
+    }
+
+    if (filterStats.dataSource) {
+      metric('liquidation_bot_token_filter_age_seconds', 'gauge', 'Age of market data used by the token filter',
+        [['', (Date.now() - filterStats.dataSource.fetchedAt) / 1000]]);
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Лише читання: getWindowStats зсуває і чистить вікна, а запит моніторингу
+   * не має впливати на детекцію
+   */
+  getWindows() {
+    const { aggregator } = this.ctx;
+    return aggregator.getAllActiveSymbols()
+      .map(symbol => aggregator.peekWindowStats(symbol))
+      .filter(Boolean)
+      .sort((a, b) => b.totalVolumeUSD - a.totalVolumeUSD);
+  }
+
+  stop() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+}
+
+module.exports = { HealthServer };
@@ -9,9 +9,26 @@ if (process.env.NODE_ENV !== 'production') {
   require('dotenv').config();
 }
 
-const WebSocket = require('ws');
 const TelegramBot = require('node-telegram-bot-api');
 const { TokenFilter } = require('./token-filter');
+const { createExchangeSources, BinanceMarkPriceSource } = require('./exchange-sources');
+const { TelegramCommandHandler } = require('./telegram-commands');
+const { LiquidationRecorder } = require('./liquidation-recorder');
+const { OutcomeTracker } = require('./outcome-tracker');
+const { StateStore } = require('./state-store');
+const { HealthServer } = require('./health-server');
+const { ThresholdProfiles } = require('./threshold-profiles');
+const { MarketContextClient, getTradeLinks } = require('./market-context');
+const { RelativeVolumeCalculator } = require('./relative-volume');
+const { createRule, formatFailedRules, getVolumeProgress, isNearMiss } = require('./filter-verdict');
+const { NearMissDigest } = require('./near-miss-digest');
+const { RuleEngine } = require('./rule-engine');
+const { EscalationTracker } = require('./escalation-tracker');
+const { MarketRegimeDetector } = require('./market-regime');
+const { CompositeNotifier, createNotifierChannels } = require('./notifiers');
+const { TelegramDeliveryQueue } = require('./telegram-queue');
+const { ChatPreferences } = require('./chat-preferences');
+const { AlertTemplates } = require('./alert-templates');
 
 // ============================================================================
 // КОНФІГУРАЦІЯ
@@ -19,7 +36,16 @@ const { TokenFilter } = require('./token-filter');
 
 const CONFIG = {
   // WebSocket
-  BINANCE_WS: 'wss://fstream.binance.com/ws/!forceOrder@arr',
+  EXCHANGES: (process.env.EXCHANGES || 'binance').split(',').map(e => e.trim()).filter(Boolean),
+  BINANCE_WS: process.env.BINANCE_WS_URL || 'wss://fstream.binance.com/ws/!forceOrder@arr',
+  MEXC_WS: process.env.MEXC_WS_URL || 'wss://contract.mexc.com/edge',
+  MEXC_LIQUIDATION_CHANNEL: process.env.MEXC_LIQUIDATION_CHANNEL || 'liquidation',
+  MEXC_CONTRACT_DETAIL_URL: process.env.MEXC_CONTRACT_DETAIL_URL || 'https://contract.mexc.com/api/v1/contract/detail',
+  WS_DISCONNECT_ALERT_SEC: parseInt(process.env.WS_DISCONNECT_ALERT_SEC) || 120,
+  MARK_PRICE_FEED: process.env.MARK_PRICE_FEED !== 'false',
+  BINANCE_MARK_PRICE_WS: process.env.BINANCE_MARK_PRICE_WS_URL || 'wss://fstream.binance.com/ws/!markPrice@arr@1s',
+  // Mark price старший за це - символ знову рахується по цінах ліквідацій
+  MARK_PRICE_TTL_SEC: parseInt(process.env.MARK_PRICE_TTL_SEC) || 30,
   
   // Пороги алертів
   MIN_LIQUIDATION_USD: parseInt(process.env.MIN_LIQUIDATION_USD) || 1_000_000,
@@ -32,6 +58,36 @@ const CONFIG = {
   
   // Часове вікно агрегації ліквідацій
   AGGREGATION_WINDOW_SEC: parseInt(process.env.AGGREGATION_WINDOW_SEC) || 180,
+  // Додаткові вікна паралельно з основним, напр. "60,900" (1 хв - різкі сплески, 15 хв - повільні)
+  AGGREGATION_EXTRA_WINDOWS_SEC: process.env.AGGREGATION_EXTRA_WINDOWS_SEC
+    ? process.env.AGGREGATION_EXTRA_WINDOWS_SEC.split(',').map(s => parseInt(s)).filter(s => s > 0)
+    : [],
+  
+  // Допустима затримка подій біржі (час події vs локальний час)
+  MAX_EVENT_LATENESS_SEC: parseInt(process.env.MAX_EVENT_LATENESS_SEC) || 5,
+  // Подія з часом далі в майбутньому (збій годинника біржі) відкидається
+  MAX_EVENT_LEAD_SEC: parseInt(process.env.MAX_EVENT_LEAD_SEC) || 10,
+  
+  // Режим порогу об'єму:
+  //   absolute     - MIN_LIQUIDATION_USD
+  //   volume_ratio - % від 24h volume монети (MIN_VOLUME_RATIO_PERCENT)
+  //   oi_ratio     - % від open interest (MIN_OI_RATIO_PERCENT)
+  //   zscore       - z-score проти власної історії ліквідацій (MIN_ZSCORE)
+  DETECTOR_MODE: process.env.DETECTOR_MODE || 'absolute',
+  MIN_VOLUME_RATIO_PERCENT: parseFloat(process.env.MIN_VOLUME_RATIO_PERCENT) || 1.0,
+  MIN_OI_RATIO_PERCENT: parseFloat(process.env.MIN_OI_RATIO_PERCENT) || 2.0,
+  MIN_ZSCORE: parseFloat(process.env.MIN_ZSCORE) || 4.0,
+  // Мінімальний об'єм домінуючої сторони у відносних режимах
+  MIN_RELATIVE_USD: parseInt(process.env.MIN_RELATIVE_USD) || 50_000,
+  // Домінуюча сторона >= MIN_LIQUIDATION_USD * DOMINANT_SIDE_FACTOR
+  DOMINANT_SIDE_FACTOR: parseFloat(process.env.DOMINANT_SIDE_FACTOR) || 0.8,
+  BASELINE_HOURS: parseInt(process.env.BASELINE_HOURS) || 24,
+  
+  // Декларативні стратегії алертів (замість вбудованих фільтрів)
+  ALERT_RULES_FILE: process.env.ALERT_RULES_FILE || null,
+  
+  // Профілі порогів по тірах (JSON файл, див. threshold-profiles.js)
+  THRESHOLD_PROFILES_FILE: process.env.THRESHOLD_PROFILES_FILE,
   
   // Anti-spam
   COOLDOWN_MINUTES: parseInt(process.env.COOLDOWN_MINUTES) || 20,
@@ -47,35 +103,224 @@ const CONFIG = {
     MIN_VOLUME_24H: parseInt(process.env.MIN_VOLUME_24H) || 20_000_000,      // 🆕 20M
     MAX_VOLUME_24H: parseInt(process.env.MAX_VOLUME_24H) || 200_000_000,     // 🆕 200M
     UPDATE_INTERVAL_HOURS: parseInt(process.env.FILTER_UPDATE_HOURS) || 2,
+    PROVIDERS: (process.env.MARKET_DATA_PROVIDERS || 'coingecko').split(',').map(p => p.trim()).filter(Boolean),
+    COINGECKO_PAGES: parseInt(process.env.COINGECKO_PAGES) || 5,
+    CMC_API_KEY: process.env.CMC_API_KEY,
+    STATIC_TOKENS_FILE: process.env.STATIC_TOKENS_FILE,
+    SNAPSHOT_FILE: process.env.TOKEN_SNAPSHOT_FILE || './data/token-snapshot.json',
+    SYMBOL_OVERRIDES_FILE: process.env.SYMBOL_OVERRIDES_FILE,
+    WATCHLIST: process.env.WATCHLIST
+      ? process.env.WATCHLIST.split(',').map(s => s.trim().toUpperCase()).filter(Boolean)
+      : [],
   },
   
+  // Запис сирих ліквідацій
+  RECORDER: {
+    ENABLED: process.env.RECORD_LIQUIDATIONS === 'true',
+    DIR: process.env.RECORD_DIR || './data/liquidations',
+    FORMAT: process.env.RECORD_FORMAT || 'jsonl', // jsonl | csv
+    RETENTION_DAYS: parseInt(process.env.RECORD_RETENTION_DAYS) || 30,
+  },
+  
+  // Відстеження результатів алертів
+  OUTCOMES: {
+    ENABLED: process.env.OUTCOME_TRACKING !== 'false',
+    HORIZONS_MIN: process.env.OUTCOME_HORIZONS_MIN
+      ? process.env.OUTCOME_HORIZONS_MIN.split(',').map(m => parseInt(m)).filter(m => m > 0)
+      : [5, 15, 60, 240],
+    FILE: process.env.OUTCOME_FILE || './data/outcomes.jsonl',
+    // Щоденний звіт у всі канали - лише якщо явно увімкнено
+    DAILY_REPORT: process.env.OUTCOME_DAILY_REPORT === 'true',
+    REPORT_HOUR_UTC: process.env.OUTCOME_REPORT_HOUR_UTC !== undefined
+      ? parseInt(process.env.OUTCOME_REPORT_HOUR_UTC)
+      : 0,
+  },
+  
+  // Повідомлення про ріст каскаду під час cooldown (кожне наступне кратне порогу)
+  ESCALATION_ALERTS: process.env.ESCALATION_ALERTS !== 'false',
+  
+  // Ринкові flush'і: сумарні ліквідації по всіх символах (включно з відфільтрованими)
+  MARKET_REGIME: {
+    ENABLED: process.env.MARKET_REGIME_ALERTS !== 'false',
+    WINDOW_SEC: parseInt(process.env.MARKET_REGIME_WINDOW_SEC) || 300,
+    MIN_VOLUME_USD: parseInt(process.env.MARKET_REGIME_MIN_USD) || 20_000_000,
+    MIN_SYMBOLS: parseInt(process.env.MARKET_REGIME_MIN_SYMBOLS) || 15,
+    MIN_DOMINANCE: parseFloat(process.env.MARKET_REGIME_MIN_DOMINANCE) || 75,
+    COOLDOWN_MINUTES: parseInt(process.env.MARKET_REGIME_COOLDOWN_MINUTES) || 60,
+    // Рядок про стан ринку в алертах по символах
+    ANNOTATE: process.env.MARKET_REGIME_ANNOTATE !== 'false',
+  },
+  
+  // "Near miss" дайджест: вікна, яким бракувало одного правила
+  NEAR_MISS: {
+    ENABLED: process.env.NEAR_MISS_DIGEST === 'true',
+    INTERVAL_MIN: parseInt(process.env.NEAR_MISS_INTERVAL_MIN) || 60,
+    MAX_FAILED_RULES: parseInt(process.env.NEAR_MISS_MAX_FAILED_RULES) || 1,
+    TOLERANCE_PERCENT: parseFloat(process.env.NEAR_MISS_TOLERANCE_PERCENT) || 20,
+    MAX_ITEMS: parseInt(process.env.NEAR_MISS_MAX_ITEMS) || 10,
+  },
+  
+  // Збереження стану між рестартами
+  STATE_FILE: process.env.STATE_FILE || './data/state.json',
+  STATE_SNAPSHOT_SEC: parseInt(process.env.STATE_SNAPSHOT_SEC) || 30,
+  
+  // HTTP health/metrics (вимкнено, якщо порт не задано)
+  HEALTH_PORT: parseInt(process.env.HEALTH_PORT || process.env.PORT) || null,
+  
   // Telegram
   TELEGRAM_TOKEN: process.env.TELEGRAM_BOT_TOKEN,
   TELEGRAM_CHAT_IDS: process.env.TELEGRAM_CHAT_ID 
     ? process.env.TELEGRAM_CHAT_ID.split(',').map(id => id.trim())
     : [],
+  // Керування з чату (/set, /mute ...) - лише якщо явно увімкнено
+  TELEGRAM_COMMANDS: process.env.TELEGRAM_COMMANDS === 'true',
+  // Налаштування чатів (/prefs)
+  CHAT_PREFERENCES_FILE: process.env.CHAT_PREFERENCES_FILE || './data/chat-preferences.json',
+  // Шаблон і мова алертів за замовчуванням (default | compact | html | markdown; uk | ru | en)
+  ALERT_TEMPLATE: process.env.ALERT_TEMPLATE || 'default',
+  ALERT_LANGUAGE: process.env.ALERT_LANGUAGE || 'ru',
+  ALERT_TEMPLATES_FILE: process.env.ALERT_TEMPLATES_FILE || null,
+  // Funding, OI і його зміна, 24h об'єм / MCAP в алерті; кнопки Binance / TradingView
+  ALERT_CONTEXT: process.env.ALERT_CONTEXT !== 'false',
+  ALERT_BUTTONS: process.env.ALERT_BUTTONS !== 'false',
+
+  // Черга відправки: ліміти Telegram (~30 повідомлень/с, 1/с на чат, 20/хв на групу)
+  TELEGRAM_QUEUE: {
+    GLOBAL_PER_SEC: parseFloat(process.env.TELEGRAM_GLOBAL_PER_SEC) || 25,
+    CHAT_INTERVAL_MS: parseInt(process.env.TELEGRAM_CHAT_INTERVAL_MS) || 1000,
+    GROUP_INTERVAL_MS: parseInt(process.env.TELEGRAM_GROUP_INTERVAL_MS) || 3000,
+    MAX_RETRIES: parseInt(process.env.TELEGRAM_MAX_RETRIES) || 5,
+    // Чат, що заблокував бота / не існує, пропускається
+    SUSPEND_MINUTES: parseInt(process.env.TELEGRAM_SUSPEND_MINUTES) || 30
+  },
+
+  // Додаткові канали сповіщень і маршрутизація (див. notifiers.js)
+  NOTIFIERS: {
+    FILE: process.env.NOTIFIERS_FILE || null,
+    DISCORD_WEBHOOK_URL: process.env.DISCORD_WEBHOOK_URL || null,
+    SLACK_WEBHOOK_URL: process.env.SLACK_WEBHOOK_URL || null,
+    WEBHOOK_URL: process.env.WEBHOOK_URL || null,
+    STDOUT: process.env.NOTIFY_STDOUT === 'true',
+    FILE_SINK: process.env.NOTIFY_FILE || null
+  },
 };
 
+// ============================================================================
+// ГОДИННИК
+// Всі класи беруть час через clock.now(), щоб replay міг підставити
+// симульований час замість Date.now()
+// ============================================================================
+
+const systemClock = {
+  now: () => Date.now()
+};
+
+/**
+ * Годинник часу подій біржі
+ * now() = найпізніший побачений час події, але не менше ніж
+ * локальний час мінус допустима затримка (щоб вікна закривались і без подій)
+ */
+class EventTimeClock {
+  constructor(baseClock = systemClock, maxLatenessMs = 5000, maxLeadMs = 10_000) {
+    this.baseClock = baseClock;
+    this.maxLatenessMs = maxLatenessMs;
+    this.maxLeadMs = maxLeadMs;
+    this.watermark = 0;
+  }
+
+  /**
+   * false - час події далі за maxLeadMs від локального: watermark не зсувається
+   * (інакше всі наступні події вважались би запізнілими), подію слід відкинути
+   */
+  observe(eventTime) {
+    if (eventTime > this.baseClock.now() + this.maxLeadMs) {
+      return false;
+    }
+
+    if (eventTime > this.watermark) {
+      this.watermark = eventTime;
+    }
+    return true;
+  }
+
+  now() {
+    return Math.max(this.watermark, this.baseClock.now() - this.maxLatenessMs);
+  }
+}
+
+/**
+ * Вставка з збереженням порядку за timestamp (події можуть приходити не по черзі)
+ * Повертає індекс вставки
+ */
+function insertByTimestamp(list, item) {
+  let i = list.length;
+  while (i > 0 && list[i - 1].timestamp > item.timestamp) {
+    i--;
+  }
+  list.splice(i, 0, item);
+  return i;
+}
+
 // ============================================================================
 // 🆕 PRICE TRACKER (для відстеження зміни ціни)
 // ============================================================================
 
 class PriceTracker {
-  constructor(windowSeconds) {
+  constructor(windowSeconds, clock = systemClock, markTtlMs = 30_000) {
     this.prices = new Map(); // symbol -> [{price, timestamp}]
+    this.markUpdatedAt = new Map(); // symbol -> час останнього mark price
+    this.markTtlMs = markTtlMs;
     this.windowMs = windowSeconds * 1000;
+    // Скільки історії зберігати: довші вікна агрегації питають зміну за довший період
+    this.retentionMs = this.windowMs;
+    this.clock = clock;
+  }
+
+  retain(windowMs) {
+    this.retentionMs = Math.max(this.retentionMs, windowMs);
+  }
+
+  /**
+   * Чи символ рахується по mark price: останнє оновлення не старше markTtlMs
+   */
+  hasMarkPrice(symbol) {
+    const updatedAt = this.markUpdatedAt.get(symbol);
+    return updatedAt !== undefined && this.clock.now() - updatedAt < this.markTtlMs;
   }
 
-  addPrice(symbol, price) {
+  /**
+   * source: 'fill' (ціна ліквідації) або 'mark' (mark price стрім)
+   * Поки mark price свіжий, ціни ліквідацій ігноруються; стрім зупинився
+   * або символ з нього зник - повертаємось до цін ліквідацій
+   */
+  addPrice(symbol, price, timestamp = this.clock.now(), source = 'fill') {
+    if (source === 'mark') {
+      if (!this.markUpdatedAt.has(symbol)) {
+        // Перехід на mark price - старі ціни ліквідацій не змішуємо
+        this.prices.delete(symbol);
+      }
+    } else if (this.markUpdatedAt.has(symbol)) {
+      if (this.hasMarkPrice(symbol)) return;
+      // Mark price застарів - так само не змішуємо джерела
+      this.markUpdatedAt.delete(symbol);
+      this.prices.delete(symbol);
+    }
+
+    // Точка з майбутнього (збій годинника біржі)
+    if (this.clock.observe && !this.clock.observe(timestamp)) return;
+
+    if (source === 'mark') {
+      this.markUpdatedAt.set(symbol, Math.max(timestamp, this.markUpdatedAt.get(symbol) || 0));
+    }
+
+    // Запізніла точка, що вже за межами вікна
+    if (this.clock.now() - timestamp >= this.retentionMs) return;
+
     if (!this.prices.has(symbol)) {
       this.prices.set(symbol, []);
     }
 
-    const priceHistory = this.prices.get(symbol);
-    priceHistory.push({
-      price,
-      timestamp: Date.now()
-    });
+    insertByTimestamp(this.prices.get(symbol), { price, timestamp });
 
     this.cleanup(symbol);
   }
@@ -83,42 +328,102 @@ class PriceTracker {
   cleanup(symbol) {
     if (!this.prices.has(symbol)) return;
 
-    const now = Date.now();
+    const now = this.clock.now();
     const priceHistory = this.prices.get(symbol);
     
-    const filtered = priceHistory.filter(p => now - p.timestamp < this.windowMs);
+    // Історія відсортована за часом - видаляємо старі точки з початку
+    let expired = 0;
+    while (expired < priceHistory.length && now - priceHistory[expired].timestamp >= this.retentionMs) {
+      expired++;
+    }
 
-    if (filtered.length === 0) {
+    if (expired === priceHistory.length) {
       this.prices.delete(symbol);
-    } else {
-      this.prices.set(symbol, filtered);
+    } else if (expired > 0) {
+      priceHistory.splice(0, expired);
     }
   }
 
-  getPriceChange(symbol) {
+  getLatestPrice(symbol) {
+    const priceHistory = this.prices.get(symbol);
+    return priceHistory ? priceHistory[priceHistory.length - 1].price : null;
+  }
+
+  /**
+   * Зміна ціни за windowMs (за замовчуванням PRICE_CHANGE_WINDOW_SEC)
+   */
+  getPriceChange(symbol, windowMs = this.windowMs) {
+    this.cleanup(symbol);
+    return this.peekPriceChange(symbol, windowMs);
+  }
+
+  /**
+   * Як getPriceChange, але без очищення історії (для read-only запитів)
+   */
+  peekPriceChange(symbol, windowMs = this.windowMs) {
     if (!this.prices.has(symbol)) return null;
 
     const priceHistory = this.prices.get(symbol);
-    if (priceHistory.length < 2) return null;
+    const from = this.findWindowStart(priceHistory, this.clock.now() - windowMs);
+    if (priceHistory.length - from < 2) return null;
 
-    const oldest = priceHistory[0].price;
-    const newest = priceHistory[priceHistory.length - 1].price;
+    const first = priceHistory[from];
+    const last = priceHistory[priceHistory.length - 1];
     
-    const changePercent = ((newest - oldest) / oldest) * 100;
-    const duration = (priceHistory[priceHistory.length - 1].timestamp - priceHistory[0].timestamp) / 1000;
+    const changePercent = ((last.price - first.price) / first.price) * 100;
+    const duration = (last.timestamp - first.timestamp) / 1000;
 
     return {
       changePercent,
       duration,
-      oldPrice: oldest,
-      newPrice: newest,
-      dataPoints: priceHistory.length
+      oldPrice: first.price,
+      newPrice: last.price,
+      dataPoints: priceHistory.length - from,
+      source: this.markUpdatedAt.has(symbol) ? 'mark' : 'fill'
     };
   }
 
+  /**
+   * Перший індекс з timestamp > cutoff (бінарний пошук по відсортованій історії)
+   */
+  findWindowStart(priceHistory, cutoff) {
+    let lo = 0;
+    let hi = priceHistory.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (priceHistory[mid].timestamp > cutoff) {
+        hi = mid;
+      } else {
+        lo = mid + 1;
+      }
+    }
+    return lo;
+  }
+
   reset(symbol) {
+    // Mark price - ринкова ціна, її історія не залежить від алертів
+    if (this.hasMarkPrice(symbol)) return;
     this.prices.delete(symbol);
   }
+
+  exportState() {
+    return {
+      prices: Object.fromEntries(this.prices),
+      markUpdatedAt: Object.fromEntries(this.markUpdatedAt)
+    };
+  }
+
+  importState(state) {
+    const now = this.clock.now();
+
+    this.markUpdatedAt = new Map(Object.entries(state.markUpdatedAt || {}));
+    for (const [symbol, history] of Object.entries(state.prices || {})) {
+      const fresh = history.filter(p => now - p.timestamp < this.retentionMs);
+      if (fresh.length > 0) {
+        this.prices.set(symbol, fresh);
+      }
+    }
+  }
 }
 
 // ============================================================================
@@ -126,25 +431,175 @@ class PriceTracker {
 // ============================================================================
 
 class LiquidationAggregator {
-  constructor(windowSeconds, priceTracker) {
-    this.windows = new Map();
+  /**
+   * extraWindowsSec - додаткові вікна, що рахуються паралельно з основним
+   */
+  constructor(windowSeconds, priceTracker, clock = systemClock, extraWindowsSec = []) {
+    this.windows = new Map(); // symbol -> { liquidations, views }
     this.windowMs = windowSeconds * 1000;
+    this.extraWindowsMs = extraWindowsSec.map(sec => sec * 1000);
     this.priceTracker = priceTracker;
+    this.clock = clock;
+    this.lateDroppedCount = 0;
+    this.futureDroppedCount = 0;
+    this.profiles = null;
+    this.relativeVolume = null;
+    this.escalationTracker = null;
+
+    this.priceTracker.retain(Math.max(this.windowMs, ...this.extraWindowsMs));
+  }
+
+  setProfiles(profiles) {
+    this.profiles = profiles;
+    this.priceTracker.retain(profiles.getMaxWindowMs(this.windowMs));
+  }
+
+  setRelativeVolume(calculator) {
+    this.relativeVolume = calculator;
+  }
+
+  setEscalationTracker(tracker) {
+    this.escalationTracker = tracker;
+  }
+
+  /**
+   * Чи є в символу ліквідації у вікні (після cleanup вікна без подій видаляються)
+   */
+  hasWindow(symbol) {
+    return this.windows.has(symbol);
+  }
+
+  addMarkPrice(symbol, price, timestamp) {
+    this.priceTracker.addPrice(symbol, price, timestamp, 'mark');
+  }
+
+  /**
+   * Довжина основного вікна з тіру символу або глобальна
+   */
+  getWindowMs(symbol) {
+    const profile = this.profiles ? this.profiles.resolve(symbol) : null;
+    return profile && profile.windowMs ? profile.windowMs : this.windowMs;
+  }
+
+  /**
+   * Всі вікна символу за зростанням довжини
+   */
+  getWindowLengths(symbol) {
+    return [...new Set([this.getWindowMs(symbol), ...this.extraWindowsMs])].sort((a, b) => a - b);
+  }
+
+  /**
+   * Ліквідації зберігаються один раз (на довжину найдовшого вікна),
+   * кожне вікно - view з індексом початку і інкрементальними сумами
+   */
+  createWindow(symbol) {
+    return {
+      liquidations: [],
+      exchangeSymbols: {}, // exchange -> символ контракту на біржі (PEPE_USDT на MEXC)
+      views: this.getWindowLengths(symbol).map(windowMs => ({
+        windowMs,
+        start: 0,
+        longVolumeUSD: 0,
+        shortVolumeUSD: 0,
+        byExchange: new Map() // exchange -> { volumeUSD, count }
+      }))
+    };
+  }
+
+  applyToView(view, liq, sign) {
+    if (liq.side === 'LONG') {
+      view.longVolumeUSD += sign * liq.volumeUSD;
+    } else {
+      view.shortVolumeUSD += sign * liq.volumeUSD;
+    }
+
+    const exchange = liq.exchange || 'BINANCE';
+    const entry = view.byExchange.get(exchange) || { volumeUSD: 0, count: 0 };
+    entry.volumeUSD += sign * liq.volumeUSD;
+    entry.count += sign;
+    if (entry.count === 0) {
+      view.byExchange.delete(exchange);
+    } else {
+      view.byExchange.set(exchange, entry);
+    }
+  }
+
+  /**
+   * Зсув початку кожного вікна до now; ліквідації поза найдовшим вікном видаляються
+   */
+  advance(window, now) {
+    const { liquidations, views } = window;
+
+    for (const view of views) {
+      while (view.start < liquidations.length && now - liquidations[view.start].timestamp >= view.windowMs) {
+        this.applyToView(view, liquidations[view.start], -1);
+        view.start++;
+      }
+
+      // Порожнє вікно - скидаємо накопичену похибку float
+      if (view.start === liquidations.length) {
+        view.longVolumeUSD = 0;
+        view.shortVolumeUSD = 0;
+      }
+    }
+
+    const expired = views[views.length - 1].start;
+    if (expired > 0) {
+      liquidations.splice(0, expired);
+      for (const view of views) {
+        view.start -= expired;
+      }
+    }
+  }
+
+  insert(window, liquidation, now) {
+    this.advance(window, now);
+    const index = insertByTimestamp(window.liquidations, liquidation);
+    if (liquidation.exchangeSymbol) {
+      window.exchangeSymbols[liquidation.exchange || 'BINANCE'] = liquidation.exchangeSymbol;
+    }
+
+    for (const view of window.views) {
+      if (now - liquidation.timestamp < view.windowMs) {
+        this.applyToView(view, liquidation, 1);
+      } else if (index <= view.start) {
+        // Запізніла подія поза цим вікном - лишається перед його початком
+        view.start++;
+      }
+    }
   }
 
   addLiquidation(symbol, liquidation) {
+    // Час події далеко в майбутньому - не довіряємо ні події, ні її часу
+    if (this.clock.observe && !this.clock.observe(liquidation.timestamp)) {
+      this.futureDroppedCount++;
+      return;
+    }
+
+    // Подія старша за найдовше вікно (наприклад, беклог після реконекту)
+    const now = this.clock.now();
+    const lengths = this.getWindowLengths(symbol);
+    if (now - liquidation.timestamp >= lengths[lengths.length - 1]) {
+      this.lateDroppedCount++;
+      return;
+    }
+
     if (!this.windows.has(symbol)) {
-      this.windows.set(symbol, {
-        liquidations: [],
-        startTime: Date.now()
-      });
+      this.windows.set(symbol, this.createWindow(symbol));
     }
 
-    const window = this.windows.get(symbol);
-    window.liquidations.push(liquidation);
+    this.insert(this.windows.get(symbol), liquidation, now);
+
+    if (this.relativeVolume) {
+      this.relativeVolume.observe(symbol, liquidation);
+    }
+
+    if (this.escalationTracker) {
+      this.escalationTracker.observe(symbol, liquidation);
+    }
     
     // 🆕 Додаємо ціну в price tracker
-    this.priceTracker.addPrice(symbol, liquidation.price);
+    this.priceTracker.addPrice(symbol, liquidation.price, liquidation.timestamp);
     
     this.cleanup(symbol);
   }
@@ -153,38 +608,36 @@ class LiquidationAggregator {
     if (!this.windows.has(symbol)) return;
 
     const window = this.windows.get(symbol);
-    const now = Date.now();
-    
-    window.liquidations = window.liquidations.filter(
-      liq => now - liq.timestamp < this.windowMs
-    );
+    this.advance(window, this.clock.now());
 
     if (window.liquidations.length === 0) {
       this.windows.delete(symbol);
-    } else {
-      window.startTime = window.liquidations[0].timestamp;
     }
   }
 
-  getWindowStats(symbol) {
+  /**
+   * Статистика одного вікна символу (за замовчуванням основного)
+   */
+  getWindowStats(symbol, windowMs = this.getWindowMs(symbol)) {
+    this.cleanup(symbol);
     if (!this.windows.has(symbol)) return null;
 
     const window = this.windows.get(symbol);
-    if (window.liquidations.length === 0) return null;
+    const view = window.views.find(v => v.windowMs === windowMs);
+    if (!view) return null;
 
-    let longVolumeUSD = 0;
-    let shortVolumeUSD = 0;
+    const count = window.liquidations.length - view.start;
+    if (count === 0) return null;
 
-    for (const liq of window.liquidations) {
-      if (liq.side === 'LONG') {
-        longVolumeUSD += liq.volumeUSD;
-      } else {
-        shortVolumeUSD += liq.volumeUSD;
-      }
+    const longVolumeUSD = view.longVolumeUSD;
+    const shortVolumeUSD = view.shortVolumeUSD;
+    const volumeByExchange = {};
+    for (const [exchange, entry] of view.byExchange.entries()) {
+      volumeByExchange[exchange] = entry.volumeUSD;
     }
 
     const totalVolumeUSD = longVolumeUSD + shortVolumeUSD;
-    if (totalVolumeUSD === 0) return null;
+    if (totalVolumeUSD <= 0) return null;
 
     const longDominance = (longVolumeUSD / totalVolumeUSD) * 100;
     const shortDominance = (shortVolumeUSD / totalVolumeUSD) * 100;
@@ -192,13 +645,17 @@ class LiquidationAggregator {
     const dominantSide = longVolumeUSD > shortVolumeUSD ? 'LONG' : 'SHORT';
     const dominance = Math.max(longDominance, shortDominance);
 
-    const now = Date.now();
-    const durationSec = (now - window.startTime) / 1000;
+    const now = this.clock.now();
+    const durationSec = (now - window.liquidations[view.start].timestamp) / 1000;
+    const profile = this.profiles ? this.profiles.resolve(symbol) : null;
 
-    // 🆕 Отримуємо зміну ціни
-    const priceChange = this.priceTracker.getPriceChange(symbol);
+    // 🆕 Отримуємо зміну ціни (не коротше за PRICE_CHANGE_WINDOW_SEC)
+    const priceChange = this.priceTracker.getPriceChange(
+      symbol,
+      Math.max(this.priceTracker.windowMs, windowMs)
+    );
 
-    return {
+    const stats = {
       symbol,
       longVolumeUSD,
       shortVolumeUSD,
@@ -207,21 +664,130 @@ class LiquidationAggregator {
       dominance,
       longDominance,
       shortDominance,
-      count: window.liquidations.length,
+      count,
       durationSec,
+      windowSec: windowMs / 1000,
       timestamp: now,
-      priceChange // 🆕
+      priceChange, // 🆕
+      exchanges: Object.keys(volumeByExchange),
+      volumeByExchange,
+      exchangeSymbols: { ...window.exchangeSymbols },
+      profile: profile ? profile.name : null,
+      relative: null
     };
+
+    // Об'єм відносно ліквідності монети
+    if (this.relativeVolume) {
+      stats.relative = this.relativeVolume.compute(stats);
+    }
+
+    return stats;
+  }
+
+  /**
+   * Основне вікно символу без зсуву, очищення і запитів ринкових даних -
+   * для моніторингу (health-server /windows), що не має впливати на детекцію
+   */
+  peekWindowStats(symbol) {
+    const window = this.windows.get(symbol);
+    if (!window) return null;
+
+    const windowMs = this.getWindowMs(symbol);
+    const now = this.clock.now();
+    const live = window.liquidations.filter(liq => now - liq.timestamp < windowMs);
+
+    let longVolumeUSD = 0;
+    let shortVolumeUSD = 0;
+    const volumeByExchange = {};
+    for (const liq of live) {
+      if (liq.side === 'LONG') {
+        longVolumeUSD += liq.volumeUSD;
+      } else {
+        shortVolumeUSD += liq.volumeUSD;
+      }
+      const exchange = liq.exchange || 'BINANCE';
+      volumeByExchange[exchange] = (volumeByExchange[exchange] || 0) + liq.volumeUSD;
+    }
+
+    const totalVolumeUSD = longVolumeUSD + shortVolumeUSD;
+    if (totalVolumeUSD <= 0) return null;
+
+    const profile = this.profiles ? this.profiles.resolve(symbol) : null;
+
+    return {
+      symbol,
+      longVolumeUSD,
+      shortVolumeUSD,
+      totalVolumeUSD,
+      dominantSide: longVolumeUSD > shortVolumeUSD ? 'LONG' : 'SHORT',
+      dominance: (Math.max(longVolumeUSD, shortVolumeUSD) / totalVolumeUSD) * 100,
+      count: live.length,
+      durationSec: (now - live[0].timestamp) / 1000,
+      windowSec: windowMs / 1000,
+      timestamp: now,
+      priceChange: this.priceTracker.peekPriceChange(symbol, Math.max(this.priceTracker.windowMs, windowMs)),
+      exchanges: Object.keys(volumeByExchange),
+      volumeByExchange,
+      profile: profile ? profile.name : null
+    };
+  }
+
+  /**
+   * Статистика всіх вікон символу, від найкоротшого
+   */
+  getAllWindowStats(symbol) {
+    return this.getWindowLengths(symbol)
+      .map(windowMs => this.getWindowStats(symbol, windowMs))
+      .filter(Boolean);
   }
 
   getAllActiveSymbols() {
     return Array.from(this.windows.keys());
   }
 
+  getStats() {
+    return {
+      activeWindows: this.windows.size,
+      lateDropped: this.lateDroppedCount,
+      futureDropped: this.futureDroppedCount
+    };
+  }
+
   reset(symbol) {
     this.windows.delete(symbol);
     this.priceTracker.reset(symbol);
   }
+
+  exportState() {
+    const windows = {};
+    for (const [symbol, window] of this.windows.entries()) {
+      windows[symbol] = window.liquidations;
+    }
+    return { windows, prices: this.priceTracker.exportState() };
+  }
+
+  /**
+   * Відновлення вікон; ліквідації за межами найдовшого вікна відкидаються
+   */
+  importState(state) {
+    const now = this.clock.now();
+
+    for (const [symbol, liquidations] of Object.entries(state.windows || {})) {
+      const lengths = this.getWindowLengths(symbol);
+      const fresh = liquidations.filter(liq => now - liq.timestamp < lengths[lengths.length - 1]);
+      if (fresh.length === 0) continue;
+
+      const window = this.createWindow(symbol);
+      for (const liq of fresh) {
+        this.insert(window, liq, now);
+      }
+      this.windows.set(symbol, window);
+    }
+
+    if (state.prices) {
+      this.priceTracker.importState(state.prices);
+    }
+  }
 }
 
 // ============================================================================
@@ -230,22 +796,150 @@ class LiquidationAggregator {
 // ============================================================================
 
 class SignalDetector {
+  constructor(thresholds = {}) {
+    // Пороги можна змінювати на льоту (Telegram /set)
+    this.thresholds = {
+      MIN_LIQUIDATION_USD: CONFIG.MIN_LIQUIDATION_USD,
+      MIN_DOMINANCE: CONFIG.MIN_DOMINANCE,
+      MIN_PRICE_CHANGE_PERCENT: CONFIG.MIN_PRICE_CHANGE_PERCENT,
+      MAX_PRICE_CHANGE_PERCENT: CONFIG.MAX_PRICE_CHANGE_PERCENT,
+      MIN_VOLUME_RATIO_PERCENT: CONFIG.MIN_VOLUME_RATIO_PERCENT,
+      MIN_OI_RATIO_PERCENT: CONFIG.MIN_OI_RATIO_PERCENT,
+      MIN_ZSCORE: CONFIG.MIN_ZSCORE,
+      MIN_RELATIVE_USD: CONFIG.MIN_RELATIVE_USD,
+      ...thresholds
+    };
+    this.mode = CONFIG.DETECTOR_MODE;
+    this.profiles = null;
+    this.ruleEngine = null;
+  }
+
+  /**
+   * Відносна метрика поточного режиму та її поріг
+   */
+  getRelativeCheck(stats, thresholds) {
+    const relative = stats.relative || {};
+    switch (this.mode) {
+      case 'volume_ratio':
+        return { field: 'relative.volumeRatioPercent', value: relative.volumeRatioPercent, min: thresholds.MIN_VOLUME_RATIO_PERCENT };
+      case 'oi_ratio':
+        return { field: 'relative.oiRatioPercent', value: relative.oiRatioPercent, min: thresholds.MIN_OI_RATIO_PERCENT };
+      case 'zscore':
+        return { field: 'relative.zScore', value: relative.zScore, min: thresholds.MIN_ZSCORE };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Поріг загального об'єму в USD, що діяв для вікна: у відносних режимах
+   * перерахований з % від 24h volume / OI або z-score, не нижче MIN_RELATIVE_USD.
+   * Для ескалацій і результатів алертів
+   */
+  getVolumeThresholdUSD(stats) {
+    const thresholds = this.getThresholds(stats.symbol);
+    const relativeCheck = this.getRelativeCheck(stats, thresholds);
+    if (!relativeCheck) return thresholds.MIN_LIQUIDATION_USD;
+
+    const relative = stats.relative || {};
+    let thresholdUSD = null;
+    switch (this.mode) {
+      case 'volume_ratio':
+        thresholdUSD = relative.volume24h ? relative.volume24h * relativeCheck.min / 100 : null;
+        break;
+      case 'oi_ratio':
+        thresholdUSD = relative.openInterestUSD ? relative.openInterestUSD * relativeCheck.min / 100 : null;
+        break;
+      case 'zscore':
+        // std = (об'єм - середнє) / z
+        if (relative.zScore > 0 && relative.baselineMeanUSD !== null) {
+          const std = (stats.totalVolumeUSD - relative.baselineMeanUSD) / relative.zScore;
+          thresholdUSD = relative.baselineMeanUSD + relativeCheck.min * std;
+        }
+        break;
+    }
+
+    return Math.max(thresholdUSD || 0, thresholds.MIN_RELATIVE_USD);
+  }
+
+  setThreshold(key, value) {
+    if (!(key in this.thresholds)) {
+      throw new Error(`Невідомий поріг: ${key}`);
+    }
+    this.thresholds[key] = value;
+  }
+
+  setProfiles(profiles) {
+    this.profiles = profiles;
+  }
+
+  setRuleEngine(ruleEngine) {
+    this.ruleEngine = ruleEngine;
+  }
+
+  /**
+   * Вердикти всіх стратегій з файлу правил або вбудованих фільтрів (strategy: null)
+   */
+  evaluate(stats) {
+    if (stats && this.ruleEngine && this.ruleEngine.strategies.length > 0) {
+      return this.ruleEngine.evaluate(stats, this.getThresholds(stats.symbol));
+    }
+    return [this.evaluateBuiltin(stats)];
+  }
+
+  /**
+   * Перший вердикт, що пройшов, або вердикт першої стратегії
+   */
   shouldAlert(stats) {
-    if (!stats) return false;
+    const verdicts = this.evaluate(stats);
+    return verdicts.find(verdict => verdict.pass) || verdicts[0];
+  }
+
+  /**
+   * Глобальні пороги, перекриті порогами тіру символу
+   */
+  getThresholds(symbol) {
+    const profile = this.profiles ? this.profiles.resolve(symbol) : null;
+    return profile
+      ? { ...this.thresholds, ...profile.thresholds }
+      : this.thresholds;
+  }
+
+  /**
+   * Вердикт по всіх правилах: { symbol, strategy, pass, rules, failed }
+   * Правила не обриваються на першому невдалому - для логів і near-miss
+   */
+  evaluateBuiltin(stats) {
+    if (!stats) {
+      return { symbol: null, strategy: null, pass: false, rules: [], failed: [] };
+    }
+
+    const thresholds = this.getThresholds(stats.symbol);
+
+    const relativeCheck = this.getRelativeCheck(stats, thresholds);
+    const rules = [];
 
     // ========================================================================
     // ФІЛЬТР 1: ЗАГАЛЬНИЙ ОБ'ЄМ ЛІКВІДАЦІЙ (БАЗОВИЙ)
+    // У відносних режимах - % від 24h volume / OI або z-score
     // ========================================================================
-    if (stats.totalVolumeUSD < CONFIG.MIN_LIQUIDATION_USD) {
-      return false;
+    if (relativeCheck) {
+      rules.push(createRule(
+        this.mode,
+        relativeCheck.value,
+        relativeCheck.min,
+        '>=',
+        this.mode === 'zscore' ? 'number' : 'percent',
+        relativeCheck.field
+      ));
+    } else {
+      rules.push(createRule('total_volume', stats.totalVolumeUSD, thresholds.MIN_LIQUIDATION_USD, '>=', 'usd', 'totalVolumeUSD'));
     }
 
     // ========================================================================
     // ФІЛЬТР 2: ДОМІНУВАННЯ (БАЗОВИЙ)
     // ========================================================================
-    if (stats.dominance < CONFIG.MIN_DOMINANCE) {
-      return false;
-    }
+    rules.push(createRule('dominance', stats.dominance, thresholds.MIN_DOMINANCE, '>=', 'percent', 'dominance'));
 
     // ========================================================================
     // ФІЛЬТР 3: 🔥 ДОДАТКОВИЙ З BYBIT - ОБ'ЄМ ДОМІНУЮЧОЇ СТОРОНИ
@@ -256,46 +950,50 @@ class SignalDetector {
       ? stats.longVolumeUSD 
       : stats.shortVolumeUSD;
     
-    // Домінуюча сторона має мати мінімум 80% від порогу
+    // Домінуюча сторона має мати мінімум DOMINANT_SIDE_FACTOR (80%) від порогу
     // Приклад: якщо MIN_LIQUIDATION_USD = $1M, то домінуюча >= $800K
-    const dominantThreshold = CONFIG.MIN_LIQUIDATION_USD * 0.8;
-    if (dominantVolumeUSD < dominantThreshold) {
-      return false;
-    }
+    // У відносних режимах - абсолютний мінімум MIN_RELATIVE_USD
+    const dominantThreshold = relativeCheck
+      ? thresholds.MIN_RELATIVE_USD
+      : thresholds.MIN_LIQUIDATION_USD * CONFIG.DOMINANT_SIDE_FACTOR;
+    rules.push(createRule('dominant_volume', dominantVolumeUSD, dominantThreshold, '>=', 'usd', 'dominantVolumeUSD'));
 
     // ========================================================================
     // ФІЛЬТР 4: ЗМІНА ЦІНИ
     // ========================================================================
     if (stats.priceChange) {
-      const absChange = Math.abs(stats.priceChange.changePercent);
-      
-      if (absChange < CONFIG.MIN_PRICE_CHANGE_PERCENT) {
-        return false;
-      }
+      const change = stats.priceChange.changePercent;
+      const absChange = Math.abs(change);
 
-      if (absChange > CONFIG.MAX_PRICE_CHANGE_PERCENT) {
-        return false;
-      }
+      rules.push(createRule('min_price_change', absChange, thresholds.MIN_PRICE_CHANGE_PERCENT, '>=', 'percent', 'absPriceChangePercent'));
+      rules.push(createRule('max_price_change', absChange, thresholds.MAX_PRICE_CHANGE_PERCENT, '<=', 'percent', 'absPriceChangePercent'));
 
-      // Напрямок ціни має відповідати домінуванню
-      if (stats.dominantSide === 'LONG' && stats.priceChange.changePercent > 0) {
-        return false;
-      }
-      if (stats.dominantSide === 'SHORT' && stats.priceChange.changePercent < 0) {
-        return false;
-      }
+      // Напрямок ціни має відповідати домінуванню:
+      // LONG ліквідації -> ціна не зросла, SHORT -> не впала
+      rules.push(stats.dominantSide === 'LONG'
+        ? createRule('price_direction', change, 0, '<=', 'percent', 'priceChange.changePercent')
+        : createRule('price_direction', change, 0, '>=', 'percent', 'priceChange.changePercent'));
     }
 
-    return true;
+    const failed = rules.filter(rule => !rule.pass);
+
+    return {
+      symbol: stats.symbol,
+      strategy: null,
+      pass: failed.length === 0,
+      rules,
+      failed
+    };
   }
 
-  getSignature(stats) {
+  getSignature(stats, strategy = null) {
     // 🔥 BYBIT ЛОГІКА: Використовуємо домінуючий об'єм для signature
     const dominantVolumeUSD = stats.dominantSide === 'LONG' 
       ? stats.longVolumeUSD 
       : stats.shortVolumeUSD;
     
-    return `${stats.symbol}:${stats.dominantSide}:${Math.floor(dominantVolumeUSD / 100000)}`;
+    const signature = `${stats.symbol}:${stats.dominantSide}:${Math.floor(dominantVolumeUSD / 100000)}`;
+    return strategy ? `${signature}:${strategy}` : signature;
   }
 }
 
@@ -304,19 +1002,77 @@ class SignalDetector {
 // ============================================================================
 
 class CooldownManager {
-  constructor(cooldownMinutes, dedupWindowSec) {
+  constructor(cooldownMinutes, dedupWindowSec, clock = systemClock) {
     this.cooldowns = new Map();
     this.recentAlerts = new Map();
+    this.mutes = new Map(); // symbol -> до якого часу
+    this.deliveries = new Map(); // ключ -> Map(отримувач -> час) при частковій доставці
     this.cooldownMs = cooldownMinutes * 60 * 1000;
     this.dedupWindowMs = dedupWindowSec * 1000;
+    this.clock = clock;
+    this.profiles = null;
   }
 
-  canAlert(symbol, stats, signature) {
-    const now = Date.now();
+  setProfiles(profiles) {
+    this.profiles = profiles;
+  }
+
+  /**
+   * key - символ або "SYMBOL#strategy" (окремий cooldown для кожної стратегії)
+   */
+  getCooldownKey(symbol, strategy) {
+    return strategy ? `${symbol}#${strategy}` : symbol;
+  }
+
+  getCooldownMs(key) {
+    const symbol = key.split('#')[0];
+    const profile = this.profiles ? this.profiles.resolve(symbol) : null;
+    return profile && profile.cooldownMs ? profile.cooldownMs : this.cooldownMs;
+  }
+
+  setCooldownMinutes(minutes) {
+    this.cooldownMs = minutes * 60 * 1000;
+  }
 
-    if (this.cooldowns.has(symbol)) {
-      const lastAlert = this.cooldowns.get(symbol);
-      if (now - lastAlert < this.cooldownMs) {
+  setDedupWindowSec(seconds) {
+    this.dedupWindowMs = seconds * 1000;
+  }
+
+  mute(symbol, durationMs) {
+    this.mutes.set(symbol, this.clock.now() + durationMs);
+  }
+
+  unmute(symbol) {
+    return this.mutes.delete(symbol);
+  }
+
+  isMuted(symbol) {
+    if (!this.mutes.has(symbol)) return false;
+
+    if (this.clock.now() >= this.mutes.get(symbol)) {
+      this.mutes.delete(symbol);
+      return false;
+    }
+    return true;
+  }
+
+  getMuted() {
+    return [...this.mutes.keys()]
+      .filter(symbol => this.isMuted(symbol))
+      .map(symbol => ({ symbol, until: this.mutes.get(symbol) }));
+  }
+
+  canAlert(symbol, stats, signature, strategy = null) {
+    const now = this.clock.now();
+    const key = this.getCooldownKey(symbol, strategy);
+
+    if (this.isMuted(symbol)) {
+      return false;
+    }
+
+    if (this.cooldowns.has(key)) {
+      const lastAlert = this.cooldowns.get(key);
+      if (now - lastAlert < this.getCooldownMs(key)) {
         return false;
       }
     }
@@ -331,20 +1087,48 @@ class CooldownManager {
     return true;
   }
 
-  recordAlert(symbol, signature) {
-    const now = Date.now();
-    this.cooldowns.set(symbol, now);
+  recordAlert(symbol, signature, strategy = null) {
+    const now = this.clock.now();
+    const key = this.getCooldownKey(symbol, strategy);
+    this.cooldowns.set(key, now);
     this.recentAlerts.set(signature, now);
+    this.deliveries.delete(key);
     
     this.cleanup();
   }
 
+  /**
+   * Часткова доставка: cooldown лише для отримувачів, що отримали алерт,
+   * решта отримає його при наступній перевірці
+   */
+  recordDelivery(key, recipients) {
+    const now = this.clock.now();
+    const entries = this.deliveries.get(key) || new Map();
+    for (const recipient of recipients) {
+      entries.set(recipient, now);
+    }
+    this.deliveries.set(key, entries);
+  }
+
+  /**
+   * Отримувачі в cooldown по ключу після часткової доставки
+   */
+  getDeliveredRecipients(key) {
+    const entries = this.deliveries.get(key);
+    if (!entries) return [];
+
+    const now = this.clock.now();
+    return [...entries.entries()]
+      .filter(([, timestamp]) => now - timestamp < this.getCooldownMs(key))
+      .map(([recipient]) => recipient);
+  }
+
   cleanup() {
-    const now = Date.now();
+    const now = this.clock.now();
     
-    for (const [symbol, timestamp] of this.cooldowns.entries()) {
-      if (now - timestamp > this.cooldownMs * 2) {
-        this.cooldowns.delete(symbol);
+    for (const [key, timestamp] of this.cooldowns.entries()) {
+      if (now - timestamp > this.getCooldownMs(key) * 2) {
+        this.cooldowns.delete(key);
       }
     }
 
@@ -353,66 +1137,87 @@ class CooldownManager {
         this.recentAlerts.delete(sig);
       }
     }
+
+    for (const [key, entries] of this.deliveries.entries()) {
+      for (const [recipient, timestamp] of entries.entries()) {
+        if (now - timestamp > this.getCooldownMs(key)) entries.delete(recipient);
+      }
+      if (entries.size === 0) this.deliveries.delete(key);
+    }
   }
-}
 
-// ============================================================================
-// ФОРМАТЕР АЛЕРТІВ
-// 🔥 ДОДАНО: Показ об'єму домінуючої сторони (як в Bybit боті)
-// ============================================================================
+  exportState() {
+    return {
+      cooldowns: Object.fromEntries(this.cooldowns),
+      recentAlerts: Object.fromEntries(this.recentAlerts),
+      mutes: Object.fromEntries(this.mutes),
+      deliveries: Object.fromEntries(
+        [...this.deliveries.entries()].map(([key, entries]) => [key, Object.fromEntries(entries)])
+      )
+    };
+  }
 
-class AlertFormatter {
-  format(stats) {
-    const lines = [];
-    
-    const emoji = stats.dominantSide === 'LONG' ? '🌊' : '🔥';
-    const sideText = stats.dominantSide === 'LONG' ? 'ЛОНГОВ' : 'ШОРТОВ';
-    lines.push(`${emoji} ЛИКВИДАЦИЯ ${sideText}`);
-    
-    // Показуємо ЗАГАЛЬНИЙ об'єм (як було)
-    const volumeStr = this.formatVolume(stats.totalVolumeUSD);
-    const durationStr = this.formatDuration(stats.durationSec);
-    lines.push(`Объем: ${volumeStr} (за ${durationStr})`);
-    
-    const dominanceText = stats.dominantSide === 'LONG' ? 'ЛОНГОВ' : 'ШОРТОВ';
-    lines.push(`Доминирование: ${stats.dominance.toFixed(1)}% ${dominanceText}`);
-    
-    lines.push('————————————————————');
-    
-    const cleanSymbol = stats.symbol.replace('USDT', '');
-    lines.push(`🔥 ${stats.symbol} #${cleanSymbol}`);
-    
-    const windowMin = Math.floor(stats.durationSec / 60);
-    lines.push(`⏱️ Окно: ${windowMin} мин`);
-    
-    // Зміна ціни
-    if (stats.priceChange) {
-      const sign = stats.priceChange.changePercent >= 0 ? '+' : '';
-      const priceEmoji = stats.priceChange.changePercent >= 0 ? '📈' : '📉';
-      lines.push(`${priceEmoji} Изменение цены: ${sign}${stats.priceChange.changePercent.toFixed(2)}%`);
+  /**
+   * Відновлення лише записів, що ще діють
+   */
+  importState(state) {
+    const now = this.clock.now();
+
+    for (const [key, timestamp] of Object.entries(state.cooldowns || {})) {
+      if (now - timestamp < this.getCooldownMs(key)) this.cooldowns.set(key, timestamp);
     }
-    
-    lines.push(`📊 Кол-во ликвидаций: ${stats.count}`);
-    
-    // Детальна розбивка об'єму
-    lines.push(`💥 Агресивний об'єм:`);
-    lines.push(`   🔴 Продаж (LONG ліквідації): ${this.formatVolume(stats.longVolumeUSD)}`);
-    lines.push(`   🟢 Покупка (SHORT ліквідації): ${this.formatVolume(stats.shortVolumeUSD)}`);
-    
-    return lines.join('\n');
+    for (const [sig, timestamp] of Object.entries(state.recentAlerts || {})) {
+      if (now - timestamp < this.dedupWindowMs) this.recentAlerts.set(sig, timestamp);
+    }
+    for (const [symbol, until] of Object.entries(state.mutes || {})) {
+      if (until > now) this.mutes.set(symbol, until);
+    }
+    for (const [key, entries] of Object.entries(state.deliveries || {})) {
+      const active = Object.entries(entries).filter(([, timestamp]) => now - timestamp < this.getCooldownMs(key));
+      if (active.length > 0) this.deliveries.set(key, new Map(active));
+    }
+  }
+}
+
+// ============================================================================
+// ФОРМАТЕР АЛЕРТІВ
+// Текст з шаблонів (alert-templates.js); шаблон і мова - з /prefs чату
+// або ALERT_TEMPLATE / ALERT_LANGUAGE
+// ============================================================================
+
+class AlertFormatter {
+  constructor(templates = new AlertTemplates(), options = {}) {
+    this.templates = templates;
+    this.template = options.template || CONFIG.ALERT_TEMPLATE;
+    this.language = options.language || CONFIG.ALERT_LANGUAGE;
   }
 
-  formatVolume(usd) {
-    if (usd >= 1_000_000) {
-      return `${(usd / 1_000_000).toFixed(2)}M`;
-    }
-    return `${(usd / 1_000).toFixed(0)}K`;
+  /**
+   * { text, parseMode }; options: { template, language } чату
+   */
+  render(kind, data, options = {}) {
+    return this.templates.render(kind, data, {
+      template: options.template || this.template,
+      language: options.language || this.language
+    });
+  }
+
+  format(stats) {
+    return this.render('alert', stats).text;
+  }
+
+  /**
+   * Ринковий flush по всіх символах
+   */
+  formatMarketAlert(snapshot) {
+    return this.render('market', snapshot).text;
   }
 
-  formatDuration(seconds) {
-    const mins = Math.floor(seconds / 60);
-    const secs = Math.floor(seconds % 60);
-    return `${mins}м ${secs}с`;
+  /**
+   * Продовження каскаду після алерту
+   */
+  formatEscalation(escalation) {
+    return this.render('escalation', escalation).text;
   }
 }
 
@@ -421,28 +1226,207 @@ class AlertFormatter {
 // ============================================================================
 
 class TelegramNotifier {
-  constructor(token, chatIds) {
+  constructor(token, chatIds, options = {}) {
     this.bot = new TelegramBot(token, { polling: false });
     this.chatIds = chatIds;
-    this.formatter = new AlertFormatter();
+    this.formatter = options.formatter || new AlertFormatter();
+    this.queue = new TelegramDeliveryQueue(this.bot, options.queue);
+    this.suspendMs = options.suspendMs || 30 * 60 * 1000;
+    this.suspended = new Map(); // chatId -> до якого часу пропускається
+    this.onChatUnavailable = options.onChatUnavailable || ((message) => this.sendStatus(message));
+    this.preferences = options.preferences || null;
+    this.buttons = options.buttons !== undefined ? options.buttons : CONFIG.ALERT_BUTTONS;
+    this.errorCount = 0;
+    this.name = 'telegram';
+    this.route = null;
   }
 
-  async sendAlert(stats) {
-    const message = this.formatter.format(stats);
-    
-    const promises = this.chatIds.map(chatId =>
-      this.bot.sendMessage(chatId, message).catch(err => {
-        console.error(`[TELEGRAM] Помилка відправки до ${chatId}:`, err.message);
-      })
-    );
+  /**
+   * Перевірка токена при старті (кидає, якщо Telegram недоступний)
+   */
+  async start() {
+    await this.bot.getMe();
+  }
+
+  stop() {
+    this.queue.stop();
+  }
+
+  getRecipient(chatId) {
+    return `telegram:${chatId}`;
+  }
+
+  /**
+   * Чати для відправки: без exclude, без призупинених після постійної помилки
+   * і, якщо задано message ({ symbol?, side?, volumeUSD? }), з урахуванням /prefs чату
+   */
+  getActiveChats(exclude = [], message = null) {
+    const now = Date.now();
+
+    return this.chatIds.filter(chatId => {
+      const until = this.suspended.get(String(chatId));
+      if (until && now < until) return false;
+      if (until) this.suspended.delete(String(chatId));
+      if (message && this.preferences && !this.preferences.matches(chatId, message)) return false;
+      return !exclude.includes(this.getRecipient(chatId));
+    });
+  }
+
+  /**
+   * { eligible, pending } для CompositeNotifier.getAlertRecipients
+   */
+  getAlertRecipients(stats, { exclude = [] } = {}) {
+    const message = { symbol: stats.symbol, side: stats.dominantSide, volumeUSD: stats.totalVolumeUSD };
+    const recipients = { eligible: [], pending: [] };
+
+    for (const chatId of this.getActiveChats(exclude)) {
+      const status = this.preferences ? this.preferences.evaluate(chatId, message) : 'match';
+      if (status === 'match') recipients.eligible.push(this.getRecipient(chatId));
+      if (status === 'volume') recipients.pending.push(this.getRecipient(chatId));
+    }
+
+    return recipients;
+  }
+
+  /**
+   * Чат, що заблокував бота або не існує, призупиняється на suspendMs;
+   * про це повідомляються інші канали
+   */
+  handleFailure(chatId, error, what) {
+    this.errorCount++;
+    console.error(`[TELEGRAM] Помилка відправки ${what} до ${chatId}:`, error.message);
+
+    if (!error.chatUnavailable) return;
+
+    this.suspended.set(String(chatId), Date.now() + this.suspendMs);
+    const message = `⚠️ Telegram чат ${chatId} недоступний (${error.message}), ` +
+      `пропускається ${this.suspendMs / 60000} хв`;
+    console.error(`[TELEGRAM] ❌ ${message}`);
+    Promise.resolve(this.onChatUnavailable(message)).catch(() => {});
+  }
+
+  /**
+   * chatId -> { text, options } з шаблоном і мовою чату;
+   * чати з однаковими налаштуваннями ділять один рендер
+   */
+  createRenderer(kind, data) {
+    const cache = new Map();
+
+    return (chatId) => {
+      const prefs = this.preferences ? this.preferences.get(chatId) : {};
+      const key = `${prefs.template}|${prefs.language}`;
+      if (!cache.has(key)) {
+        const { text, parseMode } = this.formatter.render(kind, data, prefs);
+        cache.set(key, { text, options: parseMode ? { parse_mode: parseMode } : {} });
+      }
+      return cache.get(key);
+    };
+  }
+
+  /**
+   * { messageRefs: [{ chatId, messageId }], delivered, failed } - отримувачі
+   * "telegram:<chatId>"; messageRefs потрібні для reply ескалацій
+   */
+  async sendAlert(stats, { exclude = [] } = {}) {
+    const render = this.createRenderer('alert', stats);
+    // Кнопки з посиланнями на контракт на біржі і графік TradingView
+    const markup = this.buttons
+      ? { reply_markup: { inline_keyboard: [getTradeLinks(stats)] } }
+      : {};
+
+    const chatIds = this.getActiveChats(exclude, {
+      symbol: stats.symbol,
+      side: stats.dominantSide,
+      volumeUSD: stats.totalVolumeUSD
+    });
+
+    const results = await Promise.all(chatIds.map(chatId => {
+      const { text, options } = render(chatId);
+
+      return this.queue.send(chatId, text, { ...options, ...markup })
+        .then(sent => ({ chatId, messageId: sent.message_id }))
+        .catch(error => {
+          this.handleFailure(chatId, error, 'алерту');
+          return { chatId, error };
+        });
+    }));
+
+    const sent = results.filter(result => !result.error);
+    const failed = results.filter(result => result.error);
+    return {
+      messageRefs: sent,
+      delivered: sent.map(result => this.getRecipient(result.chatId)),
+      failed: failed.filter(result => !result.error.permanent).map(result => this.getRecipient(result.chatId)),
+      // 4xx (помилка розмітки шаблону, бот заблокований) - повтор не допоможе
+      rejected: failed.filter(result => result.error.permanent).map(result => ({
+        recipient: this.getRecipient(result.chatId),
+        reason: result.error.message,
+        reported: Boolean(result.error.chatUnavailable)
+      }))
+    };
+  }
+
+  /**
+   * Ескалація - відповідь на оригінальний алерт у кожному чаті
+   */
+  async sendEscalation(escalation) {
+    const render = this.createRenderer('escalation', escalation);
+    const refs = new Map(escalation.messageRefs.map(ref => [String(ref.chatId), ref.messageId]));
+
+    const chatIds = this.getActiveChats([], {
+      symbol: escalation.symbol,
+      side: escalation.side,
+      volumeUSD: escalation.cumulativeUSD
+    });
+
+    const promises = chatIds.map(chatId => {
+      const { text, options } = render(chatId);
+      const replyTo = refs.get(String(chatId));
+      const replyOptions = replyTo
+        ? { reply_to_message_id: replyTo, allow_sending_without_reply: true }
+        : {};
+
+      return this.queue.send(chatId, text, { ...options, ...replyOptions }).catch(error => {
+        this.handleFailure(chatId, error, 'ескалації');
+      });
+    });
 
     await Promise.all(promises);
   }
 
+  /**
+   * { delivered, failed } - як у sendAlert; постійні помилки не в failed
+   */
+  async sendMarketAlert(snapshot) {
+    const render = this.createRenderer('market', snapshot);
+    const chatIds = this.getActiveChats([], { side: snapshot.dominantSide });
+
+    const results = await Promise.all(chatIds.map(chatId => {
+      const { text, options } = render(chatId);
+
+      return this.queue.send(chatId, text, options)
+        .then(() => ({ chatId }))
+        .catch(error => {
+          this.handleFailure(chatId, error, 'ринкового алерту');
+          return { chatId, error };
+        });
+    }));
+
+    return {
+      delivered: results.filter(result => !result.error).map(result => this.getRecipient(result.chatId)),
+      failed: results
+        .filter(result => result.error && !result.error.permanent)
+        .map(result => this.getRecipient(result.chatId))
+    };
+  }
+
+  /**
+   * Службові повідомлення - всім чатам, без /prefs і тихих годин
+   */
   async sendStatus(message) {
-    const promises = this.chatIds.map(chatId =>
-      this.bot.sendMessage(chatId, message).catch(err => {
-        console.error(`[TELEGRAM] Помилка відправки статусу:`, err.message);
+    const promises = this.getActiveChats().map(chatId =>
+      this.queue.send(chatId, message).catch(error => {
+        this.handleFailure(chatId, error, 'статусу');
       })
     );
 
@@ -451,112 +1435,138 @@ class TelegramNotifier {
 }
 
 // ============================================================================
-// WEBSOCKET МЕНЕДЖЕР
+// МЕНЕДЖЕР ПОТОКІВ ЛІКВІДАЦІЙ (всі біржі)
 // ============================================================================
 
-class BinanceWebSocketManager {
-  constructor(aggregator, tokenFilter) {
+class LiquidationStreamManager {
+  constructor(aggregator, tokenFilter, options = {}) {
     this.aggregator = aggregator;
     this.tokenFilter = tokenFilter;
-    this.ws = null;
-    this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 10;
-    this.reconnectDelay = 5000;
-    this.isConnected = false;
+    this.recorder = options.recorder || null;
+    this.outcomeTracker = options.outcomeTracker || null;
+    this.marketRegime = options.marketRegime || null;
+    this.onStatusChange = options.onStatusChange || (() => {});
+    this.sources = createExchangeSources(
+      options.exchanges || CONFIG.EXCHANGES,
+      CONFIG,
+      (event) => this.handleLiquidation(event),
+      (change) => this.onStatusChange(change)
+    );
+    this.markPriceSource = options.markPrices
+      ? new BinanceMarkPriceSource(CONFIG.BINANCE_MARK_PRICE_WS, {
+          onPrice: (update) => this.handleMarkPrice(update),
+          onStatusChange: (change) => this.onStatusChange(change),
+          disconnectAlertMs: CONFIG.WS_DISCONNECT_ALERT_SEC * 1000
+        })
+      : null;
     this.processedCount = 0;
     this.filteredCount = 0;
   }
 
-  connect() {
-    console.log('[WS] Підключення до Binance Futures (глобальний стрім)...');
-    
-    this.ws = new WebSocket(CONFIG.BINANCE_WS);
-
-    this.ws.on('open', () => {
-      const validCount = this.tokenFilter.getValidTokens().length;
-      console.log('[WS] ✅ Підключено до глобального стріму');
-      console.log(`[WS] 🎯 Фільтрація на рівні обробки (${validCount} валідних токенів)`);
-      this.isConnected = true;
-      this.reconnectAttempts = 0;
-    });
+  get isConnected() {
+    return this.sources.some(source => source.isConnected);
+  }
 
-    this.ws.on('message', (data) => {
-      this.handleMessage(data);
-    });
+  async connect() {
+    const validCount = this.tokenFilter.getValidTokens().length;
+    console.log(`[WS] Біржі: ${this.sources.map(s => s.name).join(', ')}`);
+    console.log(`[WS] 🎯 Фільтрація на рівні обробки (${validCount} валідних токенів)`);
 
-    this.ws.on('error', (error) => {
-      console.error('[WS] Помилка:', error.message);
-    });
+    // Розміри контрактів MEXC тощо - до перших подій
+    await Promise.all(this.sources.map(source => source.prepare()));
 
-    this.ws.on('close', () => {
-      console.log('[WS] З\'єднання закрито');
-      this.isConnected = false;
-      this.reconnect();
-    });
+    for (const source of this.sources) {
+      source.connect();
+    }
+
+    if (this.markPriceSource) {
+      this.markPriceSource.connect();
+    }
   }
 
-  handleMessage(data) {
-    try {
-      const message = JSON.parse(data);
-      
-      if (!message.o) return;
+  /**
+   * Mark price лише для валідних або активних символів
+   */
+  handleMarkPrice(update) {
+    const { symbol, price, timestamp } = update;
+    if (!this.tokenFilter.isValid(symbol) && !this.aggregator.hasWindow(symbol)) return;
 
-      const order = message.o;
-      const symbol = order.s;
-      
-      this.processedCount++;
-      
-      // Фільтрація по MCAP + 24h Volume
-      if (!this.tokenFilter.isValid(symbol)) {
-        this.filteredCount++;
-        return;
-      }
-      
-      const side = order.S === 'BUY' ? 'SHORT' : 'LONG';
-      const price = parseFloat(order.p);
-      const quantity = parseFloat(order.q);
-      const volumeUSD = price * quantity;
-
-      this.aggregator.addLiquidation(symbol, {
-        side,
-        price,
-        quantity,
-        volumeUSD,
-        timestamp: Date.now()
-      });
+    this.aggregator.addMarkPrice(symbol, price, timestamp);
 
-    } catch (error) {
-      // Мовчки ігноруємо
+    if (this.outcomeTracker) {
+      this.outcomeTracker.onPrice(symbol, price, timestamp, 'mark');
+    }
+  }
+
+  handleLiquidation(event) {
+    this.processedCount++;
+
+    // Фільтрація по MCAP + 24h Volume
+    const isValid = this.tokenFilter.isValid(event.symbol);
+
+    if (this.recorder) {
+      this.recorder.record(event, !isValid);
+    }
+
+    // Ринковий режим рахується по всіх символах, до фільтру
+    if (this.marketRegime) {
+      this.marketRegime.observe(event);
+    }
+
+    // Ціна ліквідації - точка ціни для відстеження результатів, поки немає mark price
+    if (this.outcomeTracker) {
+      this.outcomeTracker.onPrice(event.symbol, event.price, event.timestamp);
+    }
+
+    if (!isValid) {
+      this.filteredCount++;
+      return;
     }
+
+    this.aggregator.addLiquidation(event.symbol, {
+      exchange: event.exchange,
+      side: event.side,
+      price: event.price,
+      quantity: event.quantity,
+      volumeUSD: event.volumeUSD,
+      timestamp: event.timestamp,
+      exchangeSymbol: event.exchangeSymbol
+    });
   }
 
   getStats() {
+    const byExchange = {};
+    for (const source of this.sources) {
+      byExchange[source.name] = {
+        connected: source.isConnected,
+        received: source.receivedCount,
+        lastMessageAt: source.lastMessageAt,
+        reconnects: source.reconnectAttempts,
+        clockSkewMs: source.clockSkewMs,
+        maxClockSkewMs: source.maxClockSkewMs
+      };
+    }
+
     return {
       processed: this.processedCount,
       filtered: this.filteredCount,
       filterRate: this.processedCount > 0 
         ? ((this.filteredCount / this.processedCount) * 100).toFixed(1)
-        : '0.0'
+        : '0.0',
+      byExchange,
+      markPrice: this.markPriceSource
+        ? { connected: this.markPriceSource.isConnected, received: this.markPriceSource.receivedCount }
+        : null
     };
   }
 
-  reconnect() {
-    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-      console.error('[WS] Досягнуто максимум спроб переподключення');
-      return;
+  close() {
+    for (const source of this.sources) {
+      source.close();
     }
 
-    this.reconnectAttempts++;
-    console.log(`[WS] Переподключення через ${this.reconnectDelay / 1000}с (спроба ${this.reconnectAttempts})`);
-    
-    setTimeout(() => {
-      this.connect();
-    }, this.reconnectDelay);
-  }
-
-  close() {
-    if (this.ws) {
-      this.ws.close();
+    if (this.markPriceSource) {
+      this.markPriceSource.close();
     }
   }
 }
@@ -567,11 +1577,25 @@ class BinanceWebSocketManager {
 // ============================================================================
 
 class AlertEngine {
-  constructor(aggregator, detector, cooldownManager, notifier) {
+  constructor(aggregator, detector, cooldownManager, notifier, options = {}) {
     this.aggregator = aggregator;
     this.detector = detector;
     this.cooldownManager = cooldownManager;
     this.notifier = notifier;
+    this.outcomeTracker = options.outcomeTracker || null;
+    this.nearMissDigest = options.nearMissDigest || null;
+    this.escalationTracker = options.escalationTracker || null;
+    this.marketRegime = options.marketRegime || null;
+    // Джерела контексту алерту (funding / OI і 24h об'єм / MCAP); без них - лише ліквідації
+    this.marketContext = options.marketContext || null;
+    this.tokenFilter = options.tokenFilter || null;
+    this.annotateRegime = options.annotateRegime !== undefined ? options.annotateRegime : CONFIG.MARKET_REGIME.ANNOTATE;
+    this.alertsSent = 0;
+    this.marketAlertsSent = 0;
+    this.escalationsSent = 0;
+    this.inFlight = new Set(); // ключі cooldown з алертом у черзі відправки
+    this.rejectionReports = new Map(); // отримувач -> час останнього звіту про постійну помилку
+    this.rejectionReportMs = options.rejectionReportMs || 60 * 60 * 1000;
     this.checkInterval = null;
     this.statsInterval = null;
   }
@@ -586,76 +1610,290 @@ class AlertEngine {
     this.statsInterval = setInterval(() => {
       if (wsManager) {
         const stats = wsManager.getStats();
-        console.log(`[STATS] Оброблено: ${stats.processed} | Відфільтровано: ${stats.filtered} (${stats.filterRate}%)`);
+        const exchangeInfo = Object.entries(stats.byExchange)
+          .map(([name, info]) => {
+            const skew = info.clockSkewMs !== null ? ` skew ${info.clockSkewMs.toFixed(0)}ms` : '';
+            return `${name}: ${info.received}${skew}${info.connected ? '' : ' ❌'}`;
+          })
+          .join(', ');
+        const aggregatorStats = this.aggregator.getStats();
+        console.log(
+          `[STATS] Оброблено: ${stats.processed} | Відфільтровано: ${stats.filtered} (${stats.filterRate}%) | ` +
+          `Запізнілих: ${aggregatorStats.lateDropped} | З майбутнього: ${aggregatorStats.futureDropped} | ${exchangeInfo}`
+        );
       }
     }, 60000);
   }
 
   checkAllWindows() {
     const symbols = this.aggregator.getAllActiveSymbols();
+    const pending = [...this.checkEscalations(), ...this.checkMarketRegime()];
+    const regime = this.marketRegime && this.annotateRegime ? this.marketRegime.getSnapshot() : null;
     
     for (const symbol of symbols) {
-      const stats = this.aggregator.getWindowStats(symbol);
-      
-      if (!stats) continue;
+      // Вікна від найкоротшого: різкий сплеск спрацьовує раніше за повільне накопичення
+      const handled = new Set(); // стратегії, вже відправлені або заблоковані cooldown у цій перевірці
+      for (const stats of this.aggregator.getAllWindowStats(symbol)) {
+        this.checkWindow(stats, regime, handled, pending);
+      }
+    }
 
-      // DEBUG: Показуємо великі вікна
-      const dominantVolumeUSD = stats.dominantSide === 'LONG' 
-        ? stats.longVolumeUSD 
-        : stats.shortVolumeUSD;
+    return Promise.all(pending);
+  }
+
+  /**
+   * Перевірка одного вікна символу; проміси відправки додаються в pending
+   */
+  checkWindow(stats, regime, handled, pending) {
+    const symbol = stats.symbol;
+    const windowLabel = this.aggregator.extraWindowsMs.length > 0 ? ` ${stats.windowSec}s` : '';
+    const verdicts = this.detector.evaluate(stats);
+    const volumeProgress = Math.max(...verdicts.map(getVolumeProgress));
+
+    // DEBUG: Показуємо великі вікна
+    const dominantVolumeUSD = stats.dominantSide === 'LONG' 
+      ? stats.longVolumeUSD 
+      : stats.shortVolumeUSD;
+    
+    if (volumeProgress >= 0.3) {
+      const domSide = stats.dominantSide === 'LONG' ? '🔴 LONG' : '🟢 SHORT';
+      const priceSign = stats.priceChange ? (stats.priceChange.changePercent >= 0 ? '+' : '') : '';
+      const priceStr = stats.priceChange ? `${priceSign}${stats.priceChange.changePercent.toFixed(2)}%` : 'N/A';
+      const verdictStr = verdicts
+        .map(verdict => (verdict.strategy ? `${verdict.strategy}:` : '') +
+          (verdict.pass ? '✅' : `❌ ${verdict.failed.map(rule => rule.name).join(',')}`))
+        .join(' ');
       
-      if (stats.totalVolumeUSD >= CONFIG.MIN_LIQUIDATION_USD * 0.3) {
-        const domSide = stats.dominantSide === 'LONG' ? '🔴 LONG' : '🟢 SHORT';
-        const priceSign = stats.priceChange ? (stats.priceChange.changePercent >= 0 ? '+' : '') : '';
-        const priceStr = stats.priceChange ? `${priceSign}${stats.priceChange.changePercent.toFixed(2)}%` : 'N/A';
-        
-        console.log(
-          `[DEBUG] ${symbol.padEnd(12)} | ${domSide.padEnd(10)} | ` +
-          `Total: ${(stats.totalVolumeUSD / 1000).toFixed(0)}K | ` +
-          `Dom: ${(dominantVolumeUSD / 1000).toFixed(0)}K (${stats.dominance.toFixed(0)}%) | ` +
-          `Price: ${priceStr} | ${stats.durationSec.toFixed(0)}s`
-        );
-      }
+      console.log(
+        `[DEBUG] ${(symbol + windowLabel).padEnd(12)} | ${domSide.padEnd(10)} | ` +
+        `Total: ${(stats.totalVolumeUSD / 1000).toFixed(0)}K | ` +
+        `Dom: ${(dominantVolumeUSD / 1000).toFixed(0)}K (${stats.dominance.toFixed(0)}%) | ` +
+        `Price: ${priceStr} | ${stats.durationSec.toFixed(0)}s | ${verdictStr}`
+      );
+    }
+
+    // Вікно наближається до порогу: прогріваємо кеш funding / OI,
+    // щоб алерт не чекав REST-запитів
+    if (this.marketContext && volumeProgress >= 0.5) {
+      this.marketContext.prefetch(symbol);
+    }
+
+    // Кожна стратегія дає власний алерт зі своїм cooldown
+    for (const verdict of verdicts) {
+      const strategyKey = verdict.strategy || '';
+      if (handled.has(strategyKey)) continue;
 
-      if (!this.detector.shouldAlert(stats)) {
+      const label = `${symbol}${windowLabel}${verdict.strategy ? ` [${verdict.strategy}]` : ''}`;
+
+      if (!verdict.pass) {
         // DEBUG: Чому не пройшов
-        if (stats.totalVolumeUSD >= CONFIG.MIN_LIQUIDATION_USD * 0.5) {
-          const reasons = [];
-          if (stats.totalVolumeUSD < CONFIG.MIN_LIQUIDATION_USD) {
-            reasons.push(`total<${(CONFIG.MIN_LIQUIDATION_USD / 1e6).toFixed(1)}M`);
-          }
-          if (stats.dominance < CONFIG.MIN_DOMINANCE) {
-            reasons.push(`dom<${CONFIG.MIN_DOMINANCE}%`);
-          }
-          const dominantThreshold = CONFIG.MIN_LIQUIDATION_USD * 0.8;
-          if (dominantVolumeUSD < dominantThreshold) {
-            reasons.push(`domSide<${(dominantThreshold / 1e6).toFixed(1)}M`);
-          }
-          if (stats.priceChange && Math.abs(stats.priceChange.changePercent) < CONFIG.MIN_PRICE_CHANGE_PERCENT) {
-            reasons.push(`price<${CONFIG.MIN_PRICE_CHANGE_PERCENT}%`);
-          }
-          if (reasons.length > 0) {
-            console.log(`[SKIP] ${symbol} - ${reasons.join(', ')}`);
-          }
+        if (volumeProgress >= 0.5) {
+          console.log(`[SKIP] ${label} - ${formatFailedRules(verdict)}`);
+        }
+
+        if (this.nearMissDigest && isNearMiss(
+          verdict,
+          CONFIG.NEAR_MISS.MAX_FAILED_RULES,
+          CONFIG.NEAR_MISS.TOLERANCE_PERCENT / 100
+        )) {
+          this.nearMissDigest.record(stats, verdict);
         }
         continue;
       }
 
-      const signature = this.detector.getSignature(stats);
-      if (!this.cooldownManager.canAlert(symbol, stats, signature)) {
-        console.log(`[COOLDOWN] ${symbol} - в cooldown`);
+      // Попередній алерт ще в черзі відправки (повтори після 429 / мережевих помилок)
+      if (this.inFlight.has(this.cooldownManager.getCooldownKey(symbol, verdict.strategy))) {
+        handled.add(strategyKey);
+        continue;
+      }
+
+      const signature = this.detector.getSignature(stats, verdict.strategy);
+      if (!this.cooldownManager.canAlert(symbol, stats, signature, verdict.strategy)) {
+        const reason = this.cooldownManager.isMuted(symbol) ? 'вимкнено (/mute)' : 'в cooldown';
+        console.log(`[COOLDOWN] ${label} - ${reason}`);
+        handled.add(strategyKey);
         continue;
       }
 
-      this.sendAlert(symbol, stats, signature);
+      const alertStats = { ...stats, marketRegime: regime };
+      if (verdict.strategy) {
+        alertStats.strategy = verdict.strategy;
+        alertStats.strategyTag = verdict.tag;
+      }
+      handled.add(strategyKey);
+      pending.push(this.sendAlert(symbol, alertStats, signature));
+    }
+  }
+
+  /**
+   * Ринковий flush - окремий тип алерту з власним cooldown
+   */
+  checkMarketRegime() {
+    if (!this.marketRegime) return [];
+
+    const snapshot = this.marketRegime.checkAlert();
+    return snapshot ? [this.sendMarketAlert(snapshot)] : [];
+  }
+
+  /**
+   * Cooldown режиму - лише якщо алерт комусь дійшов або нікому не призначений;
+   * тимчасова помилка в усіх каналах - повтор при наступній перевірці
+   */
+  async sendMarketAlert(snapshot) {
+    try {
+      const delivery = await this.notifier.sendMarketAlert(snapshot);
+      if (delivery.delivered.length === 0 && delivery.failed.length > 0) {
+        console.warn(
+          `[🌐 MARKET] ${snapshot.regime} не доставлено (${delivery.failed.join(', ')}), ` +
+          'повтор при наступній перевірці'
+        );
+        return;
+      }
+
+      this.marketRegime.recordAlert(snapshot.dominantSide);
+      if (delivery.delivered.length === 0) {
+        console.log(`[🌐 MARKET] ${snapshot.regime} - немає отримувачів (маршрути, /prefs)`);
+        return;
+      }
+      this.marketAlertsSent++;
+
+      console.log(
+        `[🌐 MARKET] ${snapshot.regime} | $${(snapshot.totalVolumeUSD / 1e6).toFixed(1)}M | ` +
+        `${snapshot.dominance.toFixed(0)}% ${snapshot.dominantSide} | ${snapshot.breadth} символів`
+      );
+    } catch (error) {
+      console.error('[ERROR] Помилка відправки ринкового алерту:', error.message);
+    }
+  }
+
+  /**
+   * Ріст каскадів, по яких уже був алерт і діє cooldown
+   */
+  checkEscalations() {
+    if (!this.escalationTracker) return [];
+
+    return this.escalationTracker.collectDue()
+      .filter(escalation => !this.cooldownManager.isMuted(escalation.symbol))
+      .map(escalation => this.sendEscalation(escalation));
+  }
+
+  async sendEscalation(escalation) {
+    try {
+      await this.notifier.sendEscalation(escalation);
+      this.escalationsSent++;
+
+      const strategyInfo = escalation.strategy ? ` [${escalation.strategy}]` : '';
+      console.log(
+        `[📈 ESCALATION] ${escalation.symbol}${strategyInfo} | ${escalation.side} | ` +
+        `$${(escalation.initialVolumeUSD / 1e6).toFixed(2)}M → $${(escalation.cumulativeUSD / 1e6).toFixed(2)}M ` +
+        `(x${escalation.level})`
+      );
+    } catch (error) {
+      console.error(`[ERROR] Помилка відправки ескалації ${escalation.symbol}:`, error.message);
     }
   }
 
+  /**
+   * Контекст для рішення по розвороту: funding, OI і його зміна за вікно,
+   * 24h об'єм і MCAP; лише кешовані дані (прогріті в checkWindow), без мережі.
+   * Відсутні дані - null, шаблон пропускає рядок
+   */
+  buildContext(stats) {
+    if (!this.marketContext && !this.tokenFilter) return null;
+
+    const market = this.marketContext
+      ? this.marketContext.getAlertContext(stats.symbol, stats.windowSec || stats.durationSec)
+      : null;
+    const metadata = this.tokenFilter ? this.tokenFilter.getTokenMetadata(stats.symbol) : null;
+
+    return {
+      ...market,
+      volume24h: metadata ? metadata.volume24h : null,
+      mcap: metadata ? metadata.mcap : null
+    };
+  }
+
+  /**
+   * Cooldown фіксується лише для отримувачів, що отримали алерт:
+   * решта (помилка після всіх повторів) отримає його при наступній перевірці.
+   * Поки вікно не дійшло до мін. об'єму якогось чату / каналу, вікно не
+   * скидається і загальний cooldown не діє - вони отримають алерт пізніше
+   */
   async sendAlert(symbol, stats, signature) {
+    const cooldownKey = this.cooldownManager.getCooldownKey(symbol, stats.strategy);
+    const exclude = this.cooldownManager.getDeliveredRecipients(cooldownKey);
+    const strategyInfo = stats.strategy ? ` [${stats.strategy}]` : '';
+
+    // До побудови контексту: кому алерт піде зараз
+    const recipients = this.notifier.getAlertRecipients(stats, { exclude });
+    if (recipients.eligible.length === 0) {
+      if (recipients.pending.length === 0) {
+        // Всі відфільтрували (/prefs, тихі години, маршрути): алерт оброблено,
+        // інакше вікно спрацьовувало б кожну перевірку і пішло б після тихих годин
+        this.cooldownManager.recordAlert(symbol, signature, stats.strategy);
+        this.aggregator.reset(symbol);
+        console.log(`[ALERT] ${symbol}${strategyInfo} - немає отримувачів (/prefs, тихі години, маршрути)`);
+      }
+      return;
+    }
+
+    this.inFlight.add(cooldownKey);
     try {
-      await this.notifier.sendAlert(stats);
-      
-      this.cooldownManager.recordAlert(symbol, signature);
+      stats.context = this.buildContext(stats);
+      const delivery = await this.notifier.sendAlert(stats, { exclude });
+
+      // Постійна помилка: для цих отримувачів алерт оброблено, без повторів
+      const rejected = delivery.rejected.map(entry => entry.recipient);
+      const handledRecipients = [...delivery.delivered, ...rejected];
+      this.reportRejected(symbol, strategyInfo, delivery.rejected);
+
+      if (handledRecipients.length === 0) {
+        if (delivery.failed.length > 0) {
+          console.warn(`[ALERT] ${symbol}${strategyInfo} не доставлено (${delivery.failed.join(', ')}), повтор при наступній перевірці`);
+        }
+        return;
+      }
+
+      if (delivery.failed.length > 0 || recipients.pending.length > 0) {
+        this.cooldownManager.recordDelivery(cooldownKey, handledRecipients);
+        if (delivery.failed.length > 0) {
+          console.warn(`[ALERT] ${symbol}${strategyInfo} не доставлено: ${delivery.failed.join(', ')}`);
+        }
+        if (recipients.pending.length > 0) {
+          console.log(`[ALERT] ${symbol}${strategyInfo} очікують мін. об'єму: ${recipients.pending.join(', ')}`);
+        }
+      } else {
+        this.cooldownManager.recordAlert(symbol, signature, stats.strategy);
+        this.aggregator.reset(symbol);
+      }
+
+      if (delivery.delivered.length === 0) return;
+
+      // Досилання отримувачам, яким попередня спроба не дійшла
+      if (exclude.length > 0) {
+        if (this.escalationTracker) {
+          this.escalationTracker.addMessageRefs(cooldownKey, delivery.messageRefs);
+        }
+        console.log(`[🚨 ALERT] ${symbol}${strategyInfo} досилання: ${delivery.delivered.join(', ')}`);
+        return;
+      }
+
+      this.alertsSent++;
+
+      const thresholdUSD = this.detector.getVolumeThresholdUSD(stats);
+      if (this.escalationTracker) {
+        this.escalationTracker.open(
+          cooldownKey,
+          stats,
+          thresholdUSD,
+          this.cooldownManager.getCooldownMs(cooldownKey),
+          delivery.messageRefs
+        );
+      }
+
+      if (this.outcomeTracker) {
+        this.outcomeTracker.track(stats, thresholdUSD);
+      }
       
       // 🔥 BYBIT СТИЛЬ: Логуємо об'єм домінуючої сторони
       const dominantVolumeUSD = stats.dominantSide === 'LONG' 
@@ -667,16 +1905,38 @@ class AlertEngine {
         : '';
       
       console.log(
-        `[🚨 ALERT] ${symbol} | ${stats.dominantSide} | ` +
+        `[🚨 ALERT] ${symbol}${strategyInfo} | ${stats.dominantSide} | ` +
         `$${(dominantVolumeUSD / 1e6).toFixed(2)}M | ` +
         `${stats.dominance.toFixed(1)}%${priceInfo}`
       );
       
-      this.aggregator.reset(symbol);
-      
     } catch (error) {
       console.error(`[ERROR] Помилка відправки алерту ${symbol}:`, error.message);
+    } finally {
+      this.inFlight.delete(cooldownKey);
+    }
+  }
+
+  /**
+   * Статус про отримувачів з постійною помилкою - один на отримувача
+   * за rejectionReportMs, щоб зламаний канал не засипав інші
+   */
+  reportRejected(symbol, strategyInfo, rejected) {
+    const now = Date.now();
+    const fresh = rejected.filter(entry => !entry.reported &&
+      now - (this.rejectionReports.get(entry.recipient) || 0) >= this.rejectionReportMs);
+    if (fresh.length === 0) return;
+
+    for (const entry of fresh) {
+      this.rejectionReports.set(entry.recipient, now);
     }
+
+    const message = `⚠️ Алерт ${symbol}${strategyInfo} відхилено без повторів:\n` +
+      fresh.map(entry => `• ${entry.recipient}: ${entry.reason}`).join('\n');
+    console.error(`[ALERT] ${message}`);
+    this.notifier.sendStatus(message).catch(error => {
+      console.error('[NOTIFY] Помилка відправки статусу:', error.message);
+    });
   }
 
   stop() {
@@ -696,27 +1956,153 @@ class AlertEngine {
 class BinanceLiquidationBot {
   constructor() {
     this.tokenFilter = new TokenFilter(CONFIG.FILTER_CONFIG);
-    this.priceTracker = new PriceTracker(CONFIG.PRICE_CHANGE_WINDOW_SEC); // 🆕
+    // Вікна рахуються за часом подій біржі, а не за часом отримання
+    this.eventClock = new EventTimeClock(
+      systemClock,
+      CONFIG.MAX_EVENT_LATENESS_SEC * 1000,
+      CONFIG.MAX_EVENT_LEAD_SEC * 1000
+    );
+    this.priceTracker = new PriceTracker(
+      CONFIG.PRICE_CHANGE_WINDOW_SEC,
+      this.eventClock,
+      CONFIG.MARK_PRICE_TTL_SEC * 1000
+    ); // 🆕
     this.aggregator = new LiquidationAggregator(
       CONFIG.AGGREGATION_WINDOW_SEC,
-      this.priceTracker // 🆕
+      this.priceTracker, // 🆕
+      this.eventClock,
+      CONFIG.AGGREGATION_EXTRA_WINDOWS_SEC
     );
     this.detector = new SignalDetector();
+    this.ruleEngine = CONFIG.ALERT_RULES_FILE
+      ? new RuleEngine({ filePath: CONFIG.ALERT_RULES_FILE })
+      : null;
+    this.detector.setRuleEngine(this.ruleEngine);
     this.cooldownManager = new CooldownManager(
       CONFIG.COOLDOWN_MINUTES,
       CONFIG.DEDUP_WINDOW_SEC
     );
-    this.notifier = new TelegramNotifier(
-      CONFIG.TELEGRAM_TOKEN,
-      CONFIG.TELEGRAM_CHAT_IDS
-    );
-    this.wsManager = new BinanceWebSocketManager(this.aggregator, this.tokenFilter);
+    this.alertTemplates = new AlertTemplates({ filePath: CONFIG.ALERT_TEMPLATES_FILE });
+    this.chatPreferences = new ChatPreferences(CONFIG.CHAT_PREFERENCES_FILE, {
+      defaults: { template: CONFIG.ALERT_TEMPLATE, language: CONFIG.ALERT_LANGUAGE }
+    });
+    this.telegram = CONFIG.TELEGRAM_TOKEN && CONFIG.TELEGRAM_CHAT_IDS.length > 0
+      ? new TelegramNotifier(CONFIG.TELEGRAM_TOKEN, CONFIG.TELEGRAM_CHAT_IDS, {
+          queue: {
+            globalPerSec: CONFIG.TELEGRAM_QUEUE.GLOBAL_PER_SEC,
+            chatIntervalMs: CONFIG.TELEGRAM_QUEUE.CHAT_INTERVAL_MS,
+            groupIntervalMs: CONFIG.TELEGRAM_QUEUE.GROUP_INTERVAL_MS,
+            maxRetries: CONFIG.TELEGRAM_QUEUE.MAX_RETRIES
+          },
+          suspendMs: CONFIG.TELEGRAM_QUEUE.SUSPEND_MINUTES * 60 * 1000,
+          preferences: this.chatPreferences,
+          formatter: new AlertFormatter(this.alertTemplates),
+          // Недоступний чат - повідомлення в усі канали, не лише Telegram
+          onChatUnavailable: (message) => this.notifier.sendStatus(message)
+        })
+      : null;
+    this.notifier = new CompositeNotifier(createNotifierChannels(CONFIG.NOTIFIERS, {
+      // Інші канали - звичайний текст без розмітки Telegram
+      formatter: new AlertFormatter(this.alertTemplates, { template: 'default' }),
+      telegram: this.telegram
+    }));
+    this.marketContext = new MarketContextClient();
+    this.relativeVolume = new RelativeVolumeCalculator({
+      tokenFilter: this.tokenFilter,
+      marketContext: this.marketContext,
+      useOpenInterest: CONFIG.DETECTOR_MODE === 'oi_ratio',
+      bucketMs: CONFIG.AGGREGATION_WINDOW_SEC * 1000,
+      baselineSamples: Math.ceil(CONFIG.BASELINE_HOURS * 3600 / CONFIG.AGGREGATION_WINDOW_SEC)
+    });
+    this.aggregator.setRelativeVolume(this.relativeVolume);
+    this.profiles = CONFIG.THRESHOLD_PROFILES_FILE
+      ? new ThresholdProfiles({
+          filePath: CONFIG.THRESHOLD_PROFILES_FILE,
+          tokenFilter: this.tokenFilter
+        })
+      : null;
+    if (this.profiles) {
+      this.detector.setProfiles(this.profiles);
+      this.cooldownManager.setProfiles(this.profiles);
+      this.aggregator.setProfiles(this.profiles);
+    }
+    this.recorder = CONFIG.RECORDER.ENABLED
+      ? new LiquidationRecorder({
+          dir: CONFIG.RECORDER.DIR,
+          format: CONFIG.RECORDER.FORMAT,
+          retentionDays: CONFIG.RECORDER.RETENTION_DAYS
+        })
+      : null;
+    this.outcomeTracker = CONFIG.OUTCOMES.ENABLED
+      ? new OutcomeTracker({
+          horizonsMin: CONFIG.OUTCOMES.HORIZONS_MIN,
+          filePath: CONFIG.OUTCOMES.FILE,
+          dailyReport: CONFIG.OUTCOMES.DAILY_REPORT,
+          reportHourUTC: CONFIG.OUTCOMES.REPORT_HOUR_UTC,
+          markTtlMs: CONFIG.MARK_PRICE_TTL_SEC * 1000
+        })
+      : null;
+    this.nearMissDigest = CONFIG.NEAR_MISS.ENABLED
+      ? new NearMissDigest({
+          intervalMin: CONFIG.NEAR_MISS.INTERVAL_MIN,
+          maxItems: CONFIG.NEAR_MISS.MAX_ITEMS
+        })
+      : null;
+    this.marketRegime = CONFIG.MARKET_REGIME.ENABLED
+      ? new MarketRegimeDetector({
+          windowSec: CONFIG.MARKET_REGIME.WINDOW_SEC,
+          minVolumeUSD: CONFIG.MARKET_REGIME.MIN_VOLUME_USD,
+          minSymbols: CONFIG.MARKET_REGIME.MIN_SYMBOLS,
+          minDominance: CONFIG.MARKET_REGIME.MIN_DOMINANCE,
+          cooldownMinutes: CONFIG.MARKET_REGIME.COOLDOWN_MINUTES,
+          clock: this.eventClock
+        })
+      : null;
+    this.wsManager = new LiquidationStreamManager(this.aggregator, this.tokenFilter, {
+      markPrices: CONFIG.MARK_PRICE_FEED,
+      onStatusChange: (change) => this.handleStreamStatus(change),
+      recorder: this.recorder,
+      outcomeTracker: this.outcomeTracker,
+      marketRegime: this.marketRegime
+    });
+    this.escalationTracker = CONFIG.ESCALATION_ALERTS ? new EscalationTracker() : null;
+    this.aggregator.setEscalationTracker(this.escalationTracker);
     this.alertEngine = new AlertEngine(
       this.aggregator,
       this.detector,
       this.cooldownManager,
-      this.notifier
+      this.notifier,
+      {
+        outcomeTracker: this.outcomeTracker,
+        nearMissDigest: this.nearMissDigest,
+        escalationTracker: this.escalationTracker,
+        marketRegime: this.marketRegime,
+        marketContext: CONFIG.ALERT_CONTEXT ? this.marketContext : null,
+        tokenFilter: CONFIG.ALERT_CONTEXT ? this.tokenFilter : null
+      }
     );
+    this.healthServer = CONFIG.HEALTH_PORT
+      ? new HealthServer({
+          wsManager: this.wsManager,
+          tokenFilter: this.tokenFilter,
+          aggregator: this.aggregator,
+          alertEngine: this.alertEngine,
+          notifier: this.notifier
+        }, { port: CONFIG.HEALTH_PORT })
+      : null;
+    this.stateStore = new StateStore(CONFIG.STATE_FILE);
+    this.stateInterval = null;
+    this.commandHandler = CONFIG.TELEGRAM_COMMANDS && this.telegram
+      ? new TelegramCommandHandler(this.telegram.bot, CONFIG.TELEGRAM_CHAT_IDS, {
+          detector: this.detector,
+          cooldownManager: this.cooldownManager,
+          aggregator: this.aggregator,
+          tokenFilter: this.tokenFilter,
+          wsManager: this.wsManager,
+          chatPreferences: this.chatPreferences,
+          alertTemplates: this.alertTemplates
+        })
+      : null;
   }
 
   async start() {
@@ -724,9 +2110,11 @@ class BinanceLiquidationBot {
     console.log('BINANCE FUTURES LIQUIDATION ALERT BOT (ENHANCED)');
     console.log('='.repeat(70));
     console.log('ФІЛЬТРИ ЛІКВІДАЦІЙ (ВСІ МАЮ ВИКОНАТИСЬ):');
-    console.log(`  1️⃣ Загальний об\'єм >= ${(CONFIG.MIN_LIQUIDATION_USD / 1e6).toFixed(1)}M`);
+    console.log(`  Режим: ${CONFIG.DETECTOR_MODE}`);
+    const volumeThresholds = this.describeVolumeThresholds();
+    console.log(`  1️⃣ Загальний об\'єм ${volumeThresholds.total}`);
     console.log(`  2️⃣ Домінування >= ${CONFIG.MIN_DOMINANCE}%`);
-    console.log(`  3️⃣ Об\'єм домінуючої сторони >= ${(CONFIG.MIN_LIQUIDATION_USD * 0.8 / 1e6).toFixed(1)}M (80%)`);
+    console.log(`  3️⃣ Об\'єм домінуючої сторони ${volumeThresholds.dominant}`);
     console.log(`  4️⃣ Зміна ціни: ${CONFIG.MIN_PRICE_CHANGE_PERCENT}%-${CONFIG.MAX_PRICE_CHANGE_PERCENT}%`);
     console.log(`  5️⃣ Напрямок ціни відповідає ліквідації`);
     console.log('—'.repeat(70));
@@ -735,45 +2123,155 @@ class BinanceLiquidationBot {
     console.log(`  24h Volume: ${this.formatNum(CONFIG.FILTER_CONFIG.MIN_VOLUME_24H)} - ${this.formatNum(CONFIG.FILTER_CONFIG.MAX_VOLUME_24H)}`);
     console.log('—'.repeat(70));
     console.log('ПАРАМЕТРИ:');
-    console.log(`  Вікно агрегації: ${CONFIG.AGGREGATION_WINDOW_SEC}с`);
-    console.log(`  Вікно зміни ціни: ${CONFIG.PRICE_CHANGE_WINDOW_SEC}с`);
+    console.log(`  Біржі: ${CONFIG.EXCHANGES.join(', ')}`);
+    console.log(`  Вікно агрегації: ${[CONFIG.AGGREGATION_WINDOW_SEC, ...CONFIG.AGGREGATION_EXTRA_WINDOWS_SEC].join('/')}с`);
+    console.log(`  Вікно зміни ціни: ${CONFIG.PRICE_CHANGE_WINDOW_SEC}с (${CONFIG.MARK_PRICE_FEED ? 'mark price' : 'ціни ліквідацій'})`);
     console.log(`  Cooldown: ${CONFIG.COOLDOWN_MINUTES} хв`);
     console.log('='.repeat(70));
 
+    // Некоректний файл правил зупиняє старт; далі - hot reload
+    if (this.ruleEngine) {
+      console.log(`\n📜 Правила алертів: ${CONFIG.ALERT_RULES_FILE} (замість вбудованих фільтрів)`);
+      this.ruleEngine.load();
+      this.ruleEngine.watch();
+    }
+
+    // Некоректний файл шаблонів теж зупиняє старт
+    this.alertTemplates.load();
+
     console.log('\n⏳ Ініціалізація фільтру токенів...');
     await this.tokenFilter.initialize();
 
     const stats = this.tokenFilter.getStats();
     console.log('\n📊 ФІЛЬТРАЦІЯ ЗАВЕРШЕНА');
     console.log(`   Валідних токенів: ${stats.total}`);
+    if (stats.dataSource) {
+      console.log(`   Джерело: ${stats.dataSource.provider}${stats.dataSource.fromSnapshot ? ' (знімок з диску)' : ''}`);
+    }
     console.log(`   MCAP: ${stats.config.mcapRange}`);
-    console.log(`   Volume: ${stats.config.volumeRange}\n`);
+    console.log(`   Volume: ${stats.config.volumeRange}`);
+    console.log(`   Відхилено: MCAP ${stats.rejections.mcap} | Volume ${stats.rejections.volume}\n`);
+
+    this.chatPreferences.load();
+
+    // Недоступний канал (зокрема Telegram) не зупиняє бота
+    const channels = await this.notifier.start();
+    await this.notifier.sendStatus(
+      '🚀 Binance Liquidation Bot (Enhanced) запущено\n\n' +
+      `✅ Валідних токенів: ${stats.total}\n` +
+      `✅ MCAP: ${stats.config.mcapRange}\n` +
+      `✅ 24h Volume: ${stats.config.volumeRange}\n\n` +
+      `ФІЛЬТРИ ЛІКВІДАЦІЙ:\n` +
+      `💰 Загальний об\'єм ${volumeThresholds.total}\n` +
+      `📊 Домінування >= ${CONFIG.MIN_DOMINANCE}%\n` +
+      `🔥 Домінуюча сторона ${volumeThresholds.dominant}\n` +
+      `📈 Зміна ціни: ${CONFIG.MIN_PRICE_CHANGE_PERCENT}%-${CONFIG.MAX_PRICE_CHANGE_PERCENT}%`
+    );
+    console.log(`[NOTIFY] Канали: ${channels.join(', ') || 'немає'}\n`);
 
-    try {
-      await this.notifier.sendStatus(
-        '🚀 Binance Liquidation Bot (Enhanced) запущено\n\n' +
-        `✅ Валідних токенів: ${stats.total}\n` +
-        `✅ MCAP: ${stats.config.mcapRange}\n` +
-        `✅ 24h Volume: ${stats.config.volumeRange}\n\n` +
-        `ФІЛЬТРИ ЛІКВІДАЦІЙ:\n` +
-        `💰 Загальний об\'єм >= ${(CONFIG.MIN_LIQUIDATION_USD / 1e6).toFixed(1)}M\n` +
-        `📊 Домінування >= ${CONFIG.MIN_DOMINANCE}%\n` +
-        `🔥 Домінуюча сторона >= ${(CONFIG.MIN_LIQUIDATION_USD * 0.8 / 1e6).toFixed(1)}M\n` +
-        `📈 Зміна ціни: ${CONFIG.MIN_PRICE_CHANGE_PERCENT}%-${CONFIG.MAX_PRICE_CHANGE_PERCENT}%`
-      );
-      console.log('[TELEGRAM] ✅ Підключено\n');
-    } catch (error) {
-      console.error('[TELEGRAM] ❌ Помилка:', error.message);
-      process.exit(1);
+    if (this.recorder) {
+      this.recorder.start();
+    }
+
+    this.restoreState();
+    this.stateInterval = setInterval(() => {
+      this.saveState();
+    }, CONFIG.STATE_SNAPSHOT_SEC * 1000);
+
+    if (this.outcomeTracker) {
+      this.outcomeTracker.start(this.notifier);
+    }
+
+    if (this.nearMissDigest) {
+      this.nearMissDigest.start(this.notifier);
     }
 
-    this.wsManager.connect();
+    await this.wsManager.connect();
     this.alertEngine.start(this.wsManager);
 
+    if (this.healthServer) {
+      this.healthServer.start();
+    }
+
+    if (this.commandHandler) {
+      this.commandHandler.start();
+    }
+
     process.on('SIGINT', () => this.shutdown());
     process.on('SIGTERM', () => this.shutdown());
   }
 
+  restoreState() {
+    const state = this.stateStore.load();
+    if (!state) return;
+
+    this.cooldownManager.importState(state.cooldown || {});
+    this.aggregator.importState(state.aggregator || {});
+    this.relativeVolume.importState(state.relativeVolume || {});
+    if (this.outcomeTracker) {
+      this.outcomeTracker.importState(state.outcomes || {});
+    }
+
+    const ageSec = Math.round((Date.now() - state.savedAt) / 1000);
+    console.log(
+      `[STATE] 💾 Відновлено стан (${ageSec}с тому): ` +
+      `cooldown ${this.cooldownManager.cooldowns.size}, ` +
+      `дедуплікація ${this.cooldownManager.recentAlerts.size}, ` +
+      `вікон ${this.aggregator.windows.size}, ` +
+      `історія об'єму ${this.relativeVolume.baseline.symbols.size} монет` +
+      (this.outcomeTracker ? `, результатів в очікуванні ${this.outcomeTracker.pending.size}` : '')
+    );
+  }
+
+  saveState() {
+    try {
+      this.stateStore.save({
+        cooldown: this.cooldownManager.exportState(),
+        aggregator: this.aggregator.exportState(),
+        relativeVolume: this.relativeVolume.exportState(),
+        outcomes: this.outcomeTracker ? this.outcomeTracker.exportState() : null
+      });
+    } catch (error) {
+      console.error('[STATE] Помилка збереження стану:', error.message);
+    }
+  }
+
+  /**
+   * Тривалий розрив з'єднання та відновлення -> Telegram
+   */
+  handleStreamStatus({ source, status, downtimeMs }) {
+    const downtime = `${Math.round(downtimeMs / 1000)}с`;
+    const message = status === 'down'
+      ? `⚠️ ${source}: немає з'єднання вже ${downtime}, перепідключаємось...`
+      : `✅ ${source}: з'єднання відновлено (простій ${downtime})`;
+
+    console.log(`[WS] ${message}`);
+    this.notifier.sendStatus(message).catch(error => {
+      console.error('[TELEGRAM] Помилка відправки статусу:', error.message);
+    });
+  }
+
+  /**
+   * Пороги об'єму для банера і статусу запуску; у відносних режимах
+   * абсолютний поріг не діє (див. SignalDetector.evaluateBuiltin)
+   */
+  describeVolumeThresholds() {
+    const relative = {
+      volume_ratio: `>= ${CONFIG.MIN_VOLUME_RATIO_PERCENT}% від 24h volume`,
+      oi_ratio: `>= ${CONFIG.MIN_OI_RATIO_PERCENT}% від open interest`,
+      zscore: `z-score >= ${CONFIG.MIN_ZSCORE} (історія ${CONFIG.BASELINE_HOURS} год)`
+    }[CONFIG.DETECTOR_MODE];
+
+    if (relative) {
+      return { total: relative, dominant: `>= ${this.formatNum(CONFIG.MIN_RELATIVE_USD)}` };
+    }
+    return {
+      total: `>= ${(CONFIG.MIN_LIQUIDATION_USD / 1e6).toFixed(1)}M`,
+      dominant: `>= ${(CONFIG.MIN_LIQUIDATION_USD * CONFIG.DOMINANT_SIDE_FACTOR / 1e6).toFixed(1)}M ` +
+        `(${(CONFIG.DOMINANT_SIDE_FACTOR * 100).toFixed(0)}%)`
+    };
+  }
+
   formatNum(num) {
     if (num >= 1_000_000) {
       return `${(num / 1_000_000).toFixed(1)}M`;
@@ -786,9 +2284,40 @@ class BinanceLiquidationBot {
     
     this.alertEngine.stop();
     this.tokenFilter.stop();
+
+    if (this.stateInterval) {
+      clearInterval(this.stateInterval);
+    }
+    this.saveState();
+
+    if (this.outcomeTracker) {
+      this.outcomeTracker.stop();
+    }
+
+    if (this.nearMissDigest) {
+      this.nearMissDigest.stop();
+    }
+
+    if (this.ruleEngine) {
+      this.ruleEngine.stop();
+    }
+
     this.wsManager.close();
+
+    if (this.healthServer) {
+      this.healthServer.stop();
+    }
+
+    if (this.commandHandler) {
+      await this.commandHandler.stop();
+    }
+
+    if (this.recorder) {
+      await this.recorder.close();
+    }
     
     await this.notifier.sendStatus('⛔ Binance Liquidation Bot зупинено');
+    this.notifier.stop();
     
     process.exit(0);
   }
@@ -806,4 +2335,17 @@ if (require.main === module) {
   });
 }
 
-module.exports = { BinanceLiquidationBot };
\ No newline at end of file
+module.exports = {
+  BinanceLiquidationBot,
+  LiquidationStreamManager,
+  PriceTracker,
+  LiquidationAggregator,
+  SignalDetector,
+  CooldownManager,
+  AlertFormatter,
+  TelegramNotifier,
+  AlertEngine,
+  CONFIG,
+  systemClock,
+  EventTimeClock
+};
\ No newline at end of file
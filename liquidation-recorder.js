@@ -0,0 +1,163 @@
+// ============================================================================
+// LIQUIDATION RECORDER
+// Запис всіх нормалізованих ліквідацій (включно з відфільтрованими)
+// в щоденні gzip файли JSONL або CSV з автоматичним видаленням старих.
+// Кожен запуск пише новий файл (liquidations-<день>-<n>.<формат>.gz): дописаний
+// після аварійно обірваного gzip member gunzip уже не прочитає
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const CSV_COLUMNS = ['timestamp', 'exchange', 'symbol', 'side', 'price', 'quantity', 'volumeUSD', 'filtered'];
+const FILE_PATTERN = /^liquidations-(\d{4}-\d{2}-\d{2})(?:-\d+)?\.(jsonl|csv)\.gz$/;
+
+class LiquidationRecorder {
+  constructor(options = {}) {
+    this.dir = options.dir || './data/liquidations';
+    this.format = options.format === 'csv' ? 'csv' : 'jsonl';
+    this.retentionDays = options.retentionDays || 30;
+    this.clock = options.clock || { now: () => Date.now() };
+    this.currentDay = null;
+    this.stream = null;
+    this.fileStream = null;
+    this.recordedCount = 0;
+    this.disabled = false; // після помилки диску (ENOSPC, EACCES)
+  }
+
+  start() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.cleanupOldFiles();
+    console.log(`[RECORDER] ✅ Запис ліквідацій у ${this.dir} (${this.format}.gz, ${this.retentionDays} днів)`);
+  }
+
+  /**
+   * filtered = true для подій, відхилених фільтром токенів
+   */
+  record(event, filtered) {
+    if (this.disabled) return;
+
+    const day = new Date(event.timestamp || this.clock.now()).toISOString().slice(0, 10);
+    if (day !== this.currentDay) {
+      this.rotate(day);
+    }
+
+    const row = {
+      timestamp: event.timestamp,
+      exchange: event.exchange,
+      symbol: event.symbol,
+      side: event.side,
+      price: event.price,
+      quantity: event.quantity,
+      volumeUSD: event.volumeUSD,
+      filtered
+    };
+
+    this.stream.write(this.format === 'csv' ? this.toCsvLine(row) : JSON.stringify(row) + '\n');
+    this.recordedCount++;
+  }
+
+  toCsvLine(row) {
+    return CSV_COLUMNS.map(column => row[column]).join(',') + '\n';
+  }
+
+  /**
+   * Перший вільний файл дня: liquidations-<день>.<формат>.gz, далі -1, -2...
+   */
+  getFilePath(day) {
+    for (let part = 0; ; part++) {
+      const suffix = part === 0 ? '' : `-${part}`;
+      const filePath = path.join(this.dir, `liquidations-${day}${suffix}.${this.format}.gz`);
+      if (!fs.existsSync(filePath)) return filePath;
+    }
+  }
+
+  rotate(day) {
+    if (this.stream) {
+      this.stream.end();
+    }
+
+    const filePath = this.getFilePath(day);
+    const gzip = zlib.createGzip();
+    const fileStream = fs.createWriteStream(filePath, { flags: 'wx' });
+    gzip.pipe(fileStream);
+    gzip.on('error', (error) => this.disable(error));
+    // Без обробника 'error' потоку файлу ENOSPC / EACCES зупиняє весь бот
+    fileStream.on('error', (error) => this.disable(error));
+    this.fileStream = fileStream;
+
+    if (this.format === 'csv') {
+      gzip.write(CSV_COLUMNS.join(',') + '\n');
+    }
+
+    this.stream = gzip;
+    if (this.currentDay !== null) {
+      this.cleanupOldFiles();
+    }
+    this.currentDay = day;
+  }
+
+  /**
+   * Помилка диску: запис вимикається до рестарту, бот працює далі
+   */
+  disable(error) {
+    if (this.disabled) return;
+
+    this.disabled = true;
+    console.error('[RECORDER] ❌ Помилка запису, запис ліквідацій вимкнено:', error.message);
+
+    const gzip = this.stream;
+    this.stream = null;
+    this.fileStream = null;
+    this.currentDay = null;
+    if (gzip) {
+      gzip.unpipe();
+      gzip.destroy();
+    }
+  }
+
+  cleanupOldFiles() {
+    const cutoff = this.clock.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+
+    let files;
+    try {
+      files = fs.readdirSync(this.dir);
+    } catch (error) {
+      return;
+    }
+
+    for (const file of files) {
+      const match = FILE_PATTERN.exec(file);
+      if (!match) continue;
+
+      // Файл дня D містить події до кінця дня D
+      const dayEnd = Date.parse(`${match[1]}T00:00:00Z`) + 24 * 60 * 60 * 1000;
+      if (dayEnd < cutoff) {
+        fs.unlinkSync(path.join(this.dir, file));
+        console.log(`[RECORDER] Видалено старий файл ${file}`);
+      }
+    }
+  }
+
+  /**
+   * Закриття з дочеканням запису на диск
+   */
+  close() {
+    if (!this.stream) return Promise.resolve();
+
+    const gzip = this.stream;
+    const fileStream = this.fileStream;
+    this.stream = null;
+    this.fileStream = null;
+    this.currentDay = null;
+
+    return new Promise(resolve => {
+      fileStream.on('finish', resolve);
+      fileStream.on('error', resolve);
+      gzip.end();
+    });
+  }
+}
+
+module.exports = { LiquidationRecorder };
@@ -0,0 +1,224 @@
+// ============================================================================
+// MARKET CONTEXT CLIENT
+// Дані ринку по контракту з Binance Futures REST (open interest, funding,
+// історія OI). Кешується і оновлюється у фоні: get* ніколи не блокує обробку,
+// тому алерт не чекає мережі - кеш прогрівається prefetch до спрацювання
+// ============================================================================
+
+const { httpsGet } = require('./market-data-providers');
+
+// Історія OI: 5-хвилинні точки Binance, 30 точок = 2.5 год
+const OI_HISTORY_PERIOD = '5m';
+const OI_HISTORY_LIMIT = 30;
+
+class MarketContextClient {
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || 'https://fapi.binance.com';
+    this.ttlMs = options.ttlMs || 60_000;
+    this.symbolsTtlMs = options.symbolsTtlMs || 60 * 60 * 1000;
+    // Підміна HTTP в тестах / локально
+    this.fetchJson = options.fetchJson || ((url) => httpsGet(url, { retries: 1 }));
+    this.openInterest = new Map(); // symbol -> { value, fetchedAt }
+    this.funding = new Map(); // symbol -> { value: { fundingRatePercent, nextFundingTime, markPrice }, fetchedAt }
+    this.openInterestHistory = new Map(); // symbol -> { value: [{ openInterest, timestamp }], fetchedAt }
+    this.symbols = null; // Set контрактів у торгівлі на Binance (null - ще не завантажено)
+    this.symbolsFetchedAt = 0;
+    this.inFlight = new Set();
+    this.errorCount = 0;
+  }
+
+  /**
+   * Чи торгується контракт на Binance; до завантаження списку - так
+   * (символи лише з MEXC інакше давали б 400 на кожен запит)
+   */
+  isListed(symbol) {
+    if (Date.now() - this.symbolsFetchedAt > this.symbolsTtlMs) {
+      this.refresh('exchangeInfo', () => this.fetchSymbols());
+    }
+    return this.symbols === null || this.symbols.has(symbol);
+  }
+
+  async fetchSymbols() {
+    const data = await this.fetchJson(`${this.baseUrl}/fapi/v1/exchangeInfo`);
+    this.symbols = new Set(
+      (data.symbols || [])
+        .filter(contract => contract.status === 'TRADING')
+        .map(contract => contract.symbol)
+    );
+    this.symbolsFetchedAt = Date.now();
+  }
+
+  /**
+   * Кешоване значення або null; застаріле - оновлення у фоні
+   */
+  getCached(cache, symbol, key, fetcher) {
+    const cached = cache.get(symbol);
+    if (!cached || Date.now() - cached.fetchedAt > this.ttlMs) {
+      this.refresh(key, fetcher);
+    }
+    return cached ? cached.value : null;
+  }
+
+  /**
+   * Open interest в базовій валюті (кешоване значення або null)
+   */
+  getOpenInterest(symbol) {
+    if (!this.isListed(symbol)) return null;
+    return this.getCached(this.openInterest, symbol, `oi:${symbol}`, () => this.fetchOpenInterest(symbol));
+  }
+
+  async fetchOpenInterest(symbol) {
+    const data = await this.fetchJson(`${this.baseUrl}/fapi/v1/openInterest?symbol=${symbol}`);
+    const value = parseFloat(data.openInterest);
+    if (Number.isFinite(value)) {
+      this.openInterest.set(symbol, { value, fetchedAt: Date.now() });
+    }
+    return value;
+  }
+
+  /**
+   * { fundingRatePercent, nextFundingTime, markPrice } з premiumIndex або null
+   */
+  getFunding(symbol) {
+    if (!this.isListed(symbol)) return null;
+    return this.getCached(this.funding, symbol, `funding:${symbol}`, () => this.fetchFunding(symbol));
+  }
+
+  async fetchFunding(symbol) {
+    const data = await this.fetchJson(`${this.baseUrl}/fapi/v1/premiumIndex?symbol=${symbol}`);
+    const value = {
+      fundingRatePercent: parseFloat(data.lastFundingRate) * 100,
+      nextFundingTime: data.nextFundingTime || null,
+      markPrice: parseFloat(data.markPrice)
+    };
+    this.funding.set(symbol, { value, fetchedAt: Date.now() });
+    return value;
+  }
+
+  /**
+   * [{ openInterest, timestamp }] за зростанням часу або null
+   */
+  getOpenInterestHistory(symbol) {
+    if (!this.isListed(symbol)) return null;
+    return this.getCached(
+      this.openInterestHistory,
+      symbol,
+      `oiHist:${symbol}`,
+      () => this.fetchOpenInterestHistory(symbol)
+    );
+  }
+
+  async fetchOpenInterestHistory(symbol) {
+    const history = await this.fetchJson(
+      `${this.baseUrl}/futures/data/openInterestHist?symbol=${symbol}` +
+      `&period=${OI_HISTORY_PERIOD}&limit=${OI_HISTORY_LIMIT}`
+    );
+    if (!Array.isArray(history)) return null;
+
+    const value = history
+      .map(point => ({ openInterest: parseFloat(point.sumOpenInterest), timestamp: point.timestamp }))
+      .filter(point => Number.isFinite(point.openInterest) && point.openInterest > 0)
+      .sort((a, b) => a.timestamp - b.timestamp);
+    this.openInterestHistory.set(symbol, { value, fetchedAt: Date.now() });
+    return value;
+  }
+
+  /**
+   * Прогрів кешу для символу, що наближається до порогу алерту
+   */
+  prefetch(symbol) {
+    this.getOpenInterest(symbol);
+    this.getFunding(symbol);
+    this.getOpenInterestHistory(symbol);
+  }
+
+  /**
+   * Funding, OI і його зміна за windowSec з кешу, без очікування мережі.
+   * null - контракт не торгується на Binance; відсутні в кеші значення - null.
+   * Зміна OI береться від точки історії не пізніше початку вікна,
+   * тому oiChangeSec може бути більшим за windowSec
+   */
+  getAlertContext(symbol, windowSec) {
+    if (!this.isListed(symbol)) return null;
+
+    const openInterest = this.getOpenInterest(symbol);
+    const funding = this.getFunding(symbol);
+    const history = this.getOpenInterestHistory(symbol) || [];
+
+    const since = Date.now() - windowSec * 1000;
+    const points = history.filter(point => point.timestamp <= since);
+    const start = points.length > 0 ? points[points.length - 1] : history[0];
+
+    const hasOpenInterest = Number.isFinite(openInterest);
+    const markPrice = funding && Number.isFinite(funding.markPrice) ? funding.markPrice : null;
+    const hasChange = hasOpenInterest && start !== undefined;
+
+    return {
+      fundingRatePercent: funding && Number.isFinite(funding.fundingRatePercent) ? funding.fundingRatePercent : null,
+      nextFundingTime: funding ? funding.nextFundingTime : null,
+      openInterest: hasOpenInterest ? openInterest : null,
+      openInterestUSD: hasOpenInterest && markPrice !== null ? openInterest * markPrice : null,
+      oiChangePercent: hasChange ? (openInterest - start.openInterest) / start.openInterest * 100 : null,
+      oiChangeSec: hasChange ? Math.max(0, (Date.now() - start.timestamp) / 1000) : null
+    };
+  }
+
+  /**
+   * Один запит на ключ одночасно; помилки лише логуються
+   */
+  refresh(key, fetcher) {
+    if (this.inFlight.has(key)) return;
+    this.inFlight.add(key);
+
+    fetcher()
+      .catch(error => {
+        this.errorCount++;
+        console.error(`[CONTEXT] Помилка ${key}:`, error.message);
+      })
+      .finally(() => {
+        this.inFlight.delete(key);
+      });
+  }
+}
+
+// ============================================================================
+// ПОСИЛАННЯ НА ГРАФІК
+// ============================================================================
+
+const TRADE_LINKS = {
+  BINANCE: {
+    name: 'Binance',
+    tradingView: 'BINANCE',
+    url: (symbol) => `https://www.binance.com/en/futures/${symbol}`
+  },
+  MEXC: {
+    name: 'MEXC',
+    tradingView: 'MEXC',
+    url: (symbol) => `https://futures.mexc.com/exchange/${symbol.includes('_') ? symbol : symbol.replace(/USDT$/, '_USDT')}`
+  }
+};
+
+/**
+ * [{ text, url }] - контракт на біржі з найбільшим об'ємом ліквідацій і TradingView.
+ * Символ - як його називає біржа (exchangeSymbols вікна: PEPE_USDT на MEXC
+ * проти 1000PEPEUSDT на Binance)
+ */
+function getTradeLinks(stats) {
+  const exchanges = stats.exchanges || [];
+  const volumes = stats.volumeByExchange || {};
+  const top = exchanges.reduce((best, exchange) =>
+    best === null || (volumes[exchange] || 0) > (volumes[best] || 0) ? exchange : best, null);
+  const exchange = TRADE_LINKS[top] ? top : 'BINANCE';
+  const links = TRADE_LINKS[exchange];
+  const exchangeSymbol = (stats.exchangeSymbols && stats.exchangeSymbols[exchange]) || stats.symbol;
+
+  return [
+    { text: links.name, url: links.url(exchangeSymbol) },
+    {
+      text: 'TradingView',
+      url: `https://www.tradingview.com/chart/?symbol=${links.tradingView}:${exchangeSymbol.replace(/[_\-/]/g, '')}.P`
+    }
+  ];
+}
+
+module.exports = { MarketContextClient, getTradeLinks };
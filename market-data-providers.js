@@ -0,0 +1,307 @@
+// ============================================================================
+// MARKET DATA PROVIDERS
+// Джерела MCAP / 24h Volume для TokenFilter (CoinGecko, CoinMarketCap, файл)
+// + знімок останніх успішних даних на диску
+// ============================================================================
+
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Одна спроба HTTPS GET
+ */
+function httpsGetOnce(url, { timeout = 15000, headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = https.get(url, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+        'Accept': 'application/json',
+        ...headers
+      },
+      timeout: timeout
+    }, (res) => {
+      let data = '';
+
+      res.on('data', chunk => data += chunk);
+
+      res.on('end', () => {
+        if (res.statusCode === 429) {
+          const error = new Error('Rate limit exceeded');
+          error.statusCode = 429;
+          error.retryAfterSec = parseInt(res.headers['retry-after']) || null;
+          reject(error);
+          return;
+        }
+
+        if (res.statusCode !== 200) {
+          const error = new Error(`HTTP ${res.statusCode}`);
+          error.statusCode = res.statusCode;
+          reject(error);
+          return;
+        }
+
+        try {
+          resolve(JSON.parse(data));
+        } catch (error) {
+          reject(new Error('Помилка парсингу JSON'));
+        }
+      });
+    });
+
+    req.on('error', reject);
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new Error('Request timeout'));
+    });
+  });
+}
+
+/**
+ * HTTPS GET з повторами при 429 (експоненційний backoff, поважаємо Retry-After)
+ */
+async function httpsGet(url, options = {}) {
+  const retries = options.retries !== undefined ? options.retries : 3;
+  const baseDelayMs = options.baseDelayMs || 2000;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await httpsGetOnce(url, options);
+    } catch (error) {
+      if (error.statusCode !== 429 || attempt >= retries) {
+        throw error;
+      }
+
+      const delayMs = error.retryAfterSec
+        ? error.retryAfterSec * 1000
+        : baseDelayMs * Math.pow(2, attempt);
+      console.log(`[HTTP] 429, повтор через ${(delayMs / 1000).toFixed(1)}с (спроба ${attempt + 1}/${retries})`);
+      await sleep(delayMs);
+    }
+  }
+}
+
+// ============================================================================
+// ПРОВАЙДЕРИ
+// Кожен повертає масив { id, ticker, symbol, mcap, volume24h }
+// ============================================================================
+
+class CoinGeckoProvider {
+  constructor(options = {}) {
+    this.name = 'coingecko';
+    this.pages = options.pages || 5;
+    this.perPage = options.perPage || 250;
+    this.pageDelayMs = options.pageDelayMs !== undefined ? options.pageDelayMs : 1300;
+    // Підміна HTTP в тестах
+    this.fetchJson = options.fetchJson || ((url) => httpsGet(url));
+  }
+
+  /**
+   * Сторінки впорядковані за MCAP, потрібний діапазон - на пізніх сторінках,
+   * тому помилка будь-якої сторінки валить весь запит: неповний список
+   * не повинен ні замінити валідні токени, ні потрапити в знімок
+   */
+  async fetchTokens() {
+    const tokens = [];
+
+    for (let page = 1; page <= this.pages; page++) {
+      const url = `https://api.coingecko.com/api/v3/coins/markets?vs_currency=usd&order=market_cap_desc&per_page=${this.perPage}&page=${page}&sparkline=false`;
+
+      let data;
+      try {
+        data = await this.fetchJson(url);
+      } catch (error) {
+        throw new Error(`сторінка ${page}: ${error.message}`);
+      }
+
+      if (!Array.isArray(data)) {
+        throw new Error(`некоректний формат (сторінка ${page})`);
+      }
+
+      for (const coin of data) {
+        if (coin.symbol && coin.market_cap) {
+          const ticker = coin.symbol.toUpperCase();
+          tokens.push({
+            id: coin.id,
+            ticker,
+            // Конвертуємо в формат Binance USDT
+            symbol: ticker + 'USDT',
+            mcap: coin.market_cap,
+            volume24h: coin.total_volume || 0
+          });
+        }
+      }
+
+      console.log(`[FILTER] CoinGecko сторінка ${page}: ${data.length} монет (всього: ${tokens.length})`);
+
+      // Остання сторінка неповна - далі даних немає
+      if (data.length < this.perPage) break;
+
+      // Rate limit
+      if (page < this.pages) {
+        await sleep(this.pageDelayMs);
+      }
+    }
+
+    return tokens;
+  }
+}
+
+class CoinMarketCapProvider {
+  constructor(options = {}) {
+    this.name = 'coinmarketcap';
+    this.apiKey = options.apiKey;
+    this.limit = options.limit || 1500;
+    this.baseUrl = options.baseUrl || 'https://pro-api.coinmarketcap.com';
+  }
+
+  async fetchTokens() {
+    if (!this.apiKey) {
+      throw new Error('CMC_API_KEY не задано');
+    }
+
+    const url = `${this.baseUrl}/v1/cryptocurrency/listings/latest?limit=${this.limit}&convert=USD`;
+    const response = await httpsGet(url, {
+      headers: { 'X-CMC_PRO_API_KEY': this.apiKey }
+    });
+
+    if (!response || !Array.isArray(response.data)) {
+      throw new Error('Некоректний формат відповіді CoinMarketCap');
+    }
+
+    const tokens = [];
+    for (const coin of response.data) {
+      const quote = coin.quote && coin.quote.USD;
+      if (!coin.symbol || !quote || !quote.market_cap) continue;
+
+      const ticker = coin.symbol.toUpperCase();
+      tokens.push({
+        id: coin.slug || String(coin.id),
+        ticker,
+        symbol: ticker + 'USDT',
+        mcap: quote.market_cap,
+        volume24h: quote.volume_24h || 0
+      });
+    }
+
+    console.log(`[FILTER] CoinMarketCap: ${tokens.length} монет`);
+    return tokens;
+  }
+}
+
+/**
+ * Статичний JSON файл: масив { symbol|ticker, mcap, volume24h, id? }
+ */
+class StaticFileProvider {
+  constructor(options = {}) {
+    this.name = 'static';
+    this.filePath = options.filePath;
+  }
+
+  async fetchTokens() {
+    if (!this.filePath) {
+      throw new Error('STATIC_TOKENS_FILE не задано');
+    }
+
+    const raw = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    const items = Array.isArray(raw) ? raw : raw.tokens;
+
+    if (!Array.isArray(items)) {
+      throw new Error(`Некоректний формат файлу ${this.filePath}`);
+    }
+
+    return items
+      .filter(item => (item.symbol || item.ticker) && item.mcap)
+      .map(item => {
+        const ticker = (item.ticker || item.symbol.replace(/USDT$/i, '')).toUpperCase();
+        return {
+          id: item.id || ticker.toLowerCase(),
+          ticker,
+          symbol: ticker + 'USDT',
+          mcap: item.mcap,
+          volume24h: item.volume24h || 0
+        };
+      });
+  }
+}
+
+/**
+ * Створення провайдерів за списком назв
+ */
+function createProviders(names, config) {
+  const providers = [];
+
+  for (const name of names) {
+    switch (name.toLowerCase()) {
+      case 'coingecko':
+        providers.push(new CoinGeckoProvider({ pages: config.COINGECKO_PAGES }));
+        break;
+      case 'coinmarketcap':
+      case 'cmc':
+        providers.push(new CoinMarketCapProvider({ apiKey: config.CMC_API_KEY }));
+        break;
+      case 'static':
+        providers.push(new StaticFileProvider({ filePath: config.STATIC_TOKENS_FILE }));
+        break;
+      default:
+        console.error(`[FILTER] Невідомий провайдер: ${name}`);
+    }
+  }
+
+  return providers;
+}
+
+// ============================================================================
+// ЗНІМОК ОСТАННІХ УСПІШНИХ ДАНИХ
+// ============================================================================
+
+class TokenSnapshotStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  async save(provider, tokens) {
+    if (!this.filePath) return;
+
+    const snapshot = {
+      savedAt: Date.now(),
+      provider,
+      tokens
+    };
+
+    // Пишемо через тимчасовий файл, щоб не залишити битий JSON
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(snapshot));
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+
+  async load() {
+    if (!this.filePath) return null;
+
+    try {
+      const snapshot = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+      if (!Array.isArray(snapshot.tokens)) return null;
+      return snapshot;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[FILTER] Помилка читання знімку:', error.message);
+      }
+      return null;
+    }
+  }
+}
+
+module.exports = {
+  CoinGeckoProvider,
+  CoinMarketCapProvider,
+  StaticFileProvider,
+  TokenSnapshotStore,
+  createProviders,
+  httpsGet,
+  sleep
+};
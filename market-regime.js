@@ -0,0 +1,131 @@
+// ============================================================================
+// MARKET REGIME
+// Ліквідації по всьому ринку (включно з монетами поза фільтром MCAP):
+// масовий flush лонгів / шортів = великий сумарний об'єм + багато монет
+// ============================================================================
+
+const SIDES = ['LONG', 'SHORT'];
+
+class MarketRegimeDetector {
+  constructor(options = {}) {
+    this.windowMs = (options.windowSec || 300) * 1000;
+    this.minVolumeUSD = options.minVolumeUSD || 20_000_000;
+    this.minSymbols = options.minSymbols || 15;
+    this.minDominance = options.minDominance || 75;
+    this.cooldownMs = (options.cooldownMinutes || 60) * 60 * 1000;
+    this.clock = options.clock || { now: () => Date.now() };
+
+    this.events = []; // { symbol, side, volumeUSD, timestamp } за зростанням часу
+    this.totals = { LONG: 0, SHORT: 0 };
+    this.bySymbol = { LONG: new Map(), SHORT: new Map() }; // symbol -> { volumeUSD, count }
+    this.lastAlertAt = { LONG: -Infinity, SHORT: -Infinity };
+  }
+
+  observe(event) {
+    if (!SIDES.includes(event.side)) return;
+
+    // Біржі і запізнілі події дають непослідовний час - вставка за часом,
+    // щоб prune видаляв саме старі події (зазвичай це кінець масиву)
+    let index = this.events.length;
+    while (index > 0 && this.events[index - 1].timestamp > event.timestamp) {
+      index--;
+    }
+    this.events.splice(index, 0, {
+      symbol: event.symbol,
+      side: event.side,
+      volumeUSD: event.volumeUSD,
+      timestamp: event.timestamp
+    });
+    this.totals[event.side] += event.volumeUSD;
+
+    const entry = this.bySymbol[event.side].get(event.symbol) || { volumeUSD: 0, count: 0 };
+    entry.volumeUSD += event.volumeUSD;
+    entry.count++;
+    this.bySymbol[event.side].set(event.symbol, entry);
+
+    this.prune();
+  }
+
+  /**
+   * Видалення подій старших за вікно з оновленням сум
+   */
+  prune() {
+    const cutoff = this.clock.now() - this.windowMs;
+    let removed = 0;
+
+    while (removed < this.events.length && this.events[removed].timestamp < cutoff) {
+      const event = this.events[removed];
+      this.totals[event.side] -= event.volumeUSD;
+
+      const entry = this.bySymbol[event.side].get(event.symbol);
+      entry.volumeUSD -= event.volumeUSD;
+      entry.count--;
+      if (entry.count === 0) {
+        this.bySymbol[event.side].delete(event.symbol);
+      }
+      removed++;
+    }
+
+    if (removed > 0) {
+      this.events.splice(0, removed);
+    }
+  }
+
+  /**
+   * Поточний стан ринку; regime: LONG_FLUSH | SHORT_SQUEEZE | NORMAL
+   */
+  getSnapshot() {
+    this.prune();
+
+    const longVolumeUSD = Math.max(0, this.totals.LONG);
+    const shortVolumeUSD = Math.max(0, this.totals.SHORT);
+    const totalVolumeUSD = longVolumeUSD + shortVolumeUSD;
+    const dominantSide = longVolumeUSD >= shortVolumeUSD ? 'LONG' : 'SHORT';
+    const dominantVolumeUSD = dominantSide === 'LONG' ? longVolumeUSD : shortVolumeUSD;
+    const dominance = totalVolumeUSD > 0 ? (dominantVolumeUSD / totalVolumeUSD) * 100 : 0;
+    const breadth = this.bySymbol[dominantSide].size;
+
+    const isRegime =
+      dominantVolumeUSD >= this.minVolumeUSD &&
+      breadth >= this.minSymbols &&
+      dominance >= this.minDominance;
+
+    const topSymbols = [...this.bySymbol[dominantSide].entries()]
+      .sort((a, b) => b[1].volumeUSD - a[1].volumeUSD)
+      .slice(0, 5)
+      .map(([symbol, entry]) => ({ symbol, volumeUSD: entry.volumeUSD }));
+
+    return {
+      regime: isRegime ? (dominantSide === 'LONG' ? 'LONG_FLUSH' : 'SHORT_SQUEEZE') : 'NORMAL',
+      longVolumeUSD,
+      shortVolumeUSD,
+      totalVolumeUSD,
+      dominantSide,
+      dominance,
+      breadth,
+      longSymbols: this.bySymbol.LONG.size,
+      shortSymbols: this.bySymbol.SHORT.size,
+      topSymbols,
+      windowSec: this.windowMs / 1000,
+      timestamp: this.clock.now()
+    };
+  }
+
+  /**
+   * Знімок для алерту, якщо режим активний і його сторона не в cooldown
+   */
+  checkAlert() {
+    const snapshot = this.getSnapshot();
+    if (snapshot.regime === 'NORMAL') return null;
+
+    if (this.clock.now() - this.lastAlertAt[snapshot.dominantSide] < this.cooldownMs) return null;
+
+    return snapshot;
+  }
+
+  recordAlert(side) {
+    this.lastAlertAt[side] = this.clock.now();
+  }
+}
+
+module.exports = { MarketRegimeDetector };
@@ -0,0 +1,83 @@
+// ============================================================================
+// NEAR MISS DIGEST
+// Періодичний Telegram-звіт про вікна, які майже пройшли фільтри:
+// допомагає побачити, який поріг відсікає сигнали
+// ============================================================================
+
+const { formatFailedRules } = require('./filter-verdict');
+
+class NearMissDigest {
+  constructor(options = {}) {
+    this.intervalMs = (options.intervalMin || 60) * 60 * 1000;
+    this.maxItems = options.maxItems || 10;
+    this.clock = options.clock || { now: () => Date.now() };
+    this.entries = new Map(); // symbol[:strategy] -> { stats, verdict, hits, lastSeen }
+    this.interval = null;
+  }
+
+  start(notifier) {
+    this.interval = setInterval(() => {
+      this.flush(notifier);
+    }, this.intervalMs);
+
+    console.log(`[NEAR MISS] ✅ Дайджест кожні ${this.intervalMs / 60000} хв`);
+  }
+
+  /**
+   * Останній вердикт по символу; hits - у скількох перевірках він був near miss
+   */
+  record(stats, verdict) {
+    const key = verdict.strategy ? `${stats.symbol}:${verdict.strategy}` : stats.symbol;
+    const entry = this.entries.get(key);
+    this.entries.set(key, {
+      stats,
+      verdict,
+      hits: entry ? entry.hits + 1 : 1,
+      lastSeen: this.clock.now()
+    });
+  }
+
+  buildDigest() {
+    const entries = [...this.entries.values()]
+      .sort((a, b) => b.stats.totalVolumeUSD - a.stats.totalVolumeUSD);
+    const shown = entries.slice(0, this.maxItems);
+
+    const lines = [`🟡 Near miss за ${this.intervalMs / 60000} хв (${entries.length})`];
+    for (const { stats, verdict, hits } of shown) {
+      const side = stats.dominantSide === 'LONG' ? '🔴' : '🟢';
+      const strategy = verdict.strategy ? ` [${verdict.strategy}]` : '';
+      lines.push(
+        `${side} ${stats.symbol}${strategy} $${(stats.totalVolumeUSD / 1e6).toFixed(2)}M ` +
+        `(${stats.dominance.toFixed(0)}%) x${hits}\n   ❌ ${formatFailedRules(verdict)}`
+      );
+    }
+
+    if (entries.length > shown.length) {
+      lines.push(`... та ще ${entries.length - shown.length}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  async flush(notifier) {
+    if (this.entries.size === 0) return;
+
+    const message = this.buildDigest();
+    this.entries.clear();
+
+    try {
+      await notifier.sendStatus(message);
+    } catch (error) {
+      console.error('[NEAR MISS] Помилка відправки дайджесту:', error.message);
+    }
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+}
+
+module.exports = { NearMissDigest };
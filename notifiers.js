@@ -0,0 +1,501 @@
+// ============================================================================
+// NOTIFIERS
+// Канали сповіщень з однаковим інтерфейсом (start / sendAlert / sendEscalation /
+// sendMarketAlert / sendStatus / stop?) і CompositeNotifier, що розсилає по каналах
+// з урахуванням маршрутизації
+//
+// Формат NOTIFIERS_FILE:
+// {
+//   "channels": [
+//     { "type": "telegram", "route": { "types": ["alert", "escalation", "status"] } },
+//     { "type": "discord", "url": "https://discord.com/api/webhooks/...", "route": { "sides": ["SHORT"] } },
+//     { "type": "slack", "url": "https://hooks.slack.com/services/...", "route": { "profiles": ["majors"] } },
+//     { "type": "webhook", "url": "https://example.com/hook", "headers": { "Authorization": "Bearer ..." } },
+//     { "type": "stdout" },
+//     { "type": "file", "path": "./data/alerts.jsonl" }
+//   ]
+// }
+//
+// route (всі поля необов'язкові, відсутнє поле = без обмежень):
+//   types: alert | escalation | market | status
+//   sides: LONG | SHORT          - для alert, escalation, market
+//   profiles, strategies, symbols - для alert, escalation
+//   minVolumeUSD                  - для alert, escalation, market
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+
+const MESSAGE_TYPES = ['alert', 'escalation', 'market', 'status'];
+const CHANNEL_TYPES = ['telegram', 'discord', 'slack', 'webhook', 'stdout', 'file'];
+
+/**
+ * POST JSON; не-2xx відповідь - помилка з statusCode,
+ * error.permanent - 4xx (крім 429), повтор не допоможе
+ */
+function postJson(url, body, { timeout = 10000, headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body);
+    const client = url.startsWith('http://') ? http : https;
+
+    const req = client.request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+        ...headers
+      },
+      timeout
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          const error = new Error(`HTTP ${res.statusCode}${data ? `: ${data.slice(0, 200)}` : ''}`);
+          error.statusCode = res.statusCode;
+          error.permanent = res.statusCode >= 400 && res.statusCode < 500 && res.statusCode !== 429;
+          reject(error);
+          return;
+        }
+        resolve(data);
+      });
+    });
+
+    req.on('error', reject);
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new Error('Timeout'));
+    });
+    req.end(payload);
+  });
+}
+
+/**
+ * Атрибути повідомлення, за якими працює маршрутизація
+ * (undefined = атрибут не стосується цього типу і не фільтрується)
+ */
+function describe(type, data) {
+  switch (type) {
+    case 'alert':
+      return {
+        type,
+        side: data.dominantSide,
+        profile: data.profile || null,
+        strategy: data.strategy || null,
+        symbol: data.symbol,
+        volumeUSD: data.totalVolumeUSD
+      };
+    case 'escalation':
+      return {
+        type,
+        side: data.side,
+        profile: data.profile || null,
+        strategy: data.strategy || null,
+        symbol: data.symbol,
+        volumeUSD: data.cumulativeUSD
+      };
+    case 'market':
+      return { type, side: data.dominantSide, volumeUSD: data.totalVolumeUSD };
+    default:
+      return { type };
+  }
+}
+
+function matchesRoute(route, message) {
+  if (!route) return true;
+
+  const allowed = (list, value) => !list || value === undefined || list.includes(value);
+
+  return allowed(route.types, message.type) &&
+    allowed(route.sides, message.side) &&
+    allowed(route.profiles, message.profile) &&
+    allowed(route.strategies, message.strategy) &&
+    allowed(route.symbols, message.symbol) &&
+    (!route.minVolumeUSD || message.volumeUSD === undefined || message.volumeUSD >= route.minVolumeUSD);
+}
+
+/**
+ * Перевірка конфігурації каналів; помилки збираються з шляхом до поля
+ */
+function validateChannels(raw) {
+  const errors = [];
+  const channels = Array.isArray(raw.channels) ? raw.channels : null;
+
+  if (!channels) {
+    return ['channels: очікується масив'];
+  }
+
+  channels.forEach((channel, i) => {
+    const at = `channels[${i}]`;
+    if (!CHANNEL_TYPES.includes(channel.type)) {
+      errors.push(`${at}: невідомий тип "${channel.type}" (доступні: ${CHANNEL_TYPES.join(', ')})`);
+      return;
+    }
+    if (['discord', 'slack', 'webhook'].includes(channel.type) && !/^https?:\/\//.test(channel.url || '')) {
+      errors.push(`${at}: потрібен url`);
+    }
+    if (channel.type === 'file' && !channel.path) {
+      errors.push(`${at}: потрібен path`);
+    }
+
+    const route = channel.route || {};
+    for (const key of ['types', 'sides', 'profiles', 'strategies', 'symbols']) {
+      if (route[key] !== undefined && !Array.isArray(route[key])) {
+        errors.push(`${at}.route.${key}: очікується масив`);
+      }
+    }
+    (Array.isArray(route.types) ? route.types : [])
+      .filter(type => !MESSAGE_TYPES.includes(type))
+      .forEach(type => errors.push(`${at}.route.types: невідомий тип "${type}"`));
+    (Array.isArray(route.sides) ? route.sides : [])
+      .filter(side => side !== 'LONG' && side !== 'SHORT')
+      .forEach(side => errors.push(`${at}.route.sides: невідома сторона "${side}"`));
+    if (route.minVolumeUSD !== undefined && !Number.isFinite(route.minVolumeUSD)) {
+      errors.push(`${at}.route.minVolumeUSD: має бути числом`);
+    }
+  });
+
+  return errors;
+}
+
+// ============================================================================
+// КАНАЛИ
+// Текст формує той самий AlertFormatter, що й для Telegram
+// ============================================================================
+
+class NotifierChannel {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.formatter = options.formatter;
+    this.route = options.route || null;
+    this.errorCount = 0;
+  }
+
+  /** Перевірка доступності при старті; кидає, якщо канал недоступний */
+  async start() {}
+
+  /**
+   * { eligible, pending } - див. CompositeNotifier.getAlertRecipients
+   */
+  getAlertRecipients(stats, { exclude = [] } = {}) {
+    return { eligible: exclude.includes(this.name) ? [] : [this.name], pending: [] };
+  }
+
+  /**
+   * Канал - один отримувач з назвою каналу (див. CompositeNotifier.sendAlert)
+   */
+  async sendAlert(stats, { exclude = [] } = {}) {
+    if (exclude.includes(this.name)) {
+      return { messageRefs: [], delivered: [], failed: [], rejected: [] };
+    }
+
+    await this.deliver('alert', this.formatter.format(stats), stats);
+    return { messageRefs: [], delivered: [this.name], failed: [], rejected: [] };
+  }
+
+  async sendEscalation(escalation) {
+    await this.deliver('escalation', this.formatter.formatEscalation(escalation), escalation);
+  }
+
+  async sendMarketAlert(snapshot) {
+    await this.deliver('market', this.formatter.formatMarketAlert(snapshot), snapshot);
+    return { delivered: [this.name], failed: [] };
+  }
+
+  async sendStatus(message) {
+    await this.deliver('status', message, null);
+  }
+}
+
+class DiscordNotifier extends NotifierChannel {
+  constructor(url, options = {}) {
+    super(options.name || 'discord', options);
+    this.url = url;
+  }
+
+  async deliver(type, text) {
+    // Ліміт Discord - 2000 символів на повідомлення
+    await postJson(this.url, { content: text.length > 2000 ? `${text.slice(0, 1997)}...` : text });
+  }
+}
+
+class SlackNotifier extends NotifierChannel {
+  constructor(url, options = {}) {
+    super(options.name || 'slack', options);
+    this.url = url;
+  }
+
+  async deliver(type, text) {
+    await postJson(this.url, { text });
+  }
+}
+
+/**
+ * Загальний webhook: { type, text, data, timestamp }, data - сирі stats / знімок
+ */
+class JsonWebhookNotifier extends NotifierChannel {
+  constructor(url, options = {}) {
+    super(options.name || 'webhook', options);
+    this.url = url;
+    this.headers = options.headers || {};
+  }
+
+  async deliver(type, text, data) {
+    await postJson(this.url, { type, text, data, timestamp: Date.now() }, { headers: this.headers });
+  }
+}
+
+class StdoutNotifier extends NotifierChannel {
+  constructor(options = {}) {
+    super(options.name || 'stdout', options);
+  }
+
+  async deliver(type, text) {
+    console.log(`[NOTIFY] ${type}\n${text}\n`);
+  }
+}
+
+/**
+ * JSONL-файл: один рядок { type, text, data, timestamp } на повідомлення
+ */
+class FileNotifier extends NotifierChannel {
+  constructor(filePath, options = {}) {
+    super(options.name || 'file', options);
+    this.filePath = filePath;
+  }
+
+  async start() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+  }
+
+  async deliver(type, text, data) {
+    const line = JSON.stringify({ type, text, data, timestamp: Date.now() });
+    await fs.promises.appendFile(this.filePath, line + '\n');
+  }
+}
+
+// ============================================================================
+// COMPOSITE NOTIFIER
+// Помилка одного каналу не впливає на інші; канал, недоступний при старті,
+// лишається в розсилці - він може відновитись
+// ============================================================================
+
+class CompositeNotifier {
+  constructor(channels = []) {
+    this.channels = channels;
+  }
+
+  get errorCount() {
+    return this.channels.reduce((sum, channel) => sum + channel.errorCount, 0);
+  }
+
+  getChannel(name) {
+    return this.channels.find(channel => channel.name === name) || null;
+  }
+
+  /**
+   * Повертає назви доступних каналів; недоступні лише логуються
+   */
+  async start() {
+    const available = [];
+
+    for (const channel of this.channels) {
+      try {
+        await channel.start();
+        available.push(channel.name);
+        console.log(`[NOTIFY] ✅ ${channel.name}`);
+      } catch (error) {
+        console.error(`[NOTIFY] ⚠️ ${channel.name} недоступний:`, error.message);
+      }
+    }
+
+    if (available.length === 0) {
+      console.warn('[NOTIFY] ⚠️ Жоден канал сповіщень не доступний, алерти лише в лог');
+    }
+
+    return available;
+  }
+
+  /**
+   * onError(channel) - результат для каналу, що кинув помилку
+   */
+  async dispatch(type, data, send, onError = () => null) {
+    const message = describe(type, data);
+    const targets = this.channels.filter(channel => matchesRoute(channel.route, message));
+
+    return Promise.all(targets.map(channel =>
+      send(channel).catch(error => {
+        channel.errorCount++;
+        console.error(`[NOTIFY] Помилка відправки ${type} в ${channel.name}:`, error.message);
+        return onError(channel, error);
+      })
+    ));
+  }
+
+  /**
+   * Отримувачі алерту до відправки (без exclude): eligible - отримають зараз,
+   * pending - алерт ще не дійшов до їх мін. об'єму (route.minVolumeUSD, /prefs min_volume)
+   */
+  getAlertRecipients(stats, { exclude = [] } = {}) {
+    const message = describe('alert', stats);
+    const recipients = { eligible: [], pending: [] };
+
+    for (const channel of this.channels) {
+      const routed = matchesRoute(channel.route, message);
+      if (!routed && !matchesRoute(channel.route, { ...message, volumeUSD: undefined })) continue;
+
+      const { eligible, pending } = channel.getAlertRecipients(stats, { exclude });
+      if (routed) {
+        recipients.eligible.push(...eligible);
+        recipients.pending.push(...pending);
+      } else {
+        recipients.pending.push(...eligible, ...pending);
+      }
+    }
+
+    return recipients;
+  }
+
+  /**
+   * { messageRefs, delivered, failed, rejected }: delivered / failed - отримувачі
+   * (чат Telegram або назва каналу), exclude - ті, хто вже отримав цей алерт.
+   * rejected - [{ recipient, reason, reported? }] з постійною помилкою (4xx),
+   * повторювати їм не варто; reported - канал уже повідомив про неї сам
+   */
+  async sendAlert(stats, { exclude = [] } = {}) {
+    const delivery = { messageRefs: [], delivered: [], failed: [], rejected: [] };
+
+    const results = await this.dispatch(
+      'alert',
+      stats,
+      channel => channel.sendAlert(stats, { exclude }),
+      (channel, error) => error.permanent
+        ? { messageRefs: [], delivered: [], failed: [], rejected: [{ recipient: channel.name, reason: error.message }] }
+        : { messageRefs: [], delivered: [], failed: [channel.name], rejected: [] }
+    );
+
+    for (const result of results) {
+      delivery.messageRefs.push(...result.messageRefs);
+      delivery.delivered.push(...result.delivered);
+      delivery.failed.push(...result.failed);
+      delivery.rejected.push(...result.rejected);
+    }
+
+    return delivery;
+  }
+
+  async sendEscalation(escalation) {
+    await this.dispatch('escalation', escalation, channel => channel.sendEscalation(escalation));
+  }
+
+  /**
+   * { delivered, failed } по всіх каналах; постійна помилка (4xx) - не в failed
+   */
+  async sendMarketAlert(snapshot) {
+    const results = await this.dispatch(
+      'market',
+      snapshot,
+      channel => channel.sendMarketAlert(snapshot),
+      (channel, error) => ({ delivered: [], failed: error.permanent ? [] : [channel.name] })
+    );
+
+    return {
+      delivered: results.flatMap(result => result.delivered),
+      failed: results.flatMap(result => result.failed)
+    };
+  }
+
+  async sendStatus(message) {
+    await this.dispatch('status', null, channel => channel.sendStatus(message));
+  }
+
+  stop() {
+    for (const channel of this.channels) {
+      if (channel.stop) channel.stop();
+    }
+  }
+}
+
+/**
+ * Канали з конфігурації. telegram - вже створений TelegramNotifier (або null);
+ * якщо файл каналів не описує telegram, він додається без маршрутизації
+ */
+function createNotifierChannels(config, { formatter, telegram = null }) {
+  let entries = [];
+
+  if (config.FILE) {
+    const raw = JSON.parse(fs.readFileSync(config.FILE, 'utf8'));
+    const errors = validateChannels(raw);
+    if (errors.length > 0) {
+      throw new Error(`Некоректні канали в ${config.FILE}:\n  ${errors.join('\n  ')}`);
+    }
+    entries = raw.channels;
+  }
+
+  if (config.DISCORD_WEBHOOK_URL) entries.push({ type: 'discord', url: config.DISCORD_WEBHOOK_URL });
+  if (config.SLACK_WEBHOOK_URL) entries.push({ type: 'slack', url: config.SLACK_WEBHOOK_URL });
+  if (config.WEBHOOK_URL) entries.push({ type: 'webhook', url: config.WEBHOOK_URL });
+  if (config.STDOUT) entries.push({ type: 'stdout' });
+  if (config.FILE_SINK) entries.push({ type: 'file', path: config.FILE_SINK });
+
+  if (!entries.some(entry => entry.type === 'telegram')) {
+    entries.unshift({ type: 'telegram', implicit: true });
+  }
+
+  const channels = [];
+  const names = new Map();
+
+  for (const entry of entries) {
+    // Повторні канали одного типу: discord, discord#2, ...
+    const count = (names.get(entry.type) || 0) + 1;
+    names.set(entry.type, count);
+    const options = {
+      formatter,
+      route: entry.route,
+      headers: entry.headers,
+      name: entry.name || (count > 1 ? `${entry.type}#${count}` : entry.type)
+    };
+
+    switch (entry.type) {
+      case 'telegram':
+        if (telegram) {
+          telegram.route = entry.route || null;
+          channels.push(telegram);
+        } else if (!entry.implicit) {
+          console.warn('[NOTIFY] ⚠️ telegram в файлі каналів, але TELEGRAM_BOT_TOKEN / TELEGRAM_CHAT_ID не задано');
+        }
+        break;
+      case 'discord':
+        channels.push(new DiscordNotifier(entry.url, options));
+        break;
+      case 'slack':
+        channels.push(new SlackNotifier(entry.url, options));
+        break;
+      case 'webhook':
+        channels.push(new JsonWebhookNotifier(entry.url, options));
+        break;
+      case 'stdout':
+        channels.push(new StdoutNotifier(options));
+        break;
+      case 'file':
+        channels.push(new FileNotifier(entry.path, options));
+        break;
+    }
+  }
+
+  return channels;
+}
+
+module.exports = {
+  CompositeNotifier,
+  DiscordNotifier,
+  SlackNotifier,
+  JsonWebhookNotifier,
+  StdoutNotifier,
+  FileNotifier,
+  createNotifierChannels,
+  matchesRoute,
+  validateChannels
+};
@@ -0,0 +1,302 @@
+// ============================================================================
+// OUTCOME TRACKER
+// Що сталося з ціною після алерту: розворот чи ні
+// Для кожного алерту відстежуємо ціну на горизонтах (5m/15m/1h/4h),
+// рахуємо MFE/MAE відносно напрямку розвороту; щоденний звіт - за dailyReport
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+
+// Корзини по об'єму домінуючої сторони відносно порогу, що діяв для алерту
+// (SignalDetector.getVolumeThresholdUSD)
+const VOLUME_BUCKETS = [
+  { label: '1-2x', min: 0, max: 2 },
+  { label: '2-5x', min: 2, max: 5 },
+  { label: '5x+', min: 5, max: Infinity },
+];
+
+class OutcomeTracker {
+  constructor(options = {}) {
+    this.horizonsMin = options.horizonsMin || [5, 15, 60, 240];
+    this.filePath = options.filePath || './data/outcomes.jsonl';
+    this.dailyReport = Boolean(options.dailyReport);
+    this.reportHourUTC = options.reportHourUTC !== undefined ? options.reportHourUTC : 0;
+    this.clock = options.clock || { now: () => Date.now() };
+    this.markTtlMs = options.markTtlMs || 30_000;
+    this.markUpdatedAt = new Map(); // symbol -> час останнього mark price
+    this.pending = new Map(); // id -> запис
+    this.checkInterval = null;
+    this.reportInterval = null;
+    this.lastReportDay = null;
+    this.nextId = 1;
+  }
+
+  start(notifier) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    this.checkInterval = setInterval(() => {
+      this.checkHorizons();
+    }, 30_000);
+
+    if (this.dailyReport) {
+      this.reportInterval = setInterval(() => {
+        this.maybeSendReport(notifier);
+      }, 60_000);
+    }
+
+    console.log(`[OUTCOME] ✅ Відстеження результатів: ${this.horizonsMin.map(m => this.formatHorizon(m)).join('/')}`);
+  }
+
+  /**
+   * Початок відстеження після відправленого алерту
+   * LONG ліквідації (ціна впала) -> очікуємо розворот вгору, і навпаки
+   */
+  track(stats, thresholdUSD) {
+    const now = this.clock.now();
+    const dominantVolumeUSD = stats.dominantSide === 'LONG' ? stats.longVolumeUSD : stats.shortVolumeUSD;
+    const ratio = thresholdUSD > 0 ? dominantVolumeUSD / thresholdUSD : 0;
+    const bucket = VOLUME_BUCKETS.find(b => ratio >= b.min && ratio < b.max);
+    const entryPrice = stats.priceChange ? stats.priceChange.newPrice : null;
+
+    const record = {
+      id: this.nextId++,
+      symbol: stats.symbol,
+      dominantSide: stats.dominantSide,
+      direction: stats.dominantSide === 'LONG' ? 'UP' : 'DOWN',
+      alertTime: now,
+      entryPrice,
+      dominantVolumeUSD,
+      dominance: stats.dominance,
+      bucket: bucket.label,
+      maxPrice: entryPrice,
+      minPrice: entryPrice,
+      lastPrice: entryPrice,
+      horizons: {}
+    };
+
+    this.pending.set(record.id, record);
+  }
+
+  /**
+   * Точка ціни; source: 'fill' (ціна ліквідації) або 'mark'.
+   * Ціни ліквідацій - викиди, тому поки mark price свіжий (markTtlMs),
+   * вони не потрапляють в MFE/MAE (як у PriceTracker)
+   */
+  onPrice(symbol, price, timestamp = this.clock.now(), source = 'fill') {
+    if (!Number.isFinite(price) || price <= 0) return;
+
+    if (source === 'mark') {
+      this.markUpdatedAt.set(symbol, Math.max(timestamp, this.markUpdatedAt.get(symbol) || 0));
+    } else if (timestamp - (this.markUpdatedAt.get(symbol) || -Infinity) < this.markTtlMs) {
+      return;
+    }
+
+    for (const record of this.pending.values()) {
+      if (record.symbol !== symbol || timestamp < record.alertTime) continue;
+
+      if (record.entryPrice === null) {
+        record.entryPrice = price;
+        record.maxPrice = price;
+        record.minPrice = price;
+      }
+
+      record.maxPrice = Math.max(record.maxPrice, price);
+      record.minPrice = Math.min(record.minPrice, price);
+      record.lastPrice = price;
+    }
+  }
+
+  /**
+   * Рух ціни у % в напрямку розвороту (додатний = на нашу користь)
+   */
+  directional(record, price) {
+    const change = ((price - record.entryPrice) / record.entryPrice) * 100;
+    return record.direction === 'UP' ? change : -change;
+  }
+
+  checkHorizons() {
+    const now = this.clock.now();
+
+    for (const record of this.pending.values()) {
+      for (const horizon of this.horizonsMin) {
+        if (record.horizons[horizon] !== undefined) continue;
+        if (now - record.alertTime < horizon * 60_000) continue;
+
+        if (record.entryPrice === null) {
+          // Жодної ціни за весь горизонт - результат невідомий
+          record.horizons[horizon] = null;
+          continue;
+        }
+
+        const favorablePrice = record.direction === 'UP' ? record.maxPrice : record.minPrice;
+        const adversePrice = record.direction === 'UP' ? record.minPrice : record.maxPrice;
+
+        record.horizons[horizon] = {
+          returnPct: this.directional(record, record.lastPrice),
+          mfePct: Math.max(0, this.directional(record, favorablePrice)),
+          maePct: Math.min(0, this.directional(record, adversePrice))
+        };
+      }
+
+      const done = this.horizonsMin.every(h => record.horizons[h] !== undefined);
+      if (done) {
+        this.persist(record);
+        this.pending.delete(record.id);
+      }
+    }
+  }
+
+  /**
+   * Алерти, що ще чекають горизонтів - в state store, щоб рестарт їх не губив
+   */
+  exportState() {
+    return { nextId: this.nextId, savedAt: this.clock.now(), pending: [...this.pending.values()] };
+  }
+
+  /**
+   * Ціни за час простою невідомі: горизонти, що закінчились між збереженням
+   * і рестартом, отримують null (результат невідомий), решта рахується далі
+   */
+  importState(state) {
+    const now = this.clock.now();
+    const savedAt = state.savedAt || now;
+
+    for (const record of state.pending || []) {
+      for (const horizon of this.horizonsMin) {
+        const endsAt = record.alertTime + horizon * 60_000;
+        if (record.horizons[horizon] === undefined && endsAt > savedAt && endsAt <= now) {
+          record.horizons[horizon] = null;
+        }
+      }
+      this.pending.set(record.id, record);
+    }
+    this.nextId = Math.max(this.nextId, state.nextId || 1);
+  }
+
+  persist(record) {
+    const result = {
+      symbol: record.symbol,
+      dominantSide: record.dominantSide,
+      direction: record.direction,
+      alertTime: record.alertTime,
+      entryPrice: record.entryPrice,
+      dominantVolumeUSD: record.dominantVolumeUSD,
+      dominance: record.dominance,
+      bucket: record.bucket,
+      horizons: record.horizons
+    };
+
+    try {
+      fs.appendFileSync(this.filePath, JSON.stringify(result) + '\n');
+    } catch (error) {
+      console.error('[OUTCOME] Помилка запису:', error.message);
+    }
+  }
+
+  loadResults(sinceMs) {
+    let raw;
+    try {
+      raw = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      return [];
+    }
+
+    const results = [];
+    for (const line of raw.split('\n')) {
+      if (!line) continue;
+      try {
+        const result = JSON.parse(line);
+        if (result.alertTime >= sinceMs) results.push(result);
+      } catch (error) {
+        // Пропускаємо биті рядки
+      }
+    }
+    return results;
+  }
+
+  maybeSendReport(notifier) {
+    const now = new Date(this.clock.now());
+    const today = now.toISOString().slice(0, 10);
+
+    if (now.getUTCHours() !== this.reportHourUTC || this.lastReportDay === today) return;
+    this.lastReportDay = today;
+
+    const results = this.loadResults(this.clock.now() - 24 * 60 * 60 * 1000);
+    notifier.sendStatus(this.buildReport(results)).catch(error => {
+      console.error('[OUTCOME] Помилка відправки звіту:', error.message);
+    });
+  }
+
+  /**
+   * Hit = ціна на горизонті пішла в бік розвороту
+   */
+  summarize(results, horizon) {
+    const withData = results.filter(r => r.horizons[horizon]);
+    if (withData.length === 0) return null;
+
+    const hits = withData.filter(r => r.horizons[horizon].returnPct > 0).length;
+    const avg = (key) => withData.reduce((sum, r) => sum + r.horizons[horizon][key], 0) / withData.length;
+
+    return {
+      count: withData.length,
+      hitRate: (hits / withData.length) * 100,
+      avgMfe: avg('mfePct'),
+      avgMae: avg('maePct')
+    };
+  }
+
+  buildReport(results) {
+    const lines = ['📈 Результати алертів за 24 год'];
+
+    if (results.length === 0) {
+      lines.push('Немає завершених алертів');
+      return lines.join('\n');
+    }
+
+    lines.push(`Алертів: ${results.length}`);
+
+    const groups = [
+      { title: 'LONG ліквідації (розворот вгору)', filter: r => r.dominantSide === 'LONG' },
+      { title: 'SHORT ліквідації (розворот вниз)', filter: r => r.dominantSide === 'SHORT' },
+      ...VOLUME_BUCKETS.map(b => ({ title: `Об'єм ${b.label} порогу`, filter: r => r.bucket === b.label })),
+    ];
+
+    for (const group of groups) {
+      const groupResults = results.filter(group.filter);
+      if (groupResults.length === 0) continue;
+
+      lines.push('');
+      lines.push(`${group.title} (${groupResults.length}):`);
+
+      for (const horizon of this.horizonsMin) {
+        const summary = this.summarize(groupResults, horizon);
+        if (!summary) continue;
+
+        lines.push(
+          `  ${this.formatHorizon(horizon).padEnd(4)} hit ${summary.hitRate.toFixed(0)}% | ` +
+          `MFE +${summary.avgMfe.toFixed(2)}% | MAE ${summary.avgMae.toFixed(2)}%`
+        );
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  formatHorizon(minutes) {
+    return minutes >= 60 ? `${minutes / 60}h` : `${minutes}m`;
+  }
+
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+    if (this.reportInterval) {
+      clearInterval(this.reportInterval);
+      this.reportInterval = null;
+    }
+  }
+}
+
+module.exports = { OutcomeTracker };
@@ -0,0 +1,165 @@
+// ============================================================================
+// RELATIVE VOLUME
+// Об'єм ліквідацій відносно ліквідності самої монети:
+// % від 24h volume, % від open interest, z-score проти власної історії
+// ============================================================================
+
+class LiquidationBaseline {
+  /**
+   * bucketMs - розмір корзини (= вікно агрегації), samples - скільки корзин пам'ятати
+   */
+  constructor(bucketMs, samples) {
+    this.bucketMs = bucketMs;
+    this.samples = samples;
+    this.symbols = new Map(); // symbol -> { bucketStart, bucketSum, history: [] }
+  }
+
+  observe(symbol, volumeUSD, timestamp) {
+    const bucketStart = Math.floor(timestamp / this.bucketMs) * this.bucketMs;
+    let state = this.symbols.get(symbol);
+
+    if (!state) {
+      state = { bucketStart, bucketSum: 0, history: [] };
+      this.symbols.set(symbol, state);
+    } else if (state.bucketStart === null) {
+      // Відновлено зі стану: час простою не рахується нульовими корзинами
+      state.bucketStart = bucketStart;
+    }
+
+    if (bucketStart > state.bucketStart) {
+      this.closeBuckets(state, bucketStart);
+    }
+
+    // Запізнілі події з минулих корзин ідуть в поточну
+    state.bucketSum += volumeUSD;
+  }
+
+  /**
+   * Закриття корзин до bucketStart; пропущені корзини = 0
+   */
+  closeBuckets(state, bucketStart) {
+    state.history.push(state.bucketSum);
+
+    const missed = Math.min(
+      this.samples,
+      Math.floor((bucketStart - state.bucketStart) / this.bucketMs) - 1
+    );
+    for (let i = 0; i < missed; i++) {
+      state.history.push(0);
+    }
+
+    if (state.history.length > this.samples) {
+      state.history.splice(0, state.history.length - this.samples);
+    }
+
+    state.bucketStart = bucketStart;
+    state.bucketSum = 0;
+  }
+
+  /**
+   * Z-score об'єму відносно історії; null, якщо історії замало
+   * scale - довжина вікна в корзинах: середнє масштабується лінійно, відхилення як sqrt
+   */
+  getZScore(symbol, volumeUSD, minSamples, scale = 1) {
+    const state = this.symbols.get(symbol);
+    if (!state || state.history.length < minSamples) return null;
+
+    const n = state.history.length;
+    const mean = state.history.reduce((sum, v) => sum + v, 0) / n;
+    const variance = state.history.reduce((sum, v) => sum + (v - mean) ** 2, 0) / n;
+    // Мінімальне відхилення $1, щоб тиха монета не давала нескінченність
+    const std = Math.max(Math.sqrt(variance * scale), 1);
+
+    return { zScore: (volumeUSD - mean * scale) / std, mean: mean * scale, samples: n };
+  }
+
+  /**
+   * Лише закриті корзини: незавершена поточна після рестарту була б неповною
+   */
+  exportState() {
+    const symbols = {};
+    for (const [symbol, state] of this.symbols.entries()) {
+      if (state.history.length > 0) {
+        symbols[symbol] = state.history;
+      }
+    }
+    return { bucketMs: this.bucketMs, symbols };
+  }
+
+  importState(state) {
+    // Змінився розмір корзини (AGGREGATION_WINDOW_SEC) - історія несумісна
+    if (state.bucketMs !== this.bucketMs) return;
+
+    for (const [symbol, history] of Object.entries(state.symbols || {})) {
+      this.symbols.set(symbol, {
+        bucketStart: null,
+        bucketSum: 0,
+        history: history.slice(-this.samples)
+      });
+    }
+  }
+}
+
+class RelativeVolumeCalculator {
+  constructor(options = {}) {
+    this.tokenFilter = options.tokenFilter || null;
+    this.marketContext = options.marketContext || null;
+    this.useOpenInterest = Boolean(options.useOpenInterest);
+    this.minBaselineSamples = options.minBaselineSamples || 20;
+    this.baseline = new LiquidationBaseline(options.bucketMs, options.baselineSamples);
+  }
+
+  observe(symbol, liquidation) {
+    this.baseline.observe(symbol, liquidation.volumeUSD, liquidation.timestamp);
+  }
+
+  /**
+   * Відносні метрики для статистики вікна
+   */
+  compute(stats) {
+    const result = {
+      volume24h: null,
+      volumeRatioPercent: null,
+      openInterestUSD: null,
+      oiRatioPercent: null,
+      zScore: null,
+      baselineMeanUSD: null
+    };
+
+    const metadata = this.tokenFilter ? this.tokenFilter.getTokenMetadata(stats.symbol) : null;
+    if (metadata && metadata.volume24h > 0) {
+      result.volume24h = metadata.volume24h;
+      result.volumeRatioPercent = (stats.totalVolumeUSD / metadata.volume24h) * 100;
+    }
+
+    const price = stats.priceChange ? stats.priceChange.newPrice : null;
+    if (this.useOpenInterest && this.marketContext && price) {
+      const openInterest = this.marketContext.getOpenInterest(stats.symbol);
+      if (openInterest > 0) {
+        result.openInterestUSD = openInterest * price;
+        result.oiRatioPercent = (stats.totalVolumeUSD / result.openInterestUSD) * 100;
+      }
+    }
+
+    const scale = stats.windowSec ? (stats.windowSec * 1000) / this.baseline.bucketMs : 1;
+    const z = this.baseline.getZScore(stats.symbol, stats.totalVolumeUSD, this.minBaselineSamples, scale);
+    if (z) {
+      result.zScore = z.zScore;
+      result.baselineMeanUSD = z.mean;
+    }
+
+    return result;
+  }
+
+  exportState() {
+    return { baseline: this.baseline.exportState() };
+  }
+
+  importState(state) {
+    if (state.baseline) {
+      this.baseline.importState(state.baseline);
+    }
+  }
+}
+
+module.exports = { RelativeVolumeCalculator, LiquidationBaseline };
@@ -0,0 +1,326 @@
+// ============================================================================
+// REPLAY / BACKTEST
+// Прогін записаного !forceOrder@arr потоку (JSONL) через агрегатор,
+// детектор і cooldown на симульованому годиннику
+//
+// Приймає як сирі повідомлення Binance, так і JSONL з LiquidationRecorder
+//
+// Використання:
+//   node replay.js <file.jsonl> [--tokens tokens.json] [--set MIN_DOMINANCE=70] [--out alerts.jsonl] [--verbose]
+//
+// Пороги також читаються з env, як і в основному боті
+// ============================================================================
+
+const fs = require('fs');
+const readline = require('readline');
+const zlib = require('zlib');
+const {
+  PriceTracker,
+  LiquidationAggregator,
+  SignalDetector,
+  CooldownManager,
+  AlertEngine,
+  CONFIG,
+  EventTimeClock
+} = require('./index');
+const { BinanceSource } = require('./exchange-sources');
+const { TokenFilter } = require('./token-filter');
+const { StaticFileProvider } = require('./market-data-providers');
+const { ThresholdProfiles } = require('./threshold-profiles');
+const { RelativeVolumeCalculator } = require('./relative-volume');
+const { RuleEngine } = require('./rule-engine');
+const { EscalationTracker } = require('./escalation-tracker');
+const { MarketRegimeDetector } = require('./market-regime');
+
+/**
+ * Годинник, який рухається лише за часом подій
+ */
+class SimulatedClock {
+  constructor(startTime = 0) {
+    this.time = startTime;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  set(time) {
+    // Час не йде назад, навіть якщо події у файлі трохи перемішані
+    if (time > this.time) {
+      this.time = time;
+    }
+  }
+}
+
+/**
+ * Notifier, що лише збирає алерти і ескалації
+ */
+class CollectingNotifier {
+  constructor(clock, onAlert, onEscalation = () => {}, onMarketAlert = () => {}) {
+    this.clock = clock;
+    this.onAlert = onAlert;
+    this.onEscalation = onEscalation;
+    this.onMarketAlert = onMarketAlert;
+  }
+
+  getAlertRecipients(stats, { exclude = [] } = {}) {
+    return { eligible: exclude.includes('replay') ? [] : ['replay'], pending: [] };
+  }
+
+  async sendAlert(stats) {
+    this.onAlert({ firedAt: this.clock.now(), ...stats });
+    return { messageRefs: [], delivered: ['replay'], failed: [], rejected: [] };
+  }
+
+  async sendEscalation(escalation) {
+    this.onEscalation({ firedAt: this.clock.now(), ...escalation });
+  }
+
+  async sendMarketAlert(snapshot) {
+    this.onMarketAlert({ firedAt: this.clock.now(), ...snapshot });
+    return { delivered: ['replay'], failed: [] };
+  }
+
+  async sendStatus() {}
+}
+
+function parseArgs(argv) {
+  const args = { file: null, tokens: null, out: null, verbose: false, overrides: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--tokens') {
+      args.tokens = argv[++i];
+    } else if (arg === '--out') {
+      args.out = argv[++i];
+    } else if (arg === '--verbose') {
+      args.verbose = true;
+    } else if (arg === '--set') {
+      const [key, value] = (argv[++i] || '').split('=');
+      args.overrides[key.toUpperCase()] = parseFloat(value);
+    } else if (!args.file) {
+      args.file = arg;
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Час події: E (event time), T (час угоди) або timestamp запису recorder
+ */
+function getEventTime(message) {
+  return message.E || (message.o && message.o.T) || message.timestamp || null;
+}
+
+/**
+ * Рядок з LiquidationRecorder (вже нормалізована подія)
+ */
+function isRecordedEvent(message) {
+  return !message.o && message.symbol && message.side && Number.isFinite(message.volumeUSD);
+}
+
+async function runReplay(options) {
+  const clock = new SimulatedClock();
+  const alerts = [];
+  const escalations = [];
+  const marketAlerts = [];
+
+  const eventClock = new EventTimeClock(clock, CONFIG.MAX_EVENT_LATENESS_SEC * 1000, CONFIG.MAX_EVENT_LEAD_SEC * 1000);
+  const priceTracker = new PriceTracker(CONFIG.PRICE_CHANGE_WINDOW_SEC, eventClock);
+  const aggregator = new LiquidationAggregator(
+    CONFIG.AGGREGATION_WINDOW_SEC,
+    priceTracker,
+    eventClock,
+    CONFIG.AGGREGATION_EXTRA_WINDOWS_SEC
+  );
+  const detector = new SignalDetector(options.overrides);
+  const cooldownManager = new CooldownManager(CONFIG.COOLDOWN_MINUTES, CONFIG.DEDUP_WINDOW_SEC, clock);
+  const notifier = new CollectingNotifier(clock, (alert) => {
+    alerts.push(alert);
+    if (options.onAlert) options.onAlert(alert);
+  }, (escalation) => {
+    escalations.push(escalation);
+    if (options.onEscalation) options.onEscalation(escalation);
+  }, (snapshot) => {
+    marketAlerts.push(snapshot);
+    if (options.onMarketAlert) options.onMarketAlert(snapshot);
+  });
+  const escalationTracker = CONFIG.ESCALATION_ALERTS ? new EscalationTracker({ clock }) : null;
+  aggregator.setEscalationTracker(escalationTracker);
+  const marketRegime = CONFIG.MARKET_REGIME.ENABLED
+    ? new MarketRegimeDetector({
+        windowSec: CONFIG.MARKET_REGIME.WINDOW_SEC,
+        minVolumeUSD: CONFIG.MARKET_REGIME.MIN_VOLUME_USD,
+        minSymbols: CONFIG.MARKET_REGIME.MIN_SYMBOLS,
+        minDominance: CONFIG.MARKET_REGIME.MIN_DOMINANCE,
+        cooldownMinutes: CONFIG.MARKET_REGIME.COOLDOWN_MINUTES,
+        clock
+      })
+    : null;
+  const engine = new AlertEngine(aggregator, detector, cooldownManager, notifier, { escalationTracker, marketRegime });
+
+  let tokenFilter = null;
+  if (options.tokens) {
+    tokenFilter = new TokenFilter(CONFIG.FILTER_CONFIG, {
+      providers: [new StaticFileProvider({ filePath: options.tokens })],
+      snapshotStore: { save: async () => {}, load: async () => null }
+    });
+    await tokenFilter.updateValidTokens();
+  }
+
+  if (CONFIG.THRESHOLD_PROFILES_FILE) {
+    const profiles = new ThresholdProfiles({ filePath: CONFIG.THRESHOLD_PROFILES_FILE, tokenFilter });
+    detector.setProfiles(profiles);
+    cooldownManager.setProfiles(profiles);
+    aggregator.setProfiles(profiles);
+  }
+
+  if (CONFIG.ALERT_RULES_FILE) {
+    const ruleEngine = new RuleEngine({ filePath: CONFIG.ALERT_RULES_FILE });
+    ruleEngine.load();
+    detector.setRuleEngine(ruleEngine);
+  }
+
+  // Open interest не відтворюється з запису: oi_ratio в replay не працює
+  aggregator.setRelativeVolume(new RelativeVolumeCalculator({
+    tokenFilter,
+    bucketMs: CONFIG.AGGREGATION_WINDOW_SEC * 1000,
+    baselineSamples: Math.ceil(CONFIG.BASELINE_HOURS * 3600 / CONFIG.AGGREGATION_WINDOW_SEC)
+  }));
+
+  let eventCount = 0;
+  let filteredCount = 0;
+  const handleEvent = (event) => {
+    eventCount++;
+    if (marketRegime) {
+      marketRegime.observe(event);
+    }
+    // Без --tokens діє фільтр, записаний recorder під час роботи бота
+    const filtered = tokenFilter ? !tokenFilter.isValid(event.symbol) : event.filtered === true;
+    if (filtered) {
+      filteredCount++;
+      return;
+    }
+    aggregator.addLiquidation(event.symbol, event);
+  };
+  const source = new BinanceSource(null, { clock, onLiquidation: handleEvent });
+
+  const checkIntervalMs = CONFIG.CHECK_INTERVAL_SEC * 1000;
+  let nextCheck = null;
+
+  // Файли recorder стиснуті gzip
+  const fileStream = fs.createReadStream(options.file);
+  const input = readline.createInterface({
+    input: options.file.endsWith('.gz') ? fileStream.pipe(zlib.createGunzip()) : fileStream,
+    crlfDelay: Infinity
+  });
+
+  for await (const line of input) {
+    if (!line.trim()) continue;
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      continue;
+    }
+
+    const eventTime = getEventTime(message);
+    if (!eventTime) continue;
+
+    // Перевірки вікон між подіями, як це робив би setInterval
+    if (nextCheck === null) {
+      nextCheck = eventTime + checkIntervalMs;
+    }
+    while (eventTime >= nextCheck) {
+      clock.set(nextCheck);
+      await engine.checkAllWindows();
+      nextCheck += checkIntervalMs;
+    }
+
+    clock.set(eventTime);
+    if (isRecordedEvent(message)) {
+      handleEvent(message);
+    } else {
+      source.handleMessage(line);
+    }
+  }
+
+  // Фінальна перевірка в кінці запису
+  if (nextCheck !== null) {
+    clock.set(nextCheck);
+    await engine.checkAllWindows();
+  }
+
+  return { alerts, escalations, marketAlerts, eventCount, filteredCount };
+}
+
+function formatAlertLine(alert) {
+  const dominantVolumeUSD = alert.dominantSide === 'LONG' ? alert.longVolumeUSD : alert.shortVolumeUSD;
+  const priceInfo = alert.priceChange
+    ? ` | Δ${alert.priceChange.changePercent >= 0 ? '+' : ''}${alert.priceChange.changePercent.toFixed(2)}%`
+    : '';
+  return (
+    `${new Date(alert.firedAt).toISOString()} | ${alert.symbol.padEnd(12)} | ${alert.dominantSide.padEnd(5)} | ` +
+    `$${(dominantVolumeUSD / 1e6).toFixed(2)}M | ${alert.dominance.toFixed(1)}%${priceInfo} | ${alert.windowSec}s` +
+    (alert.strategy ? ` | ${alert.strategy}` : '')
+  );
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.file) {
+    console.error('Використання: node replay.js <file.jsonl> [--tokens tokens.json] [--set KEY=VALUE] [--out alerts.jsonl] [--verbose]');
+    process.exit(1);
+  }
+
+  // Логи движка ([DEBUG], [SKIP]...) лише з --verbose
+  const print = console.log;
+  if (!args.verbose) {
+    console.log = () => {};
+  }
+
+  const out = args.out ? fs.createWriteStream(args.out) : null;
+
+  const result = await runReplay({
+    ...args,
+    onAlert: (alert) => {
+      print(`[REPLAY] ${formatAlertLine(alert)}`);
+      if (out) out.write(JSON.stringify(alert) + '\n');
+    },
+    onEscalation: (escalation) => {
+      print(
+        `[REPLAY] ${new Date(escalation.firedAt).toISOString()} | ${escalation.symbol.padEnd(12)} | ` +
+        `${escalation.side.padEnd(5)} | 📈 $${(escalation.cumulativeUSD / 1e6).toFixed(2)}M (x${escalation.level})`
+      );
+    },
+    onMarketAlert: (snapshot) => {
+      print(
+        `[REPLAY] ${new Date(snapshot.firedAt).toISOString()} | 🌐 ${snapshot.regime} | ` +
+        `$${(snapshot.totalVolumeUSD / 1e6).toFixed(2)}M | ${snapshot.breadth} символів`
+      );
+    }
+  });
+
+  if (out) out.end();
+
+  const bySide = { LONG: 0, SHORT: 0 };
+  for (const alert of result.alerts) {
+    bySide[alert.dominantSide]++;
+  }
+
+  print('='.repeat(70));
+  print(`[REPLAY] Подій: ${result.eventCount} | Відфільтровано: ${result.filteredCount}`);
+  print(`[REPLAY] Алертів: ${result.alerts.length} (LONG: ${bySide.LONG}, SHORT: ${bySide.SHORT})`);
+  print(`[REPLAY] Ескалацій: ${result.escalations.length} | Ринкових: ${result.marketAlerts.length}`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('[FATAL]', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runReplay, SimulatedClock };
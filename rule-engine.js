@@ -0,0 +1,276 @@
+// ============================================================================
+// RULE ENGINE
+// Декларативні стратегії алертів з JSON-файлу (ALERT_RULES_FILE)
+// Замінюють вбудовані фільтри SignalDetector, коли файл задано
+//
+// Формат файлу:
+// {
+//   "strategies": [
+//     {
+//       "name": "cascade",
+//       "tag": "🔥 Каскад",
+//       "when": {
+//         "all": [
+//           { "field": "totalVolumeUSD", "op": ">=", "value": { "threshold": "MIN_LIQUIDATION_USD" } },
+//           { "field": "dominantVolumeUSD", "op": ">=", "value": { "threshold": "MIN_LIQUIDATION_USD", "factor": 0.8 } },
+//           { "any": [
+//             { "field": "count", "op": ">=", "value": 20 },
+//             { "field": "absPriceChangePercent", "op": ">=", "value": 3 }
+//           ] }
+//         ]
+//       }
+//     }
+//   ]
+// }
+//
+// Вузли: { all: [...] } (AND), { any: [...] } (OR), { not: {...} },
+// або умова { field, op, value, name? }. value - число, рядок (для dominantSide)
+// або посилання на поріг { threshold, factor? } - так /set і профілі тірів
+// діють і на стратегії. Поле без значення (немає ціни/метрики) - умова не виконана
+// ============================================================================
+
+const fs = require('fs');
+const { createRule, createNegation } = require('./filter-verdict');
+const { THRESHOLD_KEYS } = require('./threshold-profiles');
+
+const dominantVolume = (stats) =>
+  stats.dominantSide === 'LONG' ? stats.longVolumeUSD : stats.shortVolumeUSD;
+
+// Поля статистики вікна, доступні в умовах
+const FIELDS = {
+  totalVolumeUSD: { unit: 'usd', get: (stats) => stats.totalVolumeUSD },
+  longVolumeUSD: { unit: 'usd', get: (stats) => stats.longVolumeUSD },
+  shortVolumeUSD: { unit: 'usd', get: (stats) => stats.shortVolumeUSD },
+  dominantVolumeUSD: { unit: 'usd', get: dominantVolume },
+  dominantSide: { unit: 'text', get: (stats) => stats.dominantSide },
+  dominance: { unit: 'percent', get: (stats) => stats.dominance },
+  longDominance: { unit: 'percent', get: (stats) => stats.longDominance },
+  shortDominance: { unit: 'percent', get: (stats) => stats.shortDominance },
+  count: { unit: 'number', get: (stats) => stats.count },
+  durationSec: { unit: 'number', get: (stats) => stats.durationSec },
+  // Довжина вікна агрегації (основне або AGGREGATION_EXTRA_WINDOWS_SEC)
+  windowSec: { unit: 'number', get: (stats) => stats.windowSec },
+  exchangeCount: { unit: 'number', get: (stats) => (stats.exchanges || []).length },
+  'priceChange.changePercent': {
+    unit: 'percent',
+    get: (stats) => stats.priceChange ? stats.priceChange.changePercent : null
+  },
+  absPriceChangePercent: {
+    unit: 'percent',
+    get: (stats) => stats.priceChange ? Math.abs(stats.priceChange.changePercent) : null
+  },
+  // Зміна ціни в напрямку ліквідацій: LONG -> падіння, SHORT -> зростання (> 0 = збігається)
+  directionalPriceChangePercent: {
+    unit: 'percent',
+    get: (stats) => {
+      if (!stats.priceChange) return null;
+      return stats.dominantSide === 'LONG'
+        ? -stats.priceChange.changePercent
+        : stats.priceChange.changePercent;
+    }
+  },
+  'relative.volumeRatioPercent': {
+    unit: 'percent',
+    get: (stats) => stats.relative ? stats.relative.volumeRatioPercent : null
+  },
+  'relative.oiRatioPercent': {
+    unit: 'percent',
+    get: (stats) => stats.relative ? stats.relative.oiRatioPercent : null
+  },
+  'relative.zScore': {
+    unit: 'number',
+    get: (stats) => stats.relative ? stats.relative.zScore : null
+  },
+};
+
+const OPERATORS = ['>', '>=', '<', '<=', '==', '!='];
+
+/**
+ * Перевірка дерева умов; помилки збираються з шляхом до вузла
+ */
+function validateCondition(node, path, errors) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    errors.push(`${path}: очікується об'єкт умови`);
+    return;
+  }
+
+  // { all, any } разом - evaluateNode взяв би лише all, any мовчки ігнорувався б
+  const kinds = ['all', 'any', 'not', 'field'].filter(key => key in node);
+  if (kinds.length > 1) {
+    errors.push(`${path}: вузол має бути одним з all / any / not / умова, знайдено ${kinds.join(' + ')}`);
+    return;
+  }
+
+  if ('all' in node || 'any' in node) {
+    const key = 'all' in node ? 'all' : 'any';
+    if (!Array.isArray(node[key]) || node[key].length === 0) {
+      errors.push(`${path}.${key}: очікується непорожній масив`);
+      return;
+    }
+    node[key].forEach((child, i) => validateCondition(child, `${path}.${key}[${i}]`, errors));
+    return;
+  }
+
+  if ('not' in node) {
+    validateCondition(node.not, `${path}.not`, errors);
+    return;
+  }
+
+  const field = FIELDS[node.field];
+  if (!field) {
+    errors.push(`${path}: невідоме поле "${node.field}" (доступні: ${Object.keys(FIELDS).join(', ')})`);
+    return;
+  }
+
+  if (!OPERATORS.includes(node.op)) {
+    errors.push(`${path}: невідомий оператор "${node.op}"`);
+    return;
+  }
+
+  const value = node.value;
+  if (field.unit === 'text') {
+    if (typeof value !== 'string' || !['==', '!='].includes(node.op)) {
+      errors.push(`${path}: ${node.field} порівнюється лише == / != з рядком`);
+    }
+  } else if (value && typeof value === 'object') {
+    if (!THRESHOLD_KEYS.includes(value.threshold)) {
+      errors.push(`${path}: невідомий поріг "${value.threshold}"`);
+    }
+    if (value.factor !== undefined && !Number.isFinite(value.factor)) {
+      errors.push(`${path}: factor має бути числом`);
+    }
+  } else if (!Number.isFinite(value)) {
+    errors.push(`${path}: value має бути числом або { threshold, factor }`);
+  }
+}
+
+function validateStrategies(raw) {
+  const errors = [];
+  const strategies = Array.isArray(raw.strategies) ? raw.strategies : null;
+
+  if (!strategies || strategies.length === 0) {
+    return { strategies: [], errors: ['strategies: очікується непорожній масив'] };
+  }
+
+  const names = new Set();
+  strategies.forEach((strategy, i) => {
+    const path = `strategies[${i}]`;
+    if (typeof strategy.name !== 'string' || !strategy.name) {
+      errors.push(`${path}: потрібне поле name`);
+    } else if (names.has(strategy.name)) {
+      errors.push(`${path}: повторна назва "${strategy.name}"`);
+    } else {
+      names.add(strategy.name);
+    }
+    validateCondition(strategy.when, `${path}.when`, errors);
+  });
+
+  return {
+    strategies: strategies
+      .filter(strategy => strategy.enabled !== false)
+      .map(strategy => ({ name: strategy.name, tag: strategy.tag || strategy.name, when: strategy.when })),
+    errors
+  };
+}
+
+class RuleEngine {
+  constructor(options = {}) {
+    this.filePath = options.filePath;
+    this.watchIntervalMs = options.watchIntervalMs || 2000;
+    this.strategies = [];
+    this.watching = false;
+  }
+
+  /**
+   * Читання і валідація файлу; при помилці кидає і не змінює поточні стратегії
+   */
+  load() {
+    const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    const { strategies, errors } = validateStrategies(raw);
+
+    if (errors.length > 0) {
+      throw new Error(`Некоректні правила в ${this.filePath}:\n  ${errors.join('\n  ')}`);
+    }
+
+    this.strategies = strategies;
+    console.log(`[RULES] ✅ Стратегії: ${strategies.map(s => s.name).join(', ')}`);
+  }
+
+  /**
+   * Hot reload: некоректний файл логується, діють попередні стратегії
+   */
+  watch() {
+    fs.watchFile(this.filePath, { interval: this.watchIntervalMs }, (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs) return;
+
+      try {
+        this.load();
+      } catch (error) {
+        console.error('[RULES] ❌ Перезавантаження відхилено, діють попередні правила:', error.message);
+      }
+    });
+    this.watching = true;
+  }
+
+  stop() {
+    if (this.watching) {
+      fs.unwatchFile(this.filePath);
+      this.watching = false;
+    }
+  }
+
+  /**
+   * Вердикт по кожній стратегії (формат як у SignalDetector.shouldAlert)
+   */
+  evaluate(stats, thresholds) {
+    return this.strategies.map(strategy => {
+      const rules = [];
+      const pass = this.evaluateNode(strategy.when, stats, thresholds, rules);
+
+      return {
+        symbol: stats.symbol,
+        strategy: strategy.name,
+        tag: strategy.tag,
+        pass,
+        rules,
+        failed: pass ? [] : rules.filter(rule => !rule.pass)
+      };
+    });
+  }
+
+  /**
+   * Без short-circuit: кожна умова потрапляє в rules для пояснення
+   */
+  evaluateNode(node, stats, thresholds, rules) {
+    if (node.all) {
+      return node.all
+        .map(child => this.evaluateNode(child, stats, thresholds, rules))
+        .every(Boolean);
+    }
+
+    if (node.any) {
+      return node.any
+        .map(child => this.evaluateNode(child, stats, thresholds, rules))
+        .some(Boolean);
+    }
+
+    // Умови всередині not - одне правило "not(...)": саме воно причина відмови
+    if (node.not) {
+      const inner = [];
+      const pass = !this.evaluateNode(node.not, stats, thresholds, inner);
+      rules.push(createNegation(inner, pass));
+      return pass;
+    }
+
+    const field = FIELDS[node.field];
+    const threshold = node.value && typeof node.value === 'object'
+      ? thresholds[node.value.threshold] * (node.value.factor !== undefined ? node.value.factor : 1)
+      : node.value;
+    const rule = createRule(node.name || node.field, field.get(stats), threshold, node.op, field.unit, node.field);
+
+    rules.push(rule);
+    return rule.pass;
+  }
+}
+
+module.exports = { RuleEngine, validateStrategies, FIELDS };
@@ -0,0 +1,51 @@
+// ============================================================================
+// STATE STORE
+// Знімок стану (cooldown, дедуплікація, відкриті вікна) у JSON файл,
+// щоб рестарт не повторював щойно відправлені алерти
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+
+const STATE_VERSION = 1;
+
+class StateStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  save(state) {
+    const snapshot = {
+      version: STATE_VERSION,
+      savedAt: Date.now(),
+      ...state
+    };
+
+    // Синхронно - викликається і з shutdown, де event loop може не дочекатись
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(snapshot));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  load() {
+    let snapshot;
+    try {
+      snapshot = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[STATE] Помилка читання стану:', error.message);
+      }
+      return null;
+    }
+
+    if (snapshot.version !== STATE_VERSION) {
+      console.error(`[STATE] Несумісна версія стану (${snapshot.version}), ігноруємо`);
+      return null;
+    }
+
+    return snapshot;
+  }
+}
+
+module.exports = { StateStore };
@@ -0,0 +1,156 @@
+// ============================================================================
+// SYMBOL RESOLVER
+// Зіставлення ф'ючерсних контрактів (1000PEPEUSDT, BTC_USDT) з монетами
+// CoinGecko: префікси-множники, колізії тікерів, ручні override
+// ============================================================================
+
+const fs = require('fs');
+
+const QUOTE_SUFFIXES = ['USDT', 'USDC', 'USD'];
+
+// Від більшого до меншого, щоб 1000000 не сприйнявся як 1000
+const MULTIPLIER_PREFIXES = [
+  { prefix: '1000000', multiplier: 1_000_000 },
+  { prefix: '1M', multiplier: 1_000_000 },
+  { prefix: '100000', multiplier: 100_000 },
+  { prefix: '10000', multiplier: 10_000 },
+  { prefix: '1000', multiplier: 1000 },
+  { prefix: '1K', multiplier: 1000 },
+  { prefix: '100', multiplier: 100 },
+];
+
+class SymbolResolver {
+  constructor(options = {}) {
+    this.tickerIndex = new Map(); // ticker -> { id, ticker, mcap }
+    this.overrides = options.overrides || {};
+    this.cache = new Map(); // contract symbol -> результат resolve
+    this.unmatched = new Map(); // contract symbol -> кількість звернень
+    this.collisions = 0;
+
+    if (options.overridesFile) {
+      this.overrides = { ...this.loadOverrides(options.overridesFile), ...this.overrides };
+    }
+  }
+
+  /**
+   * Файл override: { "1000PEPEUSDT": "pepe", "NEIROUSDT": { "id": "neiro-3", "multiplier": 1 } }
+   */
+  loadOverrides(filePath) {
+    try {
+      const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      console.log(`[RESOLVER] Завантажено ${Object.keys(raw).length} override з ${filePath}`);
+      return raw;
+    } catch (error) {
+      console.error(`[RESOLVER] Помилка читання ${filePath}:`, error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Побудова індексу тікерів. При колізії перемагає монета з більшим MCAP
+   */
+  build(tokens) {
+    const index = new Map();
+    let collisions = 0;
+
+    for (const token of tokens) {
+      const existing = index.get(token.ticker);
+      if (existing) {
+        collisions++;
+        if (existing.mcap >= token.mcap) continue;
+      }
+      index.set(token.ticker, { id: token.id, ticker: token.ticker, mcap: token.mcap });
+    }
+
+    this.tickerIndex = index;
+    this.collisions = collisions;
+    this.cache.clear();
+
+    // Повторно перевіряємо невідомі символи на новому індексі
+    for (const symbol of [...this.unmatched.keys()]) {
+      if (this.resolve(symbol, { track: false })) {
+        this.unmatched.delete(symbol);
+      }
+    }
+  }
+
+  /**
+   * Контракт -> { id, ticker, multiplier } або null
+   */
+  resolve(contractSymbol, { track = true } = {}) {
+    if (!contractSymbol) return null;
+
+    if (this.cache.has(contractSymbol)) {
+      const cached = this.cache.get(contractSymbol);
+      if (!cached && track) this.trackUnmatched(contractSymbol);
+      return cached;
+    }
+
+    const result = this.resolveUncached(contractSymbol);
+    this.cache.set(contractSymbol, result);
+
+    if (!result && track) this.trackUnmatched(contractSymbol);
+    return result;
+  }
+
+  resolveUncached(contractSymbol) {
+    const symbol = contractSymbol.toUpperCase().replace(/[_\-/]/g, '');
+
+    const override = this.overrides[symbol];
+    if (override) {
+      const id = typeof override === 'string' ? override : override.id;
+      const ticker = this.findTickerById(id) || this.stripQuote(symbol);
+      return { id, ticker, multiplier: (override && override.multiplier) || 1 };
+    }
+
+    const base = this.stripQuote(symbol);
+    if (!base) return null;
+
+    const direct = this.tickerIndex.get(base);
+    if (direct) {
+      return { id: direct.id, ticker: direct.ticker, multiplier: 1 };
+    }
+
+    for (const { prefix, multiplier } of MULTIPLIER_PREFIXES) {
+      if (!base.startsWith(prefix) || base.length === prefix.length) continue;
+
+      const coin = this.tickerIndex.get(base.slice(prefix.length));
+      if (coin) {
+        return { id: coin.id, ticker: coin.ticker, multiplier };
+      }
+    }
+
+    return null;
+  }
+
+  stripQuote(symbol) {
+    for (const quote of QUOTE_SUFFIXES) {
+      if (symbol.endsWith(quote) && symbol.length > quote.length) {
+        return symbol.slice(0, -quote.length);
+      }
+    }
+    return null;
+  }
+
+  findTickerById(id) {
+    for (const coin of this.tickerIndex.values()) {
+      if (coin.id === id) return coin.ticker;
+    }
+    return null;
+  }
+
+  trackUnmatched(symbol) {
+    this.unmatched.set(symbol, (this.unmatched.get(symbol) || 0) + 1);
+  }
+
+  /**
+   * Звіт по ф'ючерсних символах без відповідної монети
+   */
+  getUnmatchedReport() {
+    return [...this.unmatched.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .map(([symbol, count]) => ({ symbol, count }));
+  }
+}
+
+module.exports = { SymbolResolver };
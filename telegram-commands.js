@@ -0,0 +1,398 @@
+// ============================================================================
+// TELEGRAM COMMANDS
+// Керування ботом на льоту: /status /thresholds /set /mute /unmute /watchlist /top /prefs
+// Доступ лише для чатів з TELEGRAM_CHAT_ID
+// ============================================================================
+
+const { LANGUAGES } = require('./chat-preferences');
+
+// Назва параметра в /set -> як застосувати; min / max - допустимий діапазон
+// (за замовчуванням від 0), check - узгодженість з іншими порогами
+const SETTABLE = {
+  min_liquidation_usd: {
+    description: 'Мін. загальний об\'єм ліквідацій, $',
+    apply: (ctx, value) => ctx.detector.setThreshold('MIN_LIQUIDATION_USD', value),
+    get: (ctx) => ctx.detector.thresholds.MIN_LIQUIDATION_USD
+  },
+  min_dominance: {
+    description: 'Мін. домінування, %',
+    max: 100,
+    apply: (ctx, value) => ctx.detector.setThreshold('MIN_DOMINANCE', value),
+    get: (ctx) => ctx.detector.thresholds.MIN_DOMINANCE
+  },
+  min_price_change: {
+    description: 'Мін. зміна ціни, %',
+    check: (ctx, value) => value > ctx.detector.thresholds.MAX_PRICE_CHANGE_PERCENT
+      ? `min_price_change не може бути більшим за max_price_change (${ctx.detector.thresholds.MAX_PRICE_CHANGE_PERCENT})`
+      : null,
+    apply: (ctx, value) => ctx.detector.setThreshold('MIN_PRICE_CHANGE_PERCENT', value),
+    get: (ctx) => ctx.detector.thresholds.MIN_PRICE_CHANGE_PERCENT
+  },
+  max_price_change: {
+    description: 'Макс. зміна ціни, %',
+    check: (ctx, value) => value < ctx.detector.thresholds.MIN_PRICE_CHANGE_PERCENT
+      ? `max_price_change не може бути меншим за min_price_change (${ctx.detector.thresholds.MIN_PRICE_CHANGE_PERCENT})`
+      : null,
+    apply: (ctx, value) => ctx.detector.setThreshold('MAX_PRICE_CHANGE_PERCENT', value),
+    get: (ctx) => ctx.detector.thresholds.MAX_PRICE_CHANGE_PERCENT
+  },
+  min_volume_ratio: {
+    description: 'Мін. % від 24h volume (режим volume_ratio)',
+    max: 100,
+    apply: (ctx, value) => ctx.detector.setThreshold('MIN_VOLUME_RATIO_PERCENT', value),
+    get: (ctx) => ctx.detector.thresholds.MIN_VOLUME_RATIO_PERCENT
+  },
+  min_oi_ratio: {
+    description: 'Мін. % від open interest (режим oi_ratio)',
+    max: 100,
+    apply: (ctx, value) => ctx.detector.setThreshold('MIN_OI_RATIO_PERCENT', value),
+    get: (ctx) => ctx.detector.thresholds.MIN_OI_RATIO_PERCENT
+  },
+  min_zscore: {
+    description: 'Мін. z-score (режим zscore)',
+    apply: (ctx, value) => ctx.detector.setThreshold('MIN_ZSCORE', value),
+    get: (ctx) => ctx.detector.thresholds.MIN_ZSCORE
+  },
+  cooldown_minutes: {
+    description: 'Cooldown після алерту, хв',
+    min: 1,
+    apply: (ctx, value) => ctx.cooldownManager.setCooldownMinutes(value),
+    get: (ctx) => ctx.cooldownManager.cooldownMs / 60000
+  },
+  dedup_window_sec: {
+    description: 'Вікно дедуплікації, с',
+    min: 1,
+    apply: (ctx, value) => ctx.cooldownManager.setDedupWindowSec(value),
+    get: (ctx) => ctx.cooldownManager.dedupWindowMs / 1000
+  },
+};
+
+const DURATION_UNITS = { m: 60_000, h: 3_600_000, d: 86_400_000 };
+
+/**
+ * "30m" / "1h" / "2d" -> мілісекунди
+ */
+function parseDuration(text) {
+  const match = /^(\d+(?:\.\d+)?)([mhd])$/i.exec(text || '');
+  if (!match) return null;
+  return parseFloat(match[1]) * DURATION_UNITS[match[2].toLowerCase()];
+}
+
+function normalizeCommandSymbol(text) {
+  const symbol = text.toUpperCase().replace(/[_\-/]/g, '');
+  return symbol.endsWith('USDT') ? symbol : `${symbol}USDT`;
+}
+
+class TelegramCommandHandler {
+  /**
+   * ctx: { detector, cooldownManager, aggregator, tokenFilter, wsManager, chatPreferences, alertTemplates }
+   */
+  constructor(bot, chatIds, ctx) {
+    this.bot = bot;
+    this.allowedChatIds = new Set(chatIds.map(String));
+    this.ctx = ctx;
+    this.commands = {
+      status: (args) => this.cmdStatus(args),
+      thresholds: (args) => this.cmdThresholds(args),
+      set: (args) => this.cmdSet(args),
+      mute: (args) => this.cmdMute(args),
+      unmute: (args) => this.cmdUnmute(args),
+      watchlist: (args) => this.cmdWatchlist(args),
+      top: (args) => this.cmdTop(args),
+      prefs: (args, chatId) => this.cmdPrefs(args, chatId),
+      help: (args) => this.cmdHelp(args),
+    };
+  }
+
+  start() {
+    this.bot.on('message', (msg) => this.handleMessage(msg));
+    this.bot.on('polling_error', (error) => {
+      console.error('[TELEGRAM] Помилка polling:', error.message);
+    });
+    this.bot.startPolling();
+    console.log(`[TELEGRAM] 🎛️ Команди увімкнено (${this.allowedChatIds.size} чатів)`);
+  }
+
+  async stop() {
+    if (this.bot.isPolling()) {
+      await this.bot.stopPolling();
+    }
+  }
+
+  async handleMessage(msg) {
+    if (!msg.text || !msg.text.startsWith('/')) return;
+
+    const chatId = String(msg.chat.id);
+    if (!this.allowedChatIds.has(chatId)) {
+      console.log(`[TELEGRAM] Ігноруємо команду з чату ${chatId}`);
+      return;
+    }
+
+    // "/set@MyBot min_dominance 70" -> ["set", "min_dominance", "70"]
+    const [rawCommand, ...args] = msg.text.trim().split(/\s+/);
+    const command = rawCommand.slice(1).split('@')[0].toLowerCase();
+    const handler = this.commands[command];
+    if (!handler) return;
+
+    let reply;
+    try {
+      reply = handler(args, chatId);
+    } catch (error) {
+      reply = `❌ ${error.message}`;
+    }
+
+    console.log(`[TELEGRAM] Команда /${command} ${args.join(' ')} (чат ${chatId})`);
+
+    try {
+      await this.bot.sendMessage(chatId, reply);
+    } catch (error) {
+      console.error(`[TELEGRAM] Помилка відповіді до ${chatId}:`, error.message);
+    }
+  }
+
+  cmdStatus() {
+    const { wsManager, tokenFilter, aggregator, cooldownManager } = this.ctx;
+    const wsStats = wsManager.getStats();
+    const exchanges = Object.entries(wsStats.byExchange)
+      .map(([name, info]) => `${info.connected ? '✅' : '❌'} ${name}: ${info.received}`)
+      .join('\n');
+
+    return [
+      '📡 Статус',
+      exchanges,
+      `Оброблено: ${wsStats.processed} | Відфільтровано: ${wsStats.filtered} (${wsStats.filterRate}%)`,
+      `Валідних токенів: ${tokenFilter.getStats().total}`,
+      `Активних вікон: ${aggregator.getAllActiveSymbols().length}`,
+      `Вимкнено символів: ${cooldownManager.getMuted().length}`,
+    ].join('\n');
+  }
+
+  cmdThresholds() {
+    const lines = [`⚙️ Пороги (режим: ${this.ctx.detector.mode})`];
+    for (const [key, param] of Object.entries(SETTABLE)) {
+      lines.push(`${key} = ${param.get(this.ctx)} (${param.description})`);
+    }
+
+    // /set змінює глобальні пороги; тіри з THRESHOLD_PROFILES_FILE їх перекривають
+    const profiles = this.ctx.detector.profiles;
+    if (profiles && profiles.tiers.length > 0) {
+      lines.push('', 'Перекриття по тірах (діють замість /set):');
+      for (const tier of profiles.tiers) {
+        lines.push(profiles.describe(tier));
+      }
+    }
+    return lines.join('\n');
+  }
+
+  cmdSet([key, rawValue]) {
+    const param = SETTABLE[(key || '').toLowerCase()];
+    if (!param) {
+      throw new Error(`Використання: /set <${Object.keys(SETTABLE).join('|')}> <значення>`);
+    }
+
+    // Number, не parseFloat: "70abc" - помилка, а не 70
+    const value = Number(rawValue);
+    const { min = 0, max = Infinity } = param;
+    if (!Number.isFinite(value) || value < min || value > max) {
+      const range = max === Infinity ? `>= ${min}` : `${min}-${max}`;
+      throw new Error(`Некоректне значення ${key}: ${rawValue} (допустимо ${range})`);
+    }
+
+    const conflict = param.check ? param.check(this.ctx, value) : null;
+    if (conflict) {
+      throw new Error(conflict);
+    }
+
+    const oldValue = param.get(this.ctx);
+    param.apply(this.ctx, value);
+    console.log(`[CONFIG] ${key}: ${oldValue} -> ${value}`);
+    return `✅ ${key}: ${oldValue} → ${value}`;
+  }
+
+  cmdMute([rawSymbol, rawDuration]) {
+    if (!rawSymbol) {
+      throw new Error('Використання: /mute SYMBOL 1h');
+    }
+
+    const durationMs = parseDuration(rawDuration || '1h');
+    if (!durationMs) {
+      throw new Error(`Некоректна тривалість: ${rawDuration} (приклад: 30m, 1h, 1d)`);
+    }
+
+    const symbol = normalizeCommandSymbol(rawSymbol);
+    this.ctx.cooldownManager.mute(symbol, durationMs);
+    const until = new Date(Date.now() + durationMs).toISOString().slice(0, 16).replace('T', ' ');
+    return `🔇 ${symbol} вимкнено до ${until} UTC`;
+  }
+
+  cmdUnmute([rawSymbol]) {
+    if (!rawSymbol) {
+      throw new Error('Використання: /unmute SYMBOL');
+    }
+
+    const symbol = normalizeCommandSymbol(rawSymbol);
+    return this.ctx.cooldownManager.unmute(symbol)
+      ? `🔊 ${symbol} знову активний`
+      : `${symbol} не був вимкнений`;
+  }
+
+  cmdWatchlist([action, rawSymbol]) {
+    const { tokenFilter } = this.ctx;
+
+    if (!action || action === 'list') {
+      const list = tokenFilter.getWatchlist();
+      return list.length > 0 ? `👀 Watchlist: ${list.join(', ')}` : '👀 Watchlist порожній';
+    }
+
+    if (!rawSymbol || !['add', 'remove'].includes(action)) {
+      throw new Error('Використання: /watchlist [list|add|remove] SYMBOL');
+    }
+
+    const symbol = normalizeCommandSymbol(rawSymbol);
+    if (action === 'add') {
+      tokenFilter.addToWatchlist(symbol);
+      return `👀 ${symbol} додано (моніториться незалежно від MCAP/Volume)`;
+    }
+
+    return tokenFilter.removeFromWatchlist(symbol)
+      ? `${symbol} видалено з watchlist`
+      : `${symbol} не в watchlist`;
+  }
+
+  /**
+   * Знімок вікон через peekWindowStats: команда з чату не зсуває і не чистить вікна
+   */
+  cmdTop([rawLimit]) {
+    const { aggregator } = this.ctx;
+    const limit = Math.min(parseInt(rawLimit) || 10, 30);
+
+    const windows = aggregator.getAllActiveSymbols()
+      .map(symbol => aggregator.peekWindowStats(symbol))
+      .filter(Boolean)
+      .sort((a, b) => b.totalVolumeUSD - a.totalVolumeUSD)
+      .slice(0, limit);
+
+    if (windows.length === 0) {
+      return '📊 Немає активних вікон';
+    }
+
+    const lines = ['📊 Топ активних вікон'];
+    windows.forEach((stats, i) => {
+      const side = stats.dominantSide === 'LONG' ? '🔴' : '🟢';
+      lines.push(
+        `${i + 1}. ${stats.symbol} ${side} $${(stats.totalVolumeUSD / 1e6).toFixed(2)}M ` +
+        `(${stats.dominance.toFixed(0)}%, ${stats.count} шт)`
+      );
+    });
+    return lines.join('\n');
+  }
+
+  /**
+   * Налаштування лише для чату, з якого прийшла команда
+   */
+  cmdPrefs([action, ...values], chatId) {
+    const { chatPreferences } = this.ctx;
+    const value = values.join(' ');
+    const usage = 'Використання: /prefs [min_volume|sides|symbols|block|quiet|timezone|language|template|reset] ...';
+
+    switch ((action || 'show').toLowerCase()) {
+      case 'show':
+        return this.formatPrefs(chatPreferences.get(chatId));
+
+      case 'min_volume': {
+        const minVolumeUSD = value === 'off' ? null : parseFloat(value);
+        if (minVolumeUSD !== null && !Number.isFinite(minVolumeUSD)) {
+          throw new Error('Використання: /prefs min_volume 2000000|off');
+        }
+        chatPreferences.update(chatId, { minVolumeUSD });
+        break;
+      }
+
+      case 'sides': {
+        const sides = { long: ['LONG'], short: ['SHORT'], all: ['LONG', 'SHORT'] }[value.toLowerCase()];
+        if (!sides) throw new Error('Використання: /prefs sides long|short|all');
+        chatPreferences.update(chatId, { sides });
+        break;
+      }
+
+      case 'symbols':
+      case 'block': {
+        const key = action.toLowerCase() === 'symbols' ? 'watchlist' : 'blacklist';
+        const [listAction, rawSymbol] = values;
+        const list = chatPreferences.get(chatId)[key];
+
+        if (listAction === 'clear') {
+          chatPreferences.update(chatId, { [key]: [] });
+        } else if (rawSymbol && listAction === 'add') {
+          const symbol = normalizeCommandSymbol(rawSymbol);
+          chatPreferences.update(chatId, { [key]: [...new Set([...list, symbol])] });
+        } else if (rawSymbol && listAction === 'remove') {
+          const symbol = normalizeCommandSymbol(rawSymbol);
+          chatPreferences.update(chatId, { [key]: list.filter(item => item !== symbol) });
+        } else {
+          throw new Error(`Використання: /prefs ${action.toLowerCase()} add|remove SYMBOL або clear`);
+        }
+        break;
+      }
+
+      case 'quiet':
+        chatPreferences.update(chatId, { quietHours: value === 'off' ? null : value });
+        break;
+
+      case 'timezone':
+        chatPreferences.update(chatId, { timezone: value });
+        break;
+
+      case 'language':
+        chatPreferences.update(chatId, { language: value.toLowerCase() });
+        break;
+
+      case 'template': {
+        const names = this.ctx.alertTemplates.getNames();
+        if (!names.includes(value)) {
+          throw new Error(`Шаблони: ${names.join(', ')}`);
+        }
+        chatPreferences.update(chatId, { template: value });
+        break;
+      }
+
+      case 'reset':
+        chatPreferences.reset(chatId);
+        break;
+
+      default:
+        throw new Error(usage);
+    }
+
+    console.log(`[PREFS] Чат ${chatId}: ${action} ${value}`);
+    return `✅ Збережено\n\n${this.formatPrefs(chatPreferences.get(chatId))}`;
+  }
+
+  formatPrefs(prefs) {
+    return [
+      '🎚️ Налаштування чату',
+      `Мін. об'єм: ${prefs.minVolumeUSD !== null ? `$${(prefs.minVolumeUSD / 1e6).toFixed(2)}M` : 'як у фільтрах'}`,
+      `Сторони: ${prefs.sides.join(', ')}`,
+      `Лише символи: ${prefs.watchlist.length > 0 ? prefs.watchlist.join(', ') : 'всі'}`,
+      `Виключені: ${prefs.blacklist.length > 0 ? prefs.blacklist.join(', ') : 'немає'}`,
+      `Тихі години: ${prefs.quietHours || 'вимкнено'} (${prefs.timezone})`,
+      `Мова: ${prefs.language} (${LANGUAGES.join('/')})`,
+      `Шаблон: ${prefs.template}`,
+    ].join('\n');
+  }
+
+  cmdHelp() {
+    return [
+      '/status - стан бота',
+      '/thresholds - поточні пороги',
+      '/set <параметр> <значення> - змінити поріг',
+      '/mute SYMBOL 1h - вимкнути алерти по символу',
+      '/unmute SYMBOL - увімкнути алерти',
+      '/watchlist [list|add|remove] SYMBOL - завжди моніторити символ',
+      '/top [N] - найбільші активні вікна',
+      '/prefs - налаштування цього чату (мін. об\'єм, сторони, символи, тихі години, мова, шаблон)',
+    ].join('\n');
+  }
+}
+
+module.exports = { TelegramCommandHandler, parseDuration };
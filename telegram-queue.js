@@ -0,0 +1,191 @@
+// ============================================================================
+// TELEGRAM DELIVERY QUEUE
+// Вихідна черга sendMessage з лімітами Telegram: глобальний (~30 повідомлень/с)
+// і на чат (1/с для особистих, 20/хв для груп). 429 чекає retry_after
+// (flood limit на весь бот - пауза для всіх чатів), мережеві помилки і 5xx
+// повторюються з backoff, 4xx - постійна помилка
+// ============================================================================
+
+/**
+ * { permanent, chatUnavailable, retryAfterMs } для помилки node-telegram-bot-api
+ * chatUnavailable - бот заблокований / видалений з чату, чат не існує
+ */
+function classifyError(error) {
+  const response = error.response || null;
+  const body = response && response.body && typeof response.body === 'object' ? response.body : null;
+  const code = body ? body.error_code : (response ? response.statusCode : null);
+
+  if (code === 429) {
+    const retryAfterSec = body && body.parameters ? body.parameters.retry_after : null;
+    return { permanent: false, chatUnavailable: false, retryAfterMs: (retryAfterSec || 1) * 1000 };
+  }
+
+  if (code >= 400 && code < 500) {
+    const chatUnavailable = code === 403 || /chat not found/i.test(body ? body.description : '');
+    return { permanent: true, chatUnavailable, retryAfterMs: null };
+  }
+
+  // EFATAL (мережа, таймаут) і 5xx
+  return { permanent: false, chatUnavailable: false, retryAfterMs: null };
+}
+
+class TelegramDeliveryQueue {
+  constructor(bot, options = {}) {
+    this.bot = bot;
+    this.globalIntervalMs = 1000 / (options.globalPerSec || 25);
+    this.chatIntervalMs = options.chatIntervalMs || 1000;
+    this.groupIntervalMs = options.groupIntervalMs || 3000;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 5;
+    this.baseDelayMs = options.baseDelayMs || 1000;
+    this.maxDelayMs = options.maxDelayMs || 60000;
+    this.clock = options.clock || { now: () => Date.now() };
+
+    this.chats = new Map(); // chatId -> { jobs, nextAt, inFlight }
+    this.globalNextAt = 0;
+    this.timer = null;
+    this.timerAt = null;
+    this.stopped = false;
+    this.sentCount = 0;
+    this.retryCount = 0;
+    this.failedCount = 0;
+  }
+
+  get pending() {
+    let count = 0;
+    for (const chat of this.chats.values()) count += chat.jobs.length;
+    return count;
+  }
+
+  /**
+   * Проміс з відправленим повідомленням; reject після останньої спроби,
+   * error.permanent - 4xx, повтор не допоможе; error.chatUnavailable - див. classifyError
+   */
+  send(chatId, text, options = {}) {
+    if (this.stopped) {
+      return Promise.reject(new Error('Черга зупинена'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const key = String(chatId);
+      if (!this.chats.has(key)) {
+        this.chats.set(key, { chatId, jobs: [], nextAt: 0, inFlight: false });
+      }
+      this.chats.get(key).jobs.push({ text, options, attempts: 0, resolve, reject });
+      this.schedule();
+    });
+  }
+
+  /**
+   * Групи (від'ємний chatId) мають суворіший ліміт Telegram
+   */
+  getChatIntervalMs(chatId) {
+    return String(chatId).startsWith('-') ? this.groupIntervalMs : this.chatIntervalMs;
+  }
+
+  /**
+   * Таймер на найближчий момент, коли якийсь чат може відправити
+   */
+  schedule() {
+    if (this.stopped) return;
+
+    let readyAt = Infinity;
+    for (const chat of this.chats.values()) {
+      if (chat.jobs.length > 0 && !chat.inFlight) {
+        readyAt = Math.min(readyAt, chat.nextAt);
+      }
+    }
+    if (readyAt === Infinity) return;
+
+    const at = Math.max(readyAt, this.globalNextAt);
+    if (this.timer) {
+      if (this.timerAt <= at) return;
+      clearTimeout(this.timer);
+    }
+
+    this.timerAt = at;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.pump();
+    }, Math.max(0, at - this.clock.now()));
+  }
+
+  pump() {
+    for (const [key, chat] of [...this.chats.entries()]) {
+      const now = this.clock.now();
+      if (this.globalNextAt > now) break;
+      if (chat.jobs.length === 0 || chat.inFlight || chat.nextAt > now) continue;
+
+      this.globalNextAt = now + this.globalIntervalMs;
+      // В кінець черги чатів - наступний pump почне з інших
+      this.chats.delete(key);
+      this.chats.set(key, chat);
+      this.deliver(chat);
+    }
+
+    this.schedule();
+  }
+
+  async deliver(chat) {
+    const job = chat.jobs[0];
+    chat.inFlight = true;
+    job.attempts++;
+
+    try {
+      const sent = await this.bot.sendMessage(chat.chatId, job.text, job.options);
+      chat.jobs.shift();
+      chat.nextAt = this.clock.now() + this.getChatIntervalMs(chat.chatId);
+      this.sentCount++;
+      job.resolve(sent);
+    } catch (error) {
+      const { permanent, chatUnavailable, retryAfterMs } = classifyError(error);
+
+      if (permanent || job.attempts > this.maxRetries) {
+        chat.jobs.shift();
+        chat.nextAt = this.clock.now() + this.getChatIntervalMs(chat.chatId);
+        this.failedCount++;
+        error.permanent = permanent;
+        error.chatUnavailable = chatUnavailable;
+        error.attempts = job.attempts;
+        job.reject(error);
+      } else {
+        // Повідомлення лишається першим: порядок у чаті зберігається
+        const delayMs = retryAfterMs !== null
+          ? retryAfterMs
+          : Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, job.attempts - 1));
+        chat.nextAt = this.clock.now() + delayMs;
+        if (retryAfterMs !== null) {
+          // Flood limit діє на весь бот: інші чати теж чекають
+          this.globalNextAt = Math.max(this.globalNextAt, chat.nextAt);
+        }
+        this.retryCount++;
+        console.warn(
+          `[TELEGRAM] ${chat.chatId}: ${error.message}, ` +
+          `повтор ${job.attempts}/${this.maxRetries} через ${(delayMs / 1000).toFixed(1)}с`
+        );
+      }
+    } finally {
+      chat.inFlight = false;
+      this.schedule();
+    }
+  }
+
+  /**
+   * Невідправлені повідомлення відхиляються
+   */
+  stop() {
+    // deliver у польоті не перезапускає таймер (schedule у finally)
+    this.stopped = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    for (const chat of this.chats.values()) {
+      for (const job of chat.jobs.splice(chat.inFlight ? 1 : 0)) {
+        job.reject(new Error('Черга зупинена'));
+      }
+    }
+  }
+}
+
+module.exports = { TelegramDeliveryQueue, classifyError };
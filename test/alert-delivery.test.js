@@ -0,0 +1,103 @@
+// Cooldown і скидання вікна при різних порогах отримувачів
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { AlertEngine, CooldownManager } = require('../index');
+const { CompositeNotifier, StdoutNotifier } = require('../notifiers');
+
+class CollectingChannel extends StdoutNotifier {
+  constructor(name, route) {
+    super({ name, route, formatter: { format: (stats) => stats.symbol } });
+    this.received = [];
+  }
+
+  async deliver(type, text, data) {
+    this.received.push(data.totalVolumeUSD);
+  }
+}
+
+function createEngine(channels) {
+  const resets = [];
+  const aggregator = { reset: (symbol) => resets.push(symbol) };
+  const detector = {
+    getThresholds: () => ({ MIN_LIQUIDATION_USD: 1_000_000 }),
+    getVolumeThresholdUSD: () => 1_000_000
+  };
+  const cooldownManager = new CooldownManager(30, 60);
+  const engine = new AlertEngine(aggregator, detector, cooldownManager, new CompositeNotifier(channels));
+  return { engine, cooldownManager, resets };
+}
+
+const window = (totalVolumeUSD, dominantSide = 'LONG') => ({
+  symbol: 'XUSDT',
+  dominantSide,
+  totalVolumeUSD,
+  longVolumeUSD: totalVolumeUSD,
+  shortVolumeUSD: 0,
+  dominance: 100,
+  windowSec: 60
+});
+
+test('отримувач з вищим порогом отримує той самий каскад пізніше', async () => {
+  const scalp = new CollectingChannel('scalp', { minVolumeUSD: 1_000_000 });
+  const swing = new CollectingChannel('swing', { minVolumeUSD: 5_000_000 });
+  const { engine, cooldownManager, resets } = createEngine([scalp, swing]);
+
+  await engine.sendAlert('XUSDT', window(1_500_000), 'sig-1');
+  assert.deepStrictEqual(scalp.received, [1_500_000]);
+  assert.deepStrictEqual(swing.received, []);
+  assert.deepStrictEqual(resets, []);
+  assert.ok(cooldownManager.canAlert('XUSDT', {}, 'sig-2'));
+
+  // Вікно не доросло - нічого не відправляється і не скидається
+  await engine.sendAlert('XUSDT', window(2_000_000), 'sig-2');
+  assert.deepStrictEqual(scalp.received, [1_500_000]);
+  assert.deepStrictEqual(resets, []);
+
+  await engine.sendAlert('XUSDT', window(6_000_000), 'sig-3');
+  assert.deepStrictEqual(scalp.received, [1_500_000]);
+  assert.deepStrictEqual(swing.received, [6_000_000]);
+  assert.deepStrictEqual(resets, ['XUSDT']);
+  assert.ok(!cooldownManager.canAlert('XUSDT', {}, 'sig-4'));
+  assert.strictEqual(engine.alertsSent, 1);
+});
+
+test('алерт без отримувачів вважається обробленим', async () => {
+  const shorts = new CollectingChannel('shorts', { sides: ['SHORT'] });
+  const { engine, cooldownManager, resets } = createEngine([shorts]);
+
+  await engine.sendAlert('XUSDT', window(3_000_000, 'LONG'), 'sig-1');
+  assert.deepStrictEqual(shorts.received, []);
+  assert.deepStrictEqual(resets, ['XUSDT']);
+  assert.ok(!cooldownManager.canAlert('XUSDT', {}, 'sig-2'));
+});
+
+test('постійна помилка каналу не блокує cooldown і звітується один раз', async () => {
+  const ok = new CollectingChannel('ok');
+  const broken = new CollectingChannel('broken');
+  const statuses = [];
+  broken.deliver = async (type, text) => {
+    if (type === 'status') return;
+    const error = new Error('HTTP 404: Unknown Webhook');
+    error.permanent = true;
+    throw error;
+  };
+  ok.sendStatus = async (message) => statuses.push(message);
+  const { engine, cooldownManager, resets } = createEngine([ok, broken]);
+  const consoleError = console.error;
+  console.error = () => {};
+
+  try {
+    await engine.sendAlert('XUSDT', window(3_000_000), 'sig-1');
+    assert.deepStrictEqual(ok.received, [3_000_000]);
+    assert.deepStrictEqual(resets, ['XUSDT']);
+    assert.ok(!cooldownManager.canAlert('XUSDT', {}, 'sig-2'));
+    assert.strictEqual(statuses.length, 1);
+    assert.match(statuses[0], /broken: HTTP 404/);
+
+    await engine.sendAlert('YUSDT', { ...window(3_000_000), symbol: 'YUSDT' }, 'sig-3');
+    assert.strictEqual(statuses.length, 1);
+  } finally {
+    console.error = consoleError;
+  }
+});
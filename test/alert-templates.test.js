@@ -0,0 +1,43 @@
+// Перевірка шаблонів з файлу рендером на прикладі даних
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { AlertTemplates, validateTemplates } = require('../alert-templates');
+
+test('вбудовані шаблони проходять перевірку', () => {
+  const templates = new AlertTemplates();
+  assert.deepStrictEqual(validateTemplates({ templates: templates.templates }), []);
+});
+
+test('неекранований літеральний текст MarkdownV2 - помилка', () => {
+  const errors = validateTemplates({
+    templates: {
+      md: { parseMode: 'MarkdownV2', alert: ['*{{symbol}}* (x{{count}}) - {{fmt.totalVolume}}!'] },
+      ok: { parseMode: 'MarkdownV2', alert: ['*{{symbol}}* \\(x{{count}}\\) \\- [chart](https://x.com/{{symbol}})'] },
+      bold: { parseMode: 'MarkdownV2', alert: ['*{{symbol}}'] }
+    }
+  });
+
+  assert.strictEqual(errors.length, 2);
+  assert.match(errors[0], /^md\.alert: неекрановані символи \( \) - !/);
+  assert.match(errors[1], /^bold\.alert: незакрита розмітка "\*"/);
+});
+
+test('HTML: невідомі та незакриті теги, сирі < і &', () => {
+  const errors = validateTemplates({
+    templates: {
+      html: {
+        parseMode: 'HTML',
+        alert: ['<b>{{symbol}}</b> <div>{{count}}</div>', '<i>{{fmt.side}}', 'OI & funding < 1'],
+        market: ['<b>{{fmt.title}}</b> &amp; {{breadth}}']
+      }
+    }
+  });
+
+  assert.deepStrictEqual(errors, [
+    'html.alert: тег <div> не підтримується Telegram',
+    'html.alert: незакриті теги: <i>',
+    'html.alert: неекрановані < або > (потрібно &lt; / &gt;)',
+    'html.alert: неекранований & (потрібно &amp;)'
+  ]);
+});
@@ -0,0 +1,125 @@
+// Налаштування чатів: сторони, watchlist / blacklist, тихі години, мін. об'єм і мова
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ChatPreferences } = require('../chat-preferences');
+const { TelegramNotifier } = require('../index');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prefs-'));
+after(() => fs.rmSync(dir, { recursive: true }));
+
+let files = 0;
+function createPreferences(time = Date.UTC(2024, 0, 15, 12, 0)) {
+  const clock = { time, now() { return this.time; } };
+  const preferences = new ChatPreferences(path.join(dir, `prefs-${++files}.json`), { clock });
+  return { preferences, clock };
+}
+
+test('сторони і мін. об\'єм чату', () => {
+  const { preferences } = createPreferences();
+  preferences.update('1', { sides: ['SHORT'], minVolumeUSD: 2_000_000 });
+
+  assert.strictEqual(preferences.evaluate('1', { symbol: 'XUSDT', side: 'LONG', volumeUSD: 5_000_000 }), 'skip');
+  assert.strictEqual(preferences.evaluate('1', { symbol: 'XUSDT', side: 'SHORT', volumeUSD: 1_000_000 }), 'volume');
+  assert.strictEqual(preferences.evaluate('1', { symbol: 'XUSDT', side: 'SHORT', volumeUSD: 5_000_000 }), 'match');
+  // Ринковий алерт без символу і об'єму фільтрується лише за стороною
+  assert.ok(preferences.matches('1', { side: 'SHORT' }));
+  assert.ok(preferences.matches('2', { symbol: 'XUSDT', side: 'LONG', volumeUSD: 1 }));
+});
+
+test('watchlist і blacklist чату', () => {
+  const { preferences } = createPreferences();
+  preferences.update('1', { watchlist: ['AUSDT', 'BUSDT'] });
+  preferences.update('2', { blacklist: ['AUSDT'] });
+
+  assert.ok(preferences.matches('1', { symbol: 'AUSDT', side: 'LONG' }));
+  assert.ok(!preferences.matches('1', { symbol: 'CUSDT', side: 'LONG' }));
+  assert.ok(!preferences.matches('2', { symbol: 'AUSDT', side: 'LONG' }));
+  assert.ok(preferences.matches('2', { symbol: 'CUSDT', side: 'LONG' }));
+  assert.ok(preferences.matches('1', { side: 'LONG' }));
+});
+
+test('тихі години через північ у часовому поясі чату', () => {
+  const { preferences, clock } = createPreferences();
+  preferences.update('1', { quietHours: '23:00-07:00' });
+  preferences.update('2', { quietHours: '23:00-07:00', timezone: 'Europe/Kyiv' });
+  preferences.update('3', { quietHours: '12:00-13:00' });
+  const at = (hour, minute = 0) => { clock.time = Date.UTC(2024, 0, 15, hour, minute); };
+  const message = { symbol: 'XUSDT', side: 'LONG' };
+
+  at(23, 30);
+  assert.ok(!preferences.matches('1', message));
+  at(3);
+  assert.ok(!preferences.matches('1', message));
+  at(7);
+  assert.ok(preferences.matches('1', message));
+
+  // Київ взимку UTC+2: 21:30 UTC = 23:30, 05:30 UTC = 07:30
+  at(21, 30);
+  assert.ok(!preferences.matches('2', message));
+  assert.ok(preferences.matches('1', message));
+  at(5, 30);
+  assert.ok(preferences.matches('2', message));
+
+  at(12, 30);
+  assert.ok(!preferences.matches('3', message));
+  at(13);
+  assert.ok(preferences.matches('3', message));
+});
+
+test('некоректні значення відхиляються, а з файлу - пропускаються', () => {
+  const { preferences } = createPreferences();
+  assert.throws(() => preferences.update('1', { sides: ['UP'] }), /Сторони/);
+  assert.throws(() => preferences.update('1', { quietHours: '25:00-07:00' }), /Тихі години/);
+  assert.throws(() => preferences.update('1', { timezone: 'Mars/Base' }), /Невідомий часовий пояс/);
+  assert.throws(() => preferences.update('1', { language: 'de' }), /Мова/);
+
+  fs.writeFileSync(preferences.filePath, JSON.stringify({
+    version: 1,
+    chats: { 1: { language: 'en', sides: ['UP'] } }
+  }));
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  try {
+    preferences.load();
+  } finally {
+    Object.assign(console, { log, warn });
+  }
+  assert.strictEqual(preferences.get('1').language, 'en');
+  assert.deepStrictEqual(preferences.get('1').sides, ['LONG', 'SHORT']);
+});
+
+test('Telegram: мова і фільтри кожного чату', async () => {
+  const { preferences } = createPreferences();
+  preferences.update('2', { language: 'en' });
+  preferences.update('3', { sides: ['SHORT'] });
+
+  const notifier = new TelegramNotifier('token', ['1', '2', '3'], { preferences, buttons: false });
+  const sent = [];
+  notifier.queue = { send: async (chatId, text) => { sent.push({ chatId, text }); return { message_id: sent.length }; } };
+
+  const stats = {
+    symbol: 'XUSDT',
+    longVolumeUSD: 2_000_000,
+    shortVolumeUSD: 0,
+    totalVolumeUSD: 2_000_000,
+    dominantSide: 'LONG',
+    dominance: 100,
+    count: 3,
+    durationSec: 30,
+    windowSec: 60,
+    timestamp: Date.now(),
+    priceChange: null,
+    exchanges: ['BINANCE'],
+    volumeByExchange: { BINANCE: 2_000_000 }
+  };
+
+  const delivery = await notifier.sendAlert(stats);
+  assert.deepStrictEqual(delivery.delivered, ['telegram:1', 'telegram:2']);
+  assert.match(sent[0].text, /ЛИКВИДАЦИЯ ЛОНГОВ/);
+  assert.match(sent[1].text, /LONG LIQUIDATIONS/);
+});
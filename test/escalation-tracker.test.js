@@ -0,0 +1,55 @@
+// Ескалація каскаду під час cooldown: кратні порогу, сторона і час після алерту
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EscalationTracker } = require('../escalation-tracker');
+
+const stats = {
+  symbol: 'XUSDT',
+  dominantSide: 'LONG',
+  longVolumeUSD: 1_200_000,
+  shortVolumeUSD: 100_000,
+  timestamp: 1_000_000
+};
+
+function createTracker() {
+  const clock = { time: 1_000_000, now() { return this.time; } };
+  return { tracker: new EscalationTracker({ clock }), clock };
+}
+
+const liquidation = (side, volumeUSD, timestamp) => ({ side, volumeUSD, timestamp });
+
+test('повідомлення лише при кожному наступному кратному порогу', () => {
+  const { tracker, clock } = createTracker();
+  tracker.open('XUSDT', stats, 1_000_000, 30 * 60_000, [{ chatId: 1, messageId: 10 }]);
+
+  // Ліквідації до алерту і протилежна сторона не рахуються
+  tracker.observe('XUSDT', liquidation('LONG', 5_000_000, 999_000));
+  tracker.observe('XUSDT', liquidation('SHORT', 5_000_000, 1_001_000));
+  tracker.observe('YUSDT', liquidation('LONG', 5_000_000, 1_001_000));
+  assert.deepStrictEqual(tracker.collectDue(), []);
+
+  clock.time += 60_000;
+  tracker.observe('XUSDT', liquidation('LONG', 900_000, 1_050_000));
+  const [due] = tracker.collectDue();
+  assert.deepStrictEqual([due.level, due.cumulativeUSD, due.elapsedSec], [2, 2_100_000, 60]);
+  assert.deepStrictEqual(due.messageRefs, [{ chatId: 1, messageId: 10 }]);
+
+  // Той самий рівень не повторюється
+  tracker.observe('XUSDT', liquidation('LONG', 500_000, 1_060_000));
+  assert.deepStrictEqual(tracker.collectDue(), []);
+});
+
+test('епізод закривається після cooldown, поріг 0 не відкриває епізод', () => {
+  const { tracker, clock } = createTracker();
+  tracker.open('XUSDT', stats, 0, 30 * 60_000);
+  assert.strictEqual(tracker.activeCount, 0);
+
+  tracker.open('XUSDT', stats, 1_000_000, 30 * 60_000);
+  tracker.addMessageRefs('XUSDT', [{ chatId: 2, messageId: 20 }]);
+  clock.time += 30 * 60_000;
+  tracker.observe('XUSDT', liquidation('LONG', 5_000_000, 1_100_000));
+
+  assert.deepStrictEqual(tracker.collectDue(), []);
+  assert.strictEqual(tracker.activeCount, 0);
+});
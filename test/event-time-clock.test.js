@@ -0,0 +1,22 @@
+// Watermark часу подій і захист від подій з майбутнього
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EventTimeClock, LiquidationAggregator, PriceTracker } = require('../index');
+
+test('подія з майбутнього не зсуває watermark і відкидається', () => {
+  const base = { time: 1_000_000, now() { return this.time; } };
+  const clock = new EventTimeClock(base, 5000, 10_000);
+  const aggregator = new LiquidationAggregator(60, new PriceTracker(60, clock), clock);
+  const event = (timestamp) => ({ side: 'LONG', price: 1, quantity: 1000, volumeUSD: 1000, timestamp });
+
+  aggregator.addLiquidation('BTCUSDT', event(base.time + 3600_000));
+  assert.strictEqual(clock.now(), base.time - 5000);
+  assert.strictEqual(aggregator.getStats().futureDropped, 1);
+
+  // Звичайні події після збійної не вважаються запізнілими
+  aggregator.addLiquidation('ETHUSDT', event(base.time - 1000));
+  aggregator.addLiquidation('BTCUSDT', event(base.time + 2000));
+  assert.strictEqual(aggregator.getStats().lateDropped, 0);
+  assert.strictEqual(clock.now(), base.time + 2000);
+});
@@ -0,0 +1,189 @@
+// Парсинг і реконект MEXC на локальному WebSocket сервері
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { WebSocketServer } = require('ws');
+const { MexcSource, BinanceSource, BinanceMarkPriceSource } = require('../exchange-sources');
+
+function startServer() {
+  return new Promise(resolve => {
+    const server = new WebSocketServer({ port: 0, host: '127.0.0.1' }, () => resolve(server));
+  });
+}
+
+function waitFor(predicate, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const timer = setInterval(() => {
+      if (predicate()) {
+        clearInterval(timer);
+        resolve();
+      } else if (Date.now() - started > timeoutMs) {
+        clearInterval(timer);
+        reject(new Error('timeout'));
+      }
+    }, 10);
+  });
+}
+
+const contractDetail = async () => ({
+  success: true,
+  data: [
+    { symbol: 'BTC_USDT', contractSize: 0.0001 },
+    { symbol: 'PEPE_USDT', contractSize: 100000 }
+  ]
+});
+
+test('MEXC: об\'єм з розміру контракту, невідомий контракт відкидається', async () => {
+  const events = [];
+  const source = new MexcSource('ws://unused', {
+    fetchJson: contractDetail,
+    onLiquidation: (event) => events.push(event)
+  });
+  await source.loadContractSizes();
+
+  source.handleMessage(JSON.stringify({
+    channel: 'push.liquidation',
+    ts: 1700000000000,
+    data: [
+      { symbol: 'BTC_USDT', p: '40000', v: '25000', T: 2, t: 1700000000001 },
+      { symbol: 'PEPE_USDT', p: '0.000001', v: '50', T: 1 },
+      { symbol: 'NEW_USDT', p: '1', v: '1000', T: 1 }
+    ]
+  }));
+
+  assert.strictEqual(events.length, 2);
+  assert.deepStrictEqual(
+    { symbol: events[0].symbol, side: events[0].side, volumeUSD: events[0].volumeUSD, timestamp: events[0].timestamp },
+    { symbol: 'BTCUSDT', side: 'LONG', volumeUSD: 100000, timestamp: 1700000000001 }
+  );
+  assert.strictEqual(events[1].side, 'SHORT');
+  assert.strictEqual(events[1].exchangeSymbol, 'PEPE_USDT');
+  assert.strictEqual(events[1].timestamp, 1700000000000);
+  assert.ok(Math.abs(events[1].volumeUSD - 5) < 1e-9);
+  assert.strictEqual(source.droppedCount, 1);
+});
+
+test('MEXC: помилка завантаження лишає попередні розміри', async () => {
+  const source = new MexcSource('ws://unused', {
+    contractSizes: { BTC_USDT: 0.0001 },
+    fetchJson: async () => { throw new Error('HTTP 503'); }
+  });
+  await source.loadContractSizes();
+  assert.strictEqual(source.contractSizes.get('BTC_USDT'), 0.0001);
+});
+
+test('помилка споживача не зупиняє обробку повідомлення', () => {
+  let calls = 0;
+  const source = new BinanceSource('ws://unused', {
+    onLiquidation: () => {
+      calls++;
+      throw new Error('consumer');
+    }
+  });
+  const frame = JSON.stringify({ E: 1, o: { s: 'BTCUSDT', S: 'SELL', p: '100', q: '2', T: 1 } });
+
+  source.handleMessage(frame);
+  source.handleMessage(frame);
+  assert.strictEqual(calls, 2);
+  assert.strictEqual(source.receivedCount, 2);
+});
+
+test('mark price: помилка споживача не зупиняє решту оновлень', () => {
+  const symbols = [];
+  const source = new BinanceMarkPriceSource('ws://unused', {
+    onPrice: ({ symbol }) => {
+      symbols.push(symbol);
+      if (symbol === 'BTCUSDT') throw new Error('consumer');
+    }
+  });
+  const frame = JSON.stringify([
+    { e: 'markPriceUpdate', E: 1, s: 'BTCUSDT', p: '100', r: '0.0001' },
+    { e: 'markPriceUpdate', E: 1, s: 'ETHUSDT', p: '10', r: '0.0001' }
+  ]);
+  const error = console.error;
+  console.error = () => {};
+
+  try {
+    assert.doesNotThrow(() => source.handleMessage(frame));
+  } finally {
+    console.error = error;
+  }
+  assert.deepStrictEqual(symbols, ['BTCUSDT', 'ETHUSDT']);
+});
+
+test('MEXC: підписка, події з сокета і реконект після розриву', async () => {
+  const server = await startServer();
+  const url = `ws://127.0.0.1:${server.address().port}`;
+  const subscriptions = [];
+  let connections = 0;
+
+  server.on('connection', (socket) => {
+    connections++;
+    socket.on('message', (data) => {
+      const message = JSON.parse(data);
+      if (message.method !== 'sub.liquidation') return;
+      subscriptions.push(message.method);
+      socket.send(JSON.stringify({
+        channel: 'push.liquidation',
+        data: { symbol: 'BTC_USDT', p: '40000', v: '1000', T: 1, t: Date.now() }
+      }));
+      // Перше з'єднання рветься сервером одразу після події
+      if (connections === 1) setTimeout(() => socket.terminate(), 20);
+    });
+  });
+
+  const events = [];
+  const source = new MexcSource(url, {
+    fetchJson: contractDetail,
+    onLiquidation: (event) => events.push(event),
+    reconnectBaseDelay: 10,
+    reconnectMaxDelay: 50
+  });
+
+  try {
+    await source.prepare();
+    source.connect();
+    await waitFor(() => events.length === 2);
+
+    assert.strictEqual(connections, 2);
+    assert.deepStrictEqual(subscriptions, ['sub.liquidation', 'sub.liquidation']);
+    assert.ok(events.every(event => event.exchange === 'MEXC' && event.volumeUSD === 4000));
+    assert.ok(source.isConnected);
+  } finally {
+    source.close();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('backoff не скидається, поки з\'єднання рветься до першого повідомлення', async () => {
+  const server = await startServer();
+  const url = `ws://127.0.0.1:${server.address().port}`;
+  let connections = 0;
+
+  server.on('connection', (socket) => {
+    connections++;
+    if (connections <= 3) {
+      socket.terminate();
+      return;
+    }
+    setTimeout(() => socket.send(JSON.stringify({ e: 'forceOrder', o: {} })), 200);
+  });
+
+  const source = new BinanceSource(url, { reconnectBaseDelay: 5, reconnectMaxDelay: 20 });
+  const log = console.log;
+  console.log = () => {};
+
+  try {
+    source.connect();
+    await waitFor(() => connections === 4);
+    assert.strictEqual(source.reconnectAttempts, 3);
+
+    await waitFor(() => source.lastMessageAt !== null);
+    assert.strictEqual(source.reconnectAttempts, 0);
+  } finally {
+    console.log = log;
+    source.close();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
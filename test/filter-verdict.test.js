@@ -0,0 +1,79 @@
+// Вердикт фільтрів з усіма правилами, near miss і дайджест
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SignalDetector } = require('../index');
+const { formatFailedRules, isNearMiss } = require('../filter-verdict');
+const { NearMissDigest } = require('../near-miss-digest');
+
+const THRESHOLDS = {
+  MIN_LIQUIDATION_USD: 1_000_000,
+  MIN_DOMINANCE: 65,
+  MIN_PRICE_CHANGE_PERCENT: 2,
+  MAX_PRICE_CHANGE_PERCENT: 10
+};
+
+const stats = {
+  symbol: 'XUSDT',
+  totalVolumeUSD: 1_200_000,
+  longVolumeUSD: 720_000,
+  shortVolumeUSD: 480_000,
+  dominantSide: 'LONG',
+  dominance: 60,
+  priceChange: { changePercent: -1.5 }
+};
+
+function createDetector() {
+  const detector = new SignalDetector(THRESHOLDS);
+  detector.mode = 'absolute';
+  return detector;
+}
+
+test('вердикт містить усі правила, а не лише перше невдале', () => {
+  const verdict = createDetector().shouldAlert(stats);
+
+  assert.strictEqual(verdict.pass, false);
+  assert.deepStrictEqual(verdict.rules.map(rule => [rule.name, rule.pass]), [
+    ['total_volume', true],
+    ['dominance', false],
+    ['dominant_volume', false],
+    ['min_price_change', false],
+    ['max_price_change', true],
+    ['price_direction', true]
+  ]);
+  assert.strictEqual(
+    formatFailedRules(verdict),
+    'dominance 60.00%<65.00%, dominant_volume 720K<800K, min_price_change 1.50%<2.00%'
+  );
+});
+
+test('near miss: обмеження кількості невдалих правил і відстані до порогу', () => {
+  const verdict = createDetector().shouldAlert(stats);
+
+  assert.ok(!isNearMiss(verdict, 1, 0.25));
+  assert.ok(isNearMiss(verdict, 3, 0.25));
+  // 1.5% < 2% - 20%
+  assert.ok(!isNearMiss(verdict, 3, 0.2));
+
+  const passed = createDetector().shouldAlert({ ...stats, longVolumeUSD: 1_000_000, shortVolumeUSD: 200_000, dominance: 83, priceChange: { changePercent: -3 } });
+  assert.strictEqual(passed.pass, true);
+  assert.ok(!isNearMiss(passed, 3, 0.25));
+});
+
+test('дайджест рахує повтори і очищується після відправки', async () => {
+  const digest = new NearMissDigest({ intervalMin: 60 });
+  const verdict = createDetector().shouldAlert(stats);
+  digest.record(stats, verdict);
+  digest.record(stats, verdict);
+  digest.record({ ...stats, symbol: 'YUSDT', totalVolumeUSD: 900_000 }, verdict);
+
+  const sent = [];
+  await digest.flush({ sendStatus: async (message) => sent.push(message) });
+  await digest.flush({ sendStatus: async (message) => sent.push(message) });
+
+  assert.strictEqual(sent.length, 1);
+  const lines = sent[0].split('\n');
+  assert.strictEqual(lines[0], '🟡 Near miss за 60 хв (2)');
+  assert.strictEqual(lines[1], '🔴 XUSDT $1.20M (60%) x2');
+  assert.strictEqual(lines[3], '🔴 YUSDT $0.90M (60%) x1');
+});
@@ -0,0 +1,24 @@
+// Read-only стан вікон для моніторингу
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { LiquidationAggregator, PriceTracker } = require('../index');
+
+test('peekWindowStats не зсуває і не видаляє вікна', () => {
+  const clock = { time: 1_000_000, now() { return this.time; } };
+  const aggregator = new LiquidationAggregator(60, new PriceTracker(60, clock), clock);
+  const event = (side, timestamp) => ({ side, price: 1, quantity: 1000, volumeUSD: 1000, timestamp });
+
+  aggregator.addLiquidation('BTCUSDT', event('LONG', clock.time - 50_000));
+  aggregator.addLiquidation('BTCUSDT', event('SHORT', clock.time));
+
+  clock.time += 20_000;
+  const stats = aggregator.peekWindowStats('BTCUSDT');
+  assert.strictEqual(stats.totalVolumeUSD, 1000);
+  assert.strictEqual(stats.dominantSide, 'SHORT');
+  assert.strictEqual(aggregator.windows.get('BTCUSDT').liquidations.length, 2);
+
+  clock.time += 60_000;
+  assert.strictEqual(aggregator.peekWindowStats('BTCUSDT'), null);
+  assert.ok(aggregator.hasWindow('BTCUSDT'));
+});
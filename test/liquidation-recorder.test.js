@@ -0,0 +1,64 @@
+// Файли recorder між рестартами і помилки диску
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { LiquidationRecorder } = require('../liquidation-recorder');
+
+const event = (symbol) => ({
+  timestamp: Date.parse('2024-03-01T12:00:00Z'),
+  exchange: 'BINANCE',
+  symbol,
+  side: 'LONG',
+  price: 1,
+  quantity: 100,
+  volumeUSD: 100
+});
+
+function quiet(fn) {
+  const log = console.log;
+  const error = console.error;
+  console.log = () => {};
+  console.error = () => {};
+  return Promise.resolve(fn()).finally(() => {
+    console.log = log;
+    console.error = error;
+  });
+}
+
+test('рестарт у той самий день пише новий файл, обидва читаються', () => quiet(async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recorder-'));
+  const clock = { now: () => Date.parse('2024-03-02T00:00:00Z') };
+
+  for (const symbol of ['AUSDT', 'BUSDT']) {
+    const recorder = new LiquidationRecorder({ dir, clock });
+    recorder.start();
+    recorder.record(event(symbol), symbol === 'BUSDT');
+    await recorder.close();
+  }
+
+  const files = fs.readdirSync(dir).sort();
+  assert.deepStrictEqual(files, ['liquidations-2024-03-01-1.jsonl.gz', 'liquidations-2024-03-01.jsonl.gz']);
+
+  const rows = files.map(file => JSON.parse(zlib.gunzipSync(fs.readFileSync(path.join(dir, file))).toString()));
+  assert.deepStrictEqual(rows.map(row => [row.symbol, row.filtered]), [['BUSDT', true], ['AUSDT', false]]);
+  fs.rmSync(dir, { recursive: true });
+}));
+
+test('помилка запису вимикає recorder без падіння процесу', () => quiet(async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recorder-'));
+  const recorder = new LiquidationRecorder({ dir });
+  recorder.start();
+  recorder.record(event('AUSDT'), false);
+
+  recorder.fileStream.emit('error', new Error('ENOSPC: no space left on device'));
+  assert.ok(recorder.disabled);
+
+  recorder.record(event('BUSDT'), false);
+  assert.strictEqual(recorder.recordedCount, 1);
+  await recorder.close();
+  fs.rmSync(dir, { recursive: true });
+}));
@@ -0,0 +1,104 @@
+// Контекст алерту з кешу MarketContextClient і посилання на біржу
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { MarketContextClient, getTradeLinks } = require('../market-context');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * fetchJson з відповідями по шляху URL; відсутній шлях - помилка
+ */
+function createFetchJson(routes) {
+  const requests = [];
+  const fetchJson = async (url) => {
+    requests.push(url);
+    const path = new URL(url).pathname;
+    if (!(path in routes)) throw new Error(`HTTP 500 ${path}`);
+    return typeof routes[path] === 'function' ? routes[path](url) : routes[path];
+  };
+  return { fetchJson, requests };
+}
+
+const now = Date.now();
+const ROUTES = {
+  '/fapi/v1/exchangeInfo': { symbols: [{ symbol: 'BTCUSDT', status: 'TRADING' }] },
+  '/fapi/v1/openInterest': { openInterest: '110' },
+  '/fapi/v1/premiumIndex': { lastFundingRate: '0.0001', nextFundingTime: now + 3600_000, markPrice: '100' },
+  '/futures/data/openInterestHist': [
+    { sumOpenInterest: '100', timestamp: now - 600_000 },
+    { sumOpenInterest: '105', timestamp: now - 300_000 }
+  ]
+};
+
+test('getAlertContext не чекає мережі: до прогріву значення null, після prefetch - з кешу', async () => {
+  const { fetchJson } = createFetchJson(ROUTES);
+  const client = new MarketContextClient({ fetchJson });
+
+  const cold = client.getAlertContext('BTCUSDT', 300);
+  assert.strictEqual(cold.openInterest, null);
+  assert.strictEqual(cold.fundingRatePercent, null);
+  assert.strictEqual(cold.oiChangePercent, null);
+
+  client.prefetch('BTCUSDT');
+  await flush();
+
+  const warm = client.getAlertContext('BTCUSDT', 600);
+  assert.strictEqual(warm.openInterest, 110);
+  assert.strictEqual(warm.openInterestUSD, 11_000);
+  assert.ok(Math.abs(warm.fundingRatePercent - 0.01) < 1e-9);
+  assert.ok(Math.abs(warm.oiChangePercent - 10) < 1e-9);
+  assert.ok(warm.oiChangeSec >= 600);
+});
+
+test('символ, якого немає на Binance, не запитується і не має контексту', async () => {
+  const { fetchJson, requests } = createFetchJson(ROUTES);
+  const client = new MarketContextClient({ fetchJson });
+
+  client.isListed('BTCUSDT');
+  await flush();
+  requests.length = 0;
+
+  client.prefetch('PEPEUSDT');
+  assert.strictEqual(client.getAlertContext('PEPEUSDT', 300), null);
+  assert.strictEqual(client.getOpenInterest('PEPEUSDT'), null);
+  await flush();
+  assert.deepStrictEqual(requests, []);
+});
+
+test('часткові дані при помилках окремих запитів', async () => {
+  const { fetchJson } = createFetchJson({
+    '/fapi/v1/exchangeInfo': ROUTES['/fapi/v1/exchangeInfo'],
+    '/fapi/v1/openInterest': ROUTES['/fapi/v1/openInterest']
+  });
+  const client = new MarketContextClient({ fetchJson });
+  const error = console.error;
+  console.error = () => {};
+
+  try {
+    client.prefetch('BTCUSDT');
+    await flush();
+    assert.strictEqual(client.errorCount, 2);
+
+    const context = client.getAlertContext('BTCUSDT', 300);
+    assert.strictEqual(context.openInterest, 110);
+    assert.strictEqual(context.openInterestUSD, null);
+    assert.strictEqual(context.fundingRatePercent, null);
+    assert.strictEqual(context.oiChangePercent, null);
+    await flush();
+  } finally {
+    console.error = error;
+  }
+});
+
+test('посилання використовують символ контракту на біржі', () => {
+  const [exchange, tradingView] = getTradeLinks({
+    symbol: '1000PEPEUSDT',
+    exchanges: ['BINANCE', 'MEXC'],
+    volumeByExchange: { BINANCE: 10_000, MEXC: 50_000 },
+    exchangeSymbols: { BINANCE: '1000PEPEUSDT', MEXC: 'PEPE_USDT' }
+  });
+
+  assert.strictEqual(exchange.url, 'https://futures.mexc.com/exchange/PEPE_USDT');
+  assert.strictEqual(tradingView.url, 'https://www.tradingview.com/chart/?symbol=MEXC:PEPEUSDT.P');
+});
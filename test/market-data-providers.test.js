@@ -0,0 +1,87 @@
+// Неповна відповідь CoinGecko не замінює валідні токени і не пишеться в знімок
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { CoinGeckoProvider } = require('../market-data-providers');
+const { TokenFilter } = require('../token-filter');
+
+const CONFIG = {
+  MIN_MCAP_USD: 0,
+  MAX_MCAP_USD: Infinity,
+  MIN_VOLUME_24H: 0,
+  MAX_VOLUME_24H: Infinity
+};
+
+const coin = (id, mcap) => ({ id, symbol: id, market_cap: mcap, total_volume: 1_000_000 });
+
+function createCoinGecko(failPage) {
+  return new CoinGeckoProvider({
+    pages: 3,
+    perPage: 1,
+    pageDelayMs: 0,
+    fetchJson: async (url) => {
+      const page = Number(new URL(url).searchParams.get('page'));
+      if (page === failPage) throw new Error('Rate limit exceeded');
+      return [coin(`coin${page}`, 1_000_000_000 / page)];
+    }
+  });
+}
+
+function createSnapshotStore(snapshot = null) {
+  return {
+    saved: [],
+    async save(provider, tokens) { this.saved.push({ provider, tokens }); },
+    async load() { return snapshot; }
+  };
+}
+
+function quiet(fn) {
+  return async () => {
+    const { log, error } = console;
+    console.log = () => {};
+    console.error = () => {};
+    try {
+      await fn();
+    } finally {
+      Object.assign(console, { log, error });
+    }
+  };
+}
+
+test('помилка будь-якої сторінки CoinGecko валить весь запит', quiet(async () => {
+  await assert.rejects(createCoinGecko(3).fetchTokens(), /сторінка 3: Rate limit exceeded/);
+
+  const tokens = await createCoinGecko(null).fetchTokens();
+  assert.deepStrictEqual(tokens.map(t => t.symbol), ['COIN1USDT', 'COIN2USDT', 'COIN3USDT']);
+}));
+
+test('неповний список переходить до наступного провайдера і не пишеться в знімок', quiet(async () => {
+  const snapshotStore = createSnapshotStore();
+  const fallback = {
+    name: 'static',
+    fetchTokens: async () => [{ id: 'coin9', ticker: 'COIN9', symbol: 'COIN9USDT', mcap: 1e8, volume24h: 1e6 }]
+  };
+  const filter = new TokenFilter(CONFIG, { providers: [createCoinGecko(2), fallback], snapshotStore });
+
+  await filter.updateValidTokens();
+  assert.deepStrictEqual([...filter.validTokens], ['coin9']);
+  assert.deepStrictEqual(snapshotStore.saved.map(s => s.provider), ['static']);
+  assert.strictEqual(filter.dataSource.provider, 'static');
+}));
+
+test('на старті без інших провайдерів використовується знімок з диску', quiet(async () => {
+  const snapshotStore = createSnapshotStore({
+    savedAt: Date.now() - 3600_000,
+    provider: 'coingecko',
+    tokens: [
+      { id: 'coin1', ticker: 'COIN1', symbol: 'COIN1USDT', mcap: 1e9, volume24h: 1e6 },
+      { id: 'coin2', ticker: 'COIN2', symbol: 'COIN2USDT', mcap: 5e8, volume24h: 1e6 }
+    ]
+  });
+  const filter = new TokenFilter(CONFIG, { providers: [createCoinGecko(2)], snapshotStore });
+
+  await filter.updateValidTokens();
+  assert.deepStrictEqual([...filter.validTokens].sort(), ['coin1', 'coin2']);
+  assert.deepStrictEqual(snapshotStore.saved, []);
+  assert.strictEqual(filter.dataSource.fromSnapshot, true);
+}));
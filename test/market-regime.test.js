@@ -0,0 +1,56 @@
+// Ринковий режим: вікно за часом подій і cooldown лише після доставки
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { MarketRegimeDetector } = require('../market-regime');
+const { AlertEngine, CooldownManager } = require('../index');
+const { CompositeNotifier, StdoutNotifier } = require('../notifiers');
+
+test('prune видаляє старі події незалежно від порядку надходження', () => {
+  const clock = { time: 1_000_000, now() { return this.time; } };
+  const regime = new MarketRegimeDetector({ windowSec: 60, clock });
+  const event = (symbol, timestamp) => ({ symbol, side: 'LONG', volumeUSD: 1000, timestamp });
+
+  regime.observe(event('AUSDT', clock.time));
+  // Запізніла подія іншої біржі - старша, але прийшла пізніше
+  regime.observe(event('BUSDT', clock.time - 50_000));
+  regime.observe(event('CUSDT', clock.time + 5000));
+
+  clock.time += 15_000;
+  const snapshot = regime.getSnapshot();
+  assert.strictEqual(snapshot.longVolumeUSD, 2000);
+  assert.deepStrictEqual(snapshot.topSymbols.map(entry => entry.symbol).sort(), ['AUSDT', 'CUSDT']);
+});
+
+test('ринковий алерт без доставки не запускає cooldown режиму', async () => {
+  const clock = { time: 1_000_000, now() { return this.time; } };
+  const regime = new MarketRegimeDetector({ windowSec: 60, minVolumeUSD: 1000, minSymbols: 1, clock });
+  regime.observe({ symbol: 'AUSDT', side: 'LONG', volumeUSD: 5000, timestamp: clock.time });
+
+  const channel = new StdoutNotifier({ name: 'flaky', formatter: { formatMarketAlert: () => 'market' } });
+  let failures = 1;
+  channel.deliver = async () => {
+    if (failures-- > 0) throw new Error('HTTP 503');
+  };
+
+  const engine = new AlertEngine({}, {}, new CooldownManager(30, 60), new CompositeNotifier([channel]), {
+    marketRegime: regime
+  });
+  const consoleError = console.error;
+  const consoleWarn = console.warn;
+  console.error = () => {};
+  console.warn = () => {};
+
+  try {
+    await Promise.all(engine.checkMarketRegime());
+    assert.strictEqual(engine.marketAlertsSent, 0);
+    assert.ok(regime.checkAlert());
+
+    await Promise.all(engine.checkMarketRegime());
+    assert.strictEqual(engine.marketAlertsSent, 1);
+    assert.strictEqual(regime.checkAlert(), null);
+  } finally {
+    console.error = consoleError;
+    console.warn = consoleWarn;
+  }
+});
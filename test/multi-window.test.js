@@ -0,0 +1,69 @@
+// Кілька ковзних вікон на символ з інкрементальними сумами
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { LiquidationAggregator, PriceTracker } = require('../index');
+
+function createAggregator() {
+  const clock = { time: 10_000_000, now() { return this.time; } };
+  const aggregator = new LiquidationAggregator(60, new PriceTracker(60, clock), clock, [300]);
+  return { aggregator, clock };
+}
+
+const event = (side, volumeUSD, timestamp, exchange = 'BINANCE') =>
+  ({ side, price: 1, quantity: volumeUSD, volumeUSD, timestamp, exchange });
+
+test('кожне вікно рахує лише свої ліквідації', () => {
+  const { aggregator, clock } = createAggregator();
+
+  aggregator.addLiquidation('XUSDT', event('LONG', 100_000, clock.time - 200_000));
+  aggregator.addLiquidation('XUSDT', event('SHORT', 50_000, clock.time - 30_000, 'MEXC'));
+  aggregator.addLiquidation('XUSDT', event('LONG', 20_000, clock.time));
+
+  const short = aggregator.getWindowStats('XUSDT', 60_000);
+  assert.deepStrictEqual([short.longVolumeUSD, short.shortVolumeUSD, short.count], [20_000, 50_000, 2]);
+  assert.strictEqual(short.dominantSide, 'SHORT');
+
+  const long = aggregator.getWindowStats('XUSDT', 300_000);
+  assert.deepStrictEqual([long.longVolumeUSD, long.shortVolumeUSD, long.count], [120_000, 50_000, 3]);
+  assert.deepStrictEqual(long.volumeByExchange, { BINANCE: 120_000, MEXC: 50_000 });
+
+  // Коротке вікно спорожніло, довге ще тримає події
+  clock.time += 61_000;
+  assert.strictEqual(aggregator.getWindowStats('XUSDT', 60_000), null);
+  assert.strictEqual(aggregator.getWindowStats('XUSDT', 300_000).count, 3);
+
+  clock.time += 300_000;
+  assert.strictEqual(aggregator.getWindowStats('XUSDT', 300_000), null);
+  assert.ok(!aggregator.hasWindow('XUSDT'));
+});
+
+test('інкрементальні суми збігаються з перерахунком, зокрема з запізнілими подіями', () => {
+  const { aggregator, clock } = createAggregator();
+  const all = [];
+  let seed = 7;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+
+  for (let i = 0; i < 400; i++) {
+    clock.time += Math.floor(random() * 5000);
+    // Кожна п'ята подія запізнюється до 90 секунд
+    const lateness = i % 5 === 0 ? Math.floor(random() * 90_000) : 0;
+    const liq = event(random() < 0.5 ? 'LONG' : 'SHORT', Math.round(random() * 100_000), clock.time - lateness);
+    all.push(liq);
+    aggregator.addLiquidation('XUSDT', liq);
+
+    if (i % 50 !== 49) continue;
+    for (const windowMs of [60_000, 300_000]) {
+      const live = all.filter(l => clock.time - l.timestamp < windowMs);
+      const sum = (side) => live.filter(l => l.side === side).reduce((total, l) => total + l.volumeUSD, 0);
+      const stats = aggregator.getWindowStats('XUSDT', windowMs);
+
+      assert.strictEqual(stats.count, live.length);
+      assert.ok(Math.abs(stats.longVolumeUSD - sum('LONG')) < 1e-6);
+      assert.ok(Math.abs(stats.shortVolumeUSD - sum('SHORT')) < 1e-6);
+    }
+  }
+});
@@ -0,0 +1,115 @@
+// Маршрутизація по каналах і старт з недоступним каналом
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { CompositeNotifier, StdoutNotifier, validateChannels } = require('../notifiers');
+
+const formatter = {
+  format: (stats) => stats.symbol,
+  formatEscalation: (escalation) => escalation.symbol,
+  formatMarketAlert: (snapshot) => snapshot.regime
+};
+
+class StubChannel extends StdoutNotifier {
+  constructor(name, route, startError = null) {
+    super({ name, route, formatter });
+    this.startError = startError;
+    this.received = [];
+  }
+
+  async start() {
+    if (this.startError) throw this.startError;
+  }
+
+  async deliver(type, text) {
+    this.received.push(`${type}:${text}`);
+  }
+}
+
+const alert = (symbol, dominantSide, profile = null) => ({
+  symbol,
+  dominantSide,
+  profile,
+  totalVolumeUSD: 2_000_000
+});
+
+function quiet(fn) {
+  return async () => {
+    const { log, error, warn } = console;
+    console.log = () => {};
+    console.error = () => {};
+    console.warn = () => {};
+    try {
+      await fn();
+    } finally {
+      Object.assign(console, { log, error, warn });
+    }
+  };
+}
+
+test('канали отримують лише свої сторони, тіри і типи', async () => {
+  const all = new StubChannel('all');
+  const shorts = new StubChannel('shorts', { sides: ['SHORT'] });
+  const majors = new StubChannel('majors', { profiles: ['majors'] });
+  const statusOnly = new StubChannel('status', { types: ['status'] });
+  const notifier = new CompositeNotifier([all, shorts, majors, statusOnly]);
+
+  await notifier.sendAlert(alert('AUSDT', 'LONG', 'majors'));
+  await notifier.sendAlert(alert('BUSDT', 'SHORT'));
+  await notifier.sendEscalation({ symbol: 'CUSDT', side: 'SHORT', profile: 'majors', cumulativeUSD: 3_000_000 });
+  await notifier.sendMarketAlert({ regime: 'LONG_FLUSH', dominantSide: 'LONG', totalVolumeUSD: 20_000_000 });
+  await notifier.sendStatus('ok');
+
+  assert.deepStrictEqual(all.received, ['alert:AUSDT', 'alert:BUSDT', 'escalation:CUSDT', 'market:LONG_FLUSH', 'status:ok']);
+  assert.deepStrictEqual(shorts.received, ['alert:BUSDT', 'escalation:CUSDT', 'status:ok']);
+  // Ринковий алерт не має тіру - канал з profiles його отримує
+  assert.deepStrictEqual(majors.received, ['alert:AUSDT', 'escalation:CUSDT', 'market:LONG_FLUSH', 'status:ok']);
+  assert.deepStrictEqual(statusOnly.received, ['status:ok']);
+});
+
+test('sendAlert звітує отримувачів по каналах', async () => {
+  const longs = new StubChannel('longs', { sides: ['LONG'] });
+  const shorts = new StubChannel('shorts', { sides: ['SHORT'] });
+  const notifier = new CompositeNotifier([longs, shorts]);
+
+  const delivery = await notifier.sendAlert(alert('AUSDT', 'LONG'));
+  assert.deepStrictEqual(delivery.delivered, ['longs']);
+  assert.deepStrictEqual(notifier.getAlertRecipients(alert('AUSDT', 'SHORT')).eligible, ['shorts']);
+});
+
+test('недоступний при старті канал не зупиняє інші і лишається в розсилці', quiet(async () => {
+  const ok = new StubChannel('ok');
+  const broken = new StubChannel('broken', null, new Error('ECONNREFUSED'));
+  const notifier = new CompositeNotifier([broken, ok]);
+
+  assert.deepStrictEqual(await notifier.start(), ['ok']);
+
+  await notifier.sendStatus('після старту');
+  assert.deepStrictEqual(ok.received, ['status:після старту']);
+  assert.deepStrictEqual(broken.received, ['status:після старту']);
+}));
+
+test('помилка відправки в один канал не блокує інші', quiet(async () => {
+  const ok = new StubChannel('ok');
+  const broken = new StubChannel('broken');
+  broken.deliver = async () => { throw new Error('timeout'); };
+  const notifier = new CompositeNotifier([broken, ok]);
+
+  const delivery = await notifier.sendAlert(alert('AUSDT', 'LONG'));
+  assert.deepStrictEqual(delivery.delivered, ['ok']);
+  assert.deepStrictEqual(delivery.failed, ['broken']);
+  assert.strictEqual(notifier.errorCount, 1);
+}));
+
+test('некоректна маршрутизація в конфігурації каналів', () => {
+  assert.deepStrictEqual(validateChannels({
+    channels: [
+      { type: 'discord', url: 'https://discord.com/api/webhooks/1', route: { sides: ['UP'] } },
+      { type: 'slack', route: { profiles: 'majors' } }
+    ]
+  }), [
+    'channels[0].route.sides: невідома сторона "UP"',
+    'channels[1]: потрібен url',
+    'channels[1].route.profiles: очікується масив'
+  ]);
+});
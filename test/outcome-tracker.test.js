@@ -0,0 +1,82 @@
+// Алерти в очікуванні горизонтів переживають рестарт; MFE/MAE по mark price
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const { OutcomeTracker } = require('../outcome-tracker');
+
+test('горизонти, що минули за час простою, невідомі; решта рахується після рестарту', () => {
+  const clock = { time: 1_000_000, now() { return this.time; } };
+  const tracker = new OutcomeTracker({ horizonsMin: [5, 60], clock });
+  tracker.track({
+    symbol: 'XUSDT',
+    dominantSide: 'LONG',
+    longVolumeUSD: 2_000_000,
+    shortVolumeUSD: 0,
+    dominance: 100,
+    priceChange: { newPrice: 100 }
+  }, 1_000_000);
+  tracker.onPrice('XUSDT', 103, clock.time + 1000);
+
+  clock.time += 60_000;
+  const state = JSON.parse(JSON.stringify(tracker.exportState()));
+
+  // Рестарт через 10 хв: горизонт 5m закінчився під час простою
+  clock.time += 10 * 60_000;
+  const restored = new OutcomeTracker({ horizonsMin: [5, 60], clock });
+  restored.importState(state);
+  assert.strictEqual(restored.pending.size, 1);
+  assert.strictEqual(restored.nextId, 2);
+
+  restored.onPrice('XUSDT', 105, clock.time);
+  clock.time += 60 * 60_000;
+  restored.persist = (record) => { restored.persisted = record; };
+  restored.checkHorizons();
+
+  assert.strictEqual(restored.pending.size, 0);
+  assert.strictEqual(restored.persisted.horizons[5], null);
+  assert.ok(Math.abs(restored.persisted.horizons[60].returnPct - 5) < 1e-9);
+});
+
+test('щоденний звіт вимкнено за замовчуванням', () => {
+  const tracker = new OutcomeTracker({ filePath: path.join(os.tmpdir(), 'outcomes-test.jsonl') });
+  const log = console.log;
+  console.log = () => {};
+  try {
+    tracker.start({ sendStatus: async () => {} });
+    assert.strictEqual(tracker.reportInterval, null);
+  } finally {
+    tracker.stop();
+    console.log = log;
+  }
+});
+
+test('поки mark price свіжий, ціни ліквідацій не рахуються в MFE/MAE', () => {
+  const clock = { time: 1_000_000, now() { return this.time; } };
+  const tracker = new OutcomeTracker({ horizonsMin: [5], clock, markTtlMs: 30_000 });
+  tracker.track({
+    symbol: 'XUSDT',
+    dominantSide: 'LONG',
+    longVolumeUSD: 2_000_000,
+    shortVolumeUSD: 0,
+    dominance: 100,
+    priceChange: { newPrice: 100 }
+  }, 1_000_000);
+
+  tracker.onPrice('XUSDT', 101, clock.time + 1000, 'mark');
+  // Ліквідація по викиду ціни - ігнорується
+  tracker.onPrice('XUSDT', 90, clock.time + 2000);
+  tracker.onPrice('XUSDT', 102, clock.time + 10_000, 'mark');
+  // Mark price зупинився - знову рахуємо ціни ліквідацій
+  tracker.onPrice('XUSDT', 99, clock.time + 60_000);
+
+  clock.time += 5 * 60_000;
+  tracker.persist = (record) => { tracker.persisted = record; };
+  tracker.checkHorizons();
+
+  const result = tracker.persisted.horizons[5];
+  assert.ok(Math.abs(result.mfePct - 2) < 1e-9);
+  assert.ok(Math.abs(result.maePct + 1) < 1e-9);
+  assert.ok(Math.abs(result.returnPct + 1) < 1e-9);
+});
@@ -0,0 +1,31 @@
+// Джерело ціни: mark price, поки він свіжий, інакше ціни ліквідацій
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { PriceTracker } = require('../index');
+
+test('ціни ліквідацій ігноруються лише поки mark price свіжий', () => {
+  const clock = { time: 1_000_000, now() { return this.time; } };
+  const tracker = new PriceTracker(60, clock, 30_000);
+
+  tracker.addPrice('BTCUSDT', 100, clock.time, 'mark');
+  clock.time += 1000;
+  tracker.addPrice('BTCUSDT', 90, clock.time);
+  assert.strictEqual(tracker.getLatestPrice('BTCUSDT'), 100);
+  assert.ok(tracker.hasMarkPrice('BTCUSDT'));
+
+  // Стрім mark price зупинився
+  clock.time += 30_000;
+  tracker.addPrice('BTCUSDT', 95, clock.time);
+  clock.time += 1000;
+  tracker.addPrice('BTCUSDT', 96, clock.time);
+  assert.ok(!tracker.hasMarkPrice('BTCUSDT'));
+  const change = tracker.getPriceChange('BTCUSDT');
+  assert.strictEqual(change.source, 'fill');
+  assert.strictEqual(change.oldPrice, 95);
+
+  // Стрім відновився - знову mark price без змішування з fill
+  tracker.addPrice('BTCUSDT', 101, clock.time, 'mark');
+  assert.strictEqual(tracker.getPriceChange('BTCUSDT'), null);
+  assert.strictEqual(tracker.getLatestPrice('BTCUSDT'), 101);
+});
@@ -0,0 +1,29 @@
+// Історія об'єму ліквідацій для z-score переживає рестарт
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { LiquidationBaseline } = require('../relative-volume');
+
+test('історія корзин зберігається і відновлюється без нулів за простій', () => {
+  const baseline = new LiquidationBaseline(60_000, 10);
+  for (let i = 0; i < 4; i++) {
+    baseline.observe('BTCUSDT', 1000 * (i + 1), i * 60_000);
+  }
+
+  const state = JSON.parse(JSON.stringify(baseline.exportState()));
+  assert.deepStrictEqual(state.symbols.BTCUSDT, [1000, 2000, 3000]);
+
+  const restored = new LiquidationBaseline(60_000, 10);
+  restored.importState(state);
+  assert.strictEqual(restored.getZScore('BTCUSDT', 2000, 3).mean, 2000);
+
+  // Година простою між збереженням і першою подією
+  restored.observe('BTCUSDT', 500, 3600_000);
+  restored.observe('BTCUSDT', 500, 3660_000);
+  assert.deepStrictEqual(restored.symbols.get('BTCUSDT').history, [1000, 2000, 3000, 500]);
+
+  // Інший розмір корзини - історія не підходить
+  const resized = new LiquidationBaseline(180_000, 10);
+  resized.importState(state);
+  assert.strictEqual(resized.symbols.size, 0);
+});
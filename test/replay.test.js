@@ -0,0 +1,72 @@
+// Replay записаного потоку на симульованому годиннику
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runReplay, SimulatedClock } = require('../replay');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+after(() => fs.rmSync(dir, { recursive: true }));
+
+const START = 1_700_000_000_000;
+
+/**
+ * Каскад LONG ліквідацій: 60 подій по $30K за 2 хв, ціна 100 -> 94.1
+ */
+function writeCascade() {
+  const lines = [];
+  for (let i = 0; i < 60; i++) {
+    const time = START + i * 2000;
+    const price = (100 - i * 0.1).toFixed(1);
+    lines.push(JSON.stringify({ e: 'forceOrder', E: time, o: { s: 'XUSDT', S: 'SELL', p: price, q: '300', T: time } }));
+  }
+  // Пізня подія іншого символу - годинник доходить до кінця запису
+  lines.push(JSON.stringify({ e: 'forceOrder', E: START + 3600_000, o: { s: 'YUSDT', S: 'BUY', p: '1', q: '1', T: START + 3600_000 } }));
+
+  const filePath = path.join(dir, 'cascade.jsonl');
+  fs.writeFileSync(filePath, lines.join('\n') + '\n');
+  return filePath;
+}
+
+function quiet(fn) {
+  return async () => {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      await fn();
+    } finally {
+      console.log = log;
+    }
+  };
+}
+
+test('час алерту - час подій із запису, а не годинник машини', quiet(async () => {
+  const file = writeCascade();
+  const result = await runReplay({ file, overrides: {} });
+
+  assert.strictEqual(result.eventCount, 61);
+  assert.strictEqual(result.alerts.length, 1);
+
+  const [alert] = result.alerts;
+  assert.strictEqual(alert.symbol, 'XUSDT');
+  assert.strictEqual(alert.dominantSide, 'LONG');
+  assert.ok(alert.firedAt > START && alert.firedAt <= START + 120_000);
+
+  // Повторний прогін дає той самий результат
+  const again = await runReplay({ file, overrides: {} });
+  assert.deepStrictEqual(again.alerts.map(a => a.firedAt), [alert.firedAt]);
+}));
+
+test('--set перекриває пороги з env', quiet(async () => {
+  const result = await runReplay({ file: writeCascade(), overrides: { MIN_LIQUIDATION_USD: 5_000_000 } });
+  assert.strictEqual(result.alerts.length, 0);
+}));
+
+test('симульований годинник не йде назад', () => {
+  const clock = new SimulatedClock(1000);
+  clock.set(5000);
+  clock.set(3000);
+  assert.strictEqual(clock.now(), 5000);
+});
@@ -0,0 +1,64 @@
+// Валідація дерева умов, пояснення невдалого not і прогрес до порогу об'єму
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { RuleEngine, validateStrategies } = require('../rule-engine');
+const { formatFailedRules, getVolumeProgress } = require('../filter-verdict');
+
+test('вузол з all і any одночасно відхиляється при завантаженні', () => {
+  const { errors } = validateStrategies({
+    strategies: [{
+      name: 'mixed',
+      when: {
+        all: [{ field: 'count', op: '>=', value: 5 }],
+        any: [{ field: 'dominance', op: '>=', value: 70 }]
+      }
+    }]
+  });
+
+  assert.deepStrictEqual(errors, ['strategies[0].when: вузол має бути одним з all / any / not / умова, знайдено all + any']);
+});
+
+test('невдалий not описується як not(<умова>)', () => {
+  const engine = new RuleEngine();
+  const { strategies, errors } = validateStrategies({
+    strategies: [{
+      name: 'quiet',
+      when: { all: [{ field: 'dominance', op: '>=', value: 70 }, { not: { field: 'count', op: '>=', value: 20 } }] }
+    }]
+  });
+  assert.deepStrictEqual(errors, []);
+  engine.strategies = strategies;
+
+  const [failed] = engine.evaluate({ symbol: 'XUSDT', dominance: 80, count: 25 }, {});
+  assert.strictEqual(failed.pass, false);
+  assert.strictEqual(formatFailedRules(failed), 'not(count 25.00>=20.00)');
+
+  const [passed] = engine.evaluate({ symbol: 'XUSDT', dominance: 80, count: 5 }, {});
+  assert.strictEqual(passed.pass, true);
+});
+
+test('прогрес до порогу об\'єму береться з правила об\'єму, а не з першого', () => {
+  const engine = new RuleEngine();
+  const { strategies } = validateStrategies({
+    strategies: [
+      {
+        name: 'dominance-first',
+        when: { all: [
+          { field: 'dominance', op: '>=', value: 60 },
+          { field: 'absPriceChangePercent', op: '<=', value: 5 },
+          { field: 'totalVolumeUSD', op: '>=', value: { threshold: 'MIN_LIQUIDATION_USD' } }
+        ] }
+      },
+      { name: 'count-only', when: { field: 'count', op: '>=', value: 2 } }
+    ]
+  });
+  engine.strategies = strategies;
+
+  const [withVolume, withoutVolume] = engine.evaluate(
+    { symbol: 'XUSDT', dominance: 90, count: 10, totalVolumeUSD: 250_000, priceChange: { changePercent: -1 } },
+    { MIN_LIQUIDATION_USD: 1_000_000 }
+  );
+  assert.strictEqual(getVolumeProgress(withVolume), 0.25);
+  assert.strictEqual(getVolumeProgress(withoutVolume), 0);
+});
@@ -0,0 +1,33 @@
+// Поріг об'єму в USD, що діяв для алерту, в кожному режимі детектора
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SignalDetector } = require('../index');
+
+const stats = (relative) => ({ symbol: 'PEPEUSDT', totalVolumeUSD: 600_000, relative });
+
+test('у відносних режимах поріг перераховується в USD, а не береться MIN_LIQUIDATION_USD', () => {
+  const detector = new SignalDetector({
+    MIN_LIQUIDATION_USD: 1_000_000,
+    MIN_VOLUME_RATIO_PERCENT: 1,
+    MIN_OI_RATIO_PERCENT: 2,
+    MIN_ZSCORE: 4,
+    MIN_RELATIVE_USD: 50_000
+  });
+
+  detector.mode = 'absolute';
+  assert.strictEqual(detector.getVolumeThresholdUSD(stats({})), 1_000_000);
+
+  detector.mode = 'volume_ratio';
+  assert.strictEqual(detector.getVolumeThresholdUSD(stats({ volume24h: 40_000_000 })), 400_000);
+
+  detector.mode = 'oi_ratio';
+  assert.strictEqual(detector.getVolumeThresholdUSD(stats({ openInterestUSD: 20_000_000 })), 400_000);
+
+  // mean 100K, z = 5 -> std 100K, поріг 100K + 4 * 100K
+  detector.mode = 'zscore';
+  assert.strictEqual(detector.getVolumeThresholdUSD(stats({ zScore: 5, baselineMeanUSD: 100_000 })), 500_000);
+
+  // Немає даних для перерахунку - абсолютний мінімум відносних режимів
+  assert.strictEqual(detector.getVolumeThresholdUSD(stats(null)), 50_000);
+});
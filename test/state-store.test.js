@@ -0,0 +1,101 @@
+// Збереження і відновлення cooldown, дедуплікації і вікон між рестартами
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StateStore } = require('../state-store');
+const { CooldownManager, LiquidationAggregator, PriceTracker } = require('../index');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-'));
+after(() => fs.rmSync(dir, { recursive: true }));
+
+function createBot(clock) {
+  const priceTracker = new PriceTracker(60, clock);
+  return {
+    cooldownManager: new CooldownManager(30, 30, clock),
+    aggregator: new LiquidationAggregator(60, priceTracker, clock),
+    priceTracker
+  };
+}
+
+/**
+ * Збереження у файл, рестарт через downtimeMs і відновлення в нових екземплярах
+ */
+function restart(bot, clock, filePath, downtimeMs) {
+  new StateStore(filePath).save({
+    cooldown: bot.cooldownManager.exportState(),
+    aggregator: bot.aggregator.exportState()
+  });
+
+  clock.time += downtimeMs;
+  const restored = createBot(clock);
+  const state = new StateStore(filePath).load();
+  restored.cooldownManager.importState(state.cooldown);
+  restored.aggregator.importState(state.aggregator);
+  return restored;
+}
+
+const event = (side, volumeUSD, timestamp) => ({ side, price: 100, quantity: volumeUSD / 100, volumeUSD, timestamp });
+
+test('вікна і cooldown переживають рестарт', () => {
+  const clock = { time: 10_000_000, now() { return this.time; } };
+  const bot = createBot(clock);
+
+  bot.aggregator.addLiquidation('BTCUSDT', event('LONG', 600_000, clock.time - 10_000));
+  bot.aggregator.addLiquidation('BTCUSDT', event('LONG', 400_000, clock.time));
+  bot.cooldownManager.recordAlert('ETHUSDT', 'sig-eth');
+  bot.cooldownManager.mute('SOLUSDT', 60 * 60_000);
+
+  const restored = restart(bot, clock, path.join(dir, 'restart.json'), 5_000);
+
+  const stats = restored.aggregator.getWindowStats('BTCUSDT');
+  assert.strictEqual(stats.totalVolumeUSD, 1_000_000);
+  assert.strictEqual(stats.count, 2);
+  assert.strictEqual(restored.priceTracker.prices.get('BTCUSDT').length, 2);
+  assert.ok(!restored.cooldownManager.canAlert('ETHUSDT', {}, 'sig-other'));
+  assert.ok(!restored.cooldownManager.canAlert('XRPUSDT', {}, 'sig-eth'));
+  assert.ok(restored.cooldownManager.isMuted('SOLUSDT'));
+  assert.ok(restored.cooldownManager.canAlert('XRPUSDT', {}, 'sig-xrp'));
+});
+
+test('прострочені cooldown, дедуплікація і ліквідації відкидаються', () => {
+  const clock = { time: 10_000_000, now() { return this.time; } };
+  const bot = createBot(clock);
+
+  bot.cooldownManager.recordAlert('ETHUSDT', 'sig-old');
+  clock.time += 29.5 * 60_000;
+  bot.cooldownManager.recordAlert('BNBUSDT', 'sig-new');
+  bot.aggregator.addLiquidation('BTCUSDT', event('LONG', 500_000, clock.time - 50_000));
+  bot.aggregator.addLiquidation('BTCUSDT', event('SHORT', 200_000, clock.time));
+  bot.aggregator.addLiquidation('DOGEUSDT', event('LONG', 100_000, clock.time - 55_000));
+
+  const restored = restart(bot, clock, path.join(dir, 'expired.json'), 40_000);
+  const { cooldownManager, aggregator } = restored;
+
+  // cooldown ETH (30 хв) закінчився під час простою, BNB - ще діє
+  assert.deepStrictEqual([...cooldownManager.cooldowns.keys()], ['BNBUSDT']);
+  // Вікно дедуплікації 30с минуло для обох сигнатур
+  assert.strictEqual(cooldownManager.recentAlerts.size, 0);
+
+  assert.deepStrictEqual(aggregator.getAllActiveSymbols(), ['BTCUSDT']);
+  assert.strictEqual(aggregator.windows.get('BTCUSDT').liquidations.length, 1);
+  assert.strictEqual(aggregator.getWindowStats('BTCUSDT').totalVolumeUSD, 200_000);
+});
+
+test('стан з іншою версією ігнорується', () => {
+  const filePath = path.join(dir, 'version.json');
+  fs.writeFileSync(filePath, JSON.stringify({ version: 99, savedAt: Date.now(), cooldown: { cooldowns: { BTCUSDT: Date.now() } } }));
+  const error = console.error;
+  const messages = [];
+  console.error = (message) => messages.push(message);
+
+  try {
+    assert.strictEqual(new StateStore(filePath).load(), null);
+  } finally {
+    console.error = error;
+  }
+  assert.match(messages[0], /Несумісна версія стану \(99\)/);
+  assert.strictEqual(new StateStore(path.join(dir, 'missing.json')).load(), null);
+});
@@ -0,0 +1,100 @@
+// Зіставлення контрактів з монетами: множники, колізії тікерів, override, невідомі символи
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SymbolResolver } = require('../symbol-resolver');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'resolver-'));
+after(() => fs.rmSync(dir, { recursive: true }));
+
+const TOKENS = [
+  { id: 'bitcoin', ticker: 'BTC', mcap: 1e12 },
+  { id: 'pepe', ticker: 'PEPE', mcap: 4e9 },
+  { id: 'shiba-inu', ticker: 'SHIB', mcap: 8e9 },
+  { id: 'bonk', ticker: 'BONK', mcap: 1e9 },
+  { id: 'neiro-fake', ticker: 'NEIRO', mcap: 5e6 },
+  { id: 'neiro-3', ticker: 'NEIRO', mcap: 3e8 },
+  { id: 'neiro-small', ticker: 'NEIRO', mcap: 1e6 },
+];
+
+test('контракти з префіксами-множниками і різними форматами символу', () => {
+  const resolver = new SymbolResolver();
+  resolver.build(TOKENS);
+
+  const cases = [
+    ['BTCUSDT', { id: 'bitcoin', ticker: 'BTC', multiplier: 1 }],
+    ['BTC_USDT', { id: 'bitcoin', ticker: 'BTC', multiplier: 1 }],
+    ['btc-usdc', { id: 'bitcoin', ticker: 'BTC', multiplier: 1 }],
+    ['1000PEPEUSDT', { id: 'pepe', ticker: 'PEPE', multiplier: 1000 }],
+    ['1000000PEPEUSDT', { id: 'pepe', ticker: 'PEPE', multiplier: 1_000_000 }],
+    ['1MPEPEUSDT', { id: 'pepe', ticker: 'PEPE', multiplier: 1_000_000 }],
+    ['1KSHIBUSDT', { id: 'shiba-inu', ticker: 'SHIB', multiplier: 1000 }],
+    ['10000BONKUSDT', { id: 'bonk', ticker: 'BONK', multiplier: 10_000 }],
+    ['1000USDT', null],
+    ['USDT', null],
+    ['DOGEUSDT', null],
+  ];
+
+  for (const [symbol, expected] of cases) {
+    assert.deepStrictEqual(resolver.resolve(symbol), expected, symbol);
+  }
+});
+
+test('колізію тікера виграє монета з найбільшим MCAP', () => {
+  const resolver = new SymbolResolver();
+  resolver.build(TOKENS);
+
+  assert.strictEqual(resolver.collisions, 2);
+  assert.strictEqual(resolver.resolve('NEIROUSDT').id, 'neiro-3');
+
+  // Порядок у списку не важливий
+  resolver.build([...TOKENS].reverse());
+  assert.strictEqual(resolver.resolve('NEIROUSDT').id, 'neiro-3');
+});
+
+test('override з файлу і з опцій', () => {
+  const overridesFile = path.join(dir, 'overrides.json');
+  fs.writeFileSync(overridesFile, JSON.stringify({
+    NEIROUSDT: { id: 'neiro-small', multiplier: 1 },
+    '1000BONKUSDT': 'bonk',
+    'BROCCOLIUSDT': { id: 'broccoli-bnb', multiplier: 10 }
+  }));
+  const log = console.log;
+  console.log = () => {};
+
+  let resolver;
+  try {
+    resolver = new SymbolResolver({ overridesFile, overrides: { '1000BONKUSDT': 'bonk-wrapped' } });
+  } finally {
+    console.log = log;
+  }
+  resolver.build(TOKENS);
+
+  assert.deepStrictEqual(resolver.resolve('NEIRO_USDT'), { id: 'neiro-small', ticker: 'NEIRO', multiplier: 1 });
+  assert.deepStrictEqual(resolver.resolve('1000BONKUSDT'), { id: 'bonk-wrapped', ticker: '1000BONK', multiplier: 1 });
+  // Монети override немає в індексі - тікер з символу
+  assert.deepStrictEqual(resolver.resolve('BROCCOLIUSDT'), { id: 'broccoli-bnb', ticker: 'BROCCOLI', multiplier: 10 });
+});
+
+test('звіт невідомих символів за кількістю звернень; зникають після появи монети', () => {
+  const resolver = new SymbolResolver();
+  resolver.build(TOKENS);
+
+  resolver.resolve('DOGEUSDT');
+  resolver.resolve('WIFUSDT');
+  resolver.resolve('WIFUSDT');
+  resolver.resolve('1000CATUSDT', { track: false });
+  resolver.resolve('BTCUSDT');
+
+  assert.deepStrictEqual(resolver.getUnmatchedReport(), [
+    { symbol: 'WIFUSDT', count: 2 },
+    { symbol: 'DOGEUSDT', count: 1 }
+  ]);
+
+  resolver.build([...TOKENS, { id: 'dogwifcoin', ticker: 'WIF', mcap: 2e9 }]);
+  assert.deepStrictEqual(resolver.getUnmatchedReport(), [{ symbol: 'DOGEUSDT', count: 1 }]);
+  assert.strictEqual(resolver.resolve('WIFUSDT').id, 'dogwifcoin');
+});
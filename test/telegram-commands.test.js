@@ -0,0 +1,86 @@
+// /set: діапазони і узгодженість порогів; /thresholds з тірами; /top лише читає вікна
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { TelegramCommandHandler } = require('../telegram-commands');
+const { SignalDetector, CooldownManager, LiquidationAggregator, PriceTracker } = require('../index');
+const { ThresholdProfiles } = require('../threshold-profiles');
+
+function createHandler() {
+  const detector = new SignalDetector({ MIN_PRICE_CHANGE_PERCENT: 0.5, MAX_PRICE_CHANGE_PERCENT: 10 });
+  const handler = new TelegramCommandHandler({}, ['1'], { detector, cooldownManager: new CooldownManager(30, 60) });
+  return { handler, detector };
+}
+
+test('/set відхиляє значення поза діапазоном і нечислові', () => {
+  const { handler, detector } = createHandler();
+
+  assert.throws(() => handler.cmdSet(['min_liquidation_usd', '-5']), /допустимо >= 0/);
+  assert.throws(() => handler.cmdSet(['min_dominance', '120']), /допустимо 0-100/);
+  assert.throws(() => handler.cmdSet(['min_dominance', '70abc']), /Некоректне значення/);
+  assert.throws(() => handler.cmdSet(['min_dominance']), /Некоректне значення/);
+
+  handler.cmdSet(['min_dominance', '70']);
+  assert.strictEqual(detector.thresholds.MIN_DOMINANCE, 70);
+});
+
+test('/set не вимикає cooldown і дедуплікацію нулем', () => {
+  const { handler } = createHandler();
+  const log = console.log;
+  console.log = () => {};
+
+  try {
+    assert.throws(() => handler.cmdSet(['cooldown_minutes', '0']), /допустимо >= 1/);
+    assert.throws(() => handler.cmdSet(['dedup_window_sec', '0']), /допустимо >= 1/);
+
+    handler.cmdSet(['cooldown_minutes', '5']);
+    assert.strictEqual(handler.ctx.cooldownManager.cooldownMs, 5 * 60_000);
+  } finally {
+    console.log = log;
+  }
+});
+
+test('/set не дозволяє мін. зміну ціни більшу за макс.', () => {
+  const { handler, detector } = createHandler();
+  const log = console.log;
+  console.log = () => {};
+
+  try {
+    assert.throws(() => handler.cmdSet(['min_price_change', '12']), /не може бути більшим за max_price_change/);
+    assert.throws(() => handler.cmdSet(['max_price_change', '0.2']), /не може бути меншим за min_price_change/);
+
+    handler.cmdSet(['max_price_change', '15']);
+    handler.cmdSet(['min_price_change', '12']);
+    assert.strictEqual(detector.thresholds.MIN_PRICE_CHANGE_PERCENT, 12);
+  } finally {
+    console.log = log;
+  }
+});
+
+test('/thresholds показує перекриття порогів по тірах', () => {
+  const { handler, detector } = createHandler();
+  detector.setProfiles(new ThresholdProfiles({
+    tiers: [
+      { name: 'majors', symbols: ['SOLUSDT'], thresholds: { MIN_LIQUIDATION_USD: 3_000_000 } },
+      { name: 'small', maxMcap: 30_000_000, thresholds: { MIN_DOMINANCE: 75 }, cooldownMinutes: 30, windowSec: 120 }
+    ]
+  }));
+
+  const lines = handler.cmdThresholds().split('\n');
+  assert.ok(lines.includes('🏷️ majors (SOLUSDT): MIN_LIQUIDATION_USD=3000000'));
+  assert.ok(lines.includes('🏷️ small (MCAP 0M-30M): MIN_DOMINANCE=75, cooldown 30 хв, вікно 120с'));
+});
+
+test('/top не зсуває і не чистить вікна агрегатора', () => {
+  const clock = { time: 1_000_000, now() { return this.time; } };
+  const aggregator = new LiquidationAggregator(60, new PriceTracker(60, clock), clock);
+  const handler = new TelegramCommandHandler({}, ['1'], { aggregator });
+  const event = (side, timestamp) => ({ side, price: 1, quantity: 1000, volumeUSD: 1000, timestamp });
+
+  aggregator.addLiquidation('BTCUSDT', event('LONG', clock.time - 50_000));
+  aggregator.addLiquidation('BTCUSDT', event('LONG', clock.time));
+  clock.time += 20_000;
+
+  assert.match(handler.cmdTop([]), /1\. BTCUSDT 🔴 \$0\.00M \(100%, 1 шт\)/);
+  assert.strictEqual(aggregator.windows.get('BTCUSDT').liquidations.length, 2);
+});
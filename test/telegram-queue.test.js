@@ -0,0 +1,63 @@
+// Ліміти черги Telegram: 429 на весь бот і зупинка
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { TelegramDeliveryQueue } = require('../telegram-queue');
+
+function floodError(retryAfterSec) {
+  const error = new Error('ETELEGRAM: 429 Too Many Requests');
+  error.response = { body: { error_code: 429, parameters: { retry_after: retryAfterSec } } };
+  return error;
+}
+
+test('429 retry_after зупиняє відправку в усі чати', async () => {
+  const sentAt = {};
+  let flooded = false;
+  const bot = {
+    sendMessage: async (chatId) => {
+      if (!flooded) {
+        flooded = true;
+        throw floodError(1);
+      }
+      sentAt[chatId] = Date.now();
+      return { message_id: 1 };
+    }
+  };
+  const queue = new TelegramDeliveryQueue(bot, { globalPerSec: 1000 });
+  const consoleWarn = console.warn;
+  console.warn = () => {};
+
+  try {
+    const started = Date.now();
+    const first = queue.send(1, 'a');
+    // Другий чат стає в чергу, поки перший чекає retry_after
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await Promise.all([first, queue.send(2, 'b')]);
+
+    assert.ok(sentAt[2] - started >= 950, `чат 2 відправлено через ${sentAt[2] - started}мс`);
+    assert.strictEqual(queue.retryCount, 1);
+  } finally {
+    console.warn = consoleWarn;
+    queue.stop();
+  }
+});
+
+test('stop під час відправки не перезапускає таймер', async () => {
+  let release;
+  const bot = {
+    sendMessage: () => new Promise(resolve => { release = () => resolve({ message_id: 1 }); })
+  };
+  const queue = new TelegramDeliveryQueue(bot);
+
+  const first = queue.send(1, 'a');
+  const second = queue.send(1, 'b').catch(error => error);
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  queue.stop();
+  release();
+  await first;
+
+  assert.strictEqual(queue.timer, null);
+  assert.strictEqual((await second).message, 'Черга зупинена');
+  await assert.rejects(queue.send(1, 'c'), /Черга зупинена/);
+});
@@ -0,0 +1,87 @@
+// Тіри порогів: вибір тіру, валідація і застосування в детекторі, cooldown і агрегаторі
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ThresholdProfiles } = require('../threshold-profiles');
+const { SignalDetector, CooldownManager, LiquidationAggregator, PriceTracker } = require('../index');
+
+const MCAP = { SMALLUSDT: 20_000_000, MIDUSDT: 200_000_000 };
+const tokenFilter = {
+  getTokenMetadata: (symbol) => MCAP[symbol] ? { mcap: MCAP[symbol] } : undefined
+};
+
+function createProfiles() {
+  return new ThresholdProfiles({
+    tokenFilter,
+    tiers: [
+      { name: 'small', maxMcap: 30_000_000, thresholds: { MIN_LIQUIDATION_USD: 300_000 }, cooldownMinutes: 5, windowSec: 120 },
+      { name: 'majors', symbols: ['smallusdt', 'BTCUSDT'], thresholds: { MIN_LIQUIDATION_USD: 3_000_000 } },
+      { name: 'mid', minMcap: 30_000_000, thresholds: { MIN_DOMINANCE: 80 } }
+    ]
+  });
+}
+
+test('явний список символів перевіряється раніше за MCAP', () => {
+  const profiles = createProfiles();
+
+  assert.strictEqual(profiles.resolve('SMALLUSDT').name, 'majors');
+  assert.strictEqual(profiles.resolve('BTCUSDT').name, 'majors');
+  assert.strictEqual(profiles.resolve('MIDUSDT').name, 'mid');
+  // Немає MCAP - діють значення з env
+  assert.strictEqual(profiles.resolve('NEWUSDT'), null);
+  assert.strictEqual(profiles.getMaxWindowMs(60_000), 120_000);
+});
+
+test('некоректні тіри і пороги відкидаються з повідомленням', () => {
+  const error = console.error;
+  const messages = [];
+  console.error = (message) => messages.push(message);
+
+  let profiles;
+  try {
+    profiles = new ThresholdProfiles({
+      tiers: [
+        { name: 'empty', thresholds: { MIN_DOMINANCE: 70 } },
+        { name: 'typo', symbols: ['XUSDT'], thresholds: { MIN_LIQUIDATOIN_USD: 1, MIN_DOMINANCE: '70' } }
+      ]
+    });
+  } finally {
+    console.error = error;
+  }
+
+  assert.deepStrictEqual(profiles.tiers.map(tier => tier.name), ['typo']);
+  assert.deepStrictEqual(profiles.tiers[0].thresholds, {});
+  assert.deepStrictEqual(messages, [
+    '[PROFILES] empty: потрібні symbols або minMcap/maxMcap',
+    '[PROFILES] typo: невідомий або некоректний поріг MIN_LIQUIDATOIN_USD',
+    '[PROFILES] typo: невідомий або некоректний поріг MIN_DOMINANCE'
+  ]);
+});
+
+test('пороги, cooldown і вікно тіру перекривають значення з env', () => {
+  const profiles = new ThresholdProfiles({
+    tiers: [{ name: 'small', symbols: ['XUSDT'], thresholds: { MIN_LIQUIDATION_USD: 300_000 }, cooldownMinutes: 5, windowSec: 120 }]
+  });
+  const clock = { time: 1_000_000, now() { return this.time; } };
+
+  const detector = new SignalDetector({ MIN_LIQUIDATION_USD: 1_000_000, MIN_DOMINANCE: 65 });
+  detector.setProfiles(profiles);
+  assert.deepStrictEqual(
+    [detector.getThresholds('XUSDT').MIN_LIQUIDATION_USD, detector.getThresholds('XUSDT').MIN_DOMINANCE],
+    [300_000, 65]
+  );
+  assert.strictEqual(detector.getThresholds('YUSDT').MIN_LIQUIDATION_USD, 1_000_000);
+
+  const cooldownManager = new CooldownManager(30, 60, clock);
+  cooldownManager.setProfiles(profiles);
+  cooldownManager.recordAlert('XUSDT', 'sig-x');
+  cooldownManager.recordAlert('YUSDT', 'sig-y');
+  clock.time += 6 * 60_000;
+  assert.ok(cooldownManager.canAlert('XUSDT', {}, 'sig-x2'));
+  assert.ok(!cooldownManager.canAlert('YUSDT', {}, 'sig-y2'));
+
+  const aggregator = new LiquidationAggregator(60, new PriceTracker(60, clock), clock);
+  aggregator.setProfiles(profiles);
+  assert.strictEqual(aggregator.getWindowMs('XUSDT'), 120_000);
+  assert.strictEqual(aggregator.getWindowMs('YUSDT'), 60_000);
+});
@@ -0,0 +1,53 @@
+// Фільтр токенів за діапазонами MCAP і 24h Volume
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TokenFilter } = require('../token-filter');
+const { StaticFileProvider } = require('../market-data-providers');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'filter-'));
+after(() => fs.rmSync(dir, { recursive: true }));
+
+const CONFIG = {
+  MIN_MCAP_USD: 10_000_000,
+  MAX_MCAP_USD: 500_000_000,
+  MIN_VOLUME_24H: 1_000_000,
+  MAX_VOLUME_24H: 200_000_000
+};
+
+test('токен проходить лише в межах обох діапазонів, відмови рахуються по кожному критерію', async () => {
+  const filePath = path.join(dir, 'tokens.json');
+  fs.writeFileSync(filePath, JSON.stringify([
+    { symbol: 'OKUSDT', mcap: 100_000_000, volume24h: 20_000_000 },
+    { symbol: 'EDGEUSDT', mcap: 10_000_000, volume24h: 200_000_000 },
+    { symbol: 'THINUSDT', mcap: 100_000_000, volume24h: 500_000 },
+    { symbol: 'HOTUSDT', mcap: 100_000_000, volume24h: 900_000_000 },
+    { symbol: 'BIGUSDT', mcap: 5_000_000_000, volume24h: 20_000_000 },
+    { symbol: 'DEADUSDT', mcap: 1_000_000, volume24h: 10_000 },
+    { ticker: 'NOVOL', mcap: 100_000_000 }
+  ]));
+  const snapshotStore = { save: async () => {}, load: async () => null };
+  const filter = new TokenFilter(CONFIG, { providers: [new StaticFileProvider({ filePath })], snapshotStore });
+  const log = console.log;
+  console.log = () => {};
+
+  try {
+    await filter.updateValidTokens();
+  } finally {
+    console.log = log;
+  }
+
+  assert.deepStrictEqual(filter.getValidTokens().sort(), ['EDGEUSDT', 'OKUSDT']);
+  assert.ok(filter.isValid('OKUSDT'));
+  assert.ok(!filter.isValid('THINUSDT'));
+
+  const stats = filter.getStats();
+  // DEAD відхилено за обома критеріями, NOVOL - без об'єму
+  assert.deepStrictEqual(stats.rejections, { mcap: 2, volume: 4 });
+  assert.strictEqual(stats.config.mcapRange, '$10.0M - $500.0M');
+  assert.strictEqual(stats.config.volumeRange, '$1.0M - $200.0M');
+  assert.strictEqual(stats.dataSource.provider, 'static');
+});
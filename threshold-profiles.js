@@ -0,0 +1,129 @@
+// ============================================================================
+// THRESHOLD PROFILES
+// Окремі пороги, cooldown і вікно агрегації для тірів монет
+// (за MCAP з TokenFilter або явним списком символів)
+//
+// Формат файлу:
+// {
+//   "tiers": [
+//     { "name": "majors", "symbols": ["SOLUSDT"], "thresholds": { "MIN_LIQUIDATION_USD": 3000000 } },
+//     { "name": "small", "maxMcap": 30000000, "thresholds": { "MIN_LIQUIDATION_USD": 300000 },
+//       "cooldownMinutes": 30, "windowSec": 120 }
+//   ]
+// }
+// Перший тір, що підходить, перемагає; явні списки символів перевіряються першими
+// ============================================================================
+
+const fs = require('fs');
+
+const THRESHOLD_KEYS = [
+  'MIN_LIQUIDATION_USD',
+  'MIN_DOMINANCE',
+  'MIN_PRICE_CHANGE_PERCENT',
+  'MAX_PRICE_CHANGE_PERCENT',
+  'MIN_VOLUME_RATIO_PERCENT',
+  'MIN_OI_RATIO_PERCENT',
+  'MIN_ZSCORE',
+  'MIN_RELATIVE_USD',
+];
+
+class ThresholdProfiles {
+  constructor(options = {}) {
+    this.tokenFilter = options.tokenFilter || null;
+    this.tiers = [];
+
+    if (options.filePath) {
+      this.load(options.filePath);
+    } else if (options.tiers) {
+      this.tiers = this.validate(options.tiers);
+    }
+  }
+
+  load(filePath) {
+    try {
+      const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      this.tiers = this.validate(raw.tiers || []);
+      console.log(`[PROFILES] ✅ Завантажено ${this.tiers.length} тірів з ${filePath}`);
+    } catch (error) {
+      console.error(`[PROFILES] Помилка читання ${filePath}:`, error.message);
+      this.tiers = [];
+    }
+  }
+
+  /**
+   * Некоректні тіри відкидаються з повідомленням, а не валять старт
+   */
+  validate(tiers) {
+    const valid = [];
+
+    tiers.forEach((tier, i) => {
+      const name = tier.name || `tier${i + 1}`;
+      const hasSymbols = Array.isArray(tier.symbols) && tier.symbols.length > 0;
+      const hasMcap = tier.minMcap !== undefined || tier.maxMcap !== undefined;
+
+      if (!hasSymbols && !hasMcap) {
+        console.error(`[PROFILES] ${name}: потрібні symbols або minMcap/maxMcap`);
+        return;
+      }
+
+      const thresholds = {};
+      for (const [key, value] of Object.entries(tier.thresholds || {})) {
+        if (!THRESHOLD_KEYS.includes(key) || !Number.isFinite(value)) {
+          console.error(`[PROFILES] ${name}: невідомий або некоректний поріг ${key}`);
+          continue;
+        }
+        thresholds[key] = value;
+      }
+
+      valid.push({
+        name,
+        symbols: hasSymbols ? new Set(tier.symbols.map(s => s.toUpperCase())) : null,
+        minMcap: tier.minMcap !== undefined ? tier.minMcap : 0,
+        maxMcap: tier.maxMcap !== undefined ? tier.maxMcap : Infinity,
+        thresholds,
+        cooldownMs: tier.cooldownMinutes > 0 ? tier.cooldownMinutes * 60 * 1000 : null,
+        windowMs: tier.windowSec > 0 ? tier.windowSec * 1000 : null
+      });
+    });
+
+    return valid;
+  }
+
+  /**
+   * Тір для символу або null (тоді діють значення з env)
+   */
+  resolve(symbol) {
+    if (this.tiers.length === 0) return null;
+
+    const bySymbol = this.tiers.find(tier => tier.symbols && tier.symbols.has(symbol));
+    if (bySymbol) return bySymbol;
+
+    const metadata = this.tokenFilter ? this.tokenFilter.getTokenMetadata(symbol) : null;
+    if (!metadata) return null;
+
+    return this.tiers.find(tier =>
+      !tier.symbols && metadata.mcap >= tier.minMcap && metadata.mcap < tier.maxMcap
+    ) || null;
+  }
+
+  getMaxWindowMs(defaultMs) {
+    return Math.max(defaultMs, ...this.tiers.map(tier => tier.windowMs || 0));
+  }
+
+  /**
+   * Опис тіру для /thresholds: хто в нього входить і що перекрито
+   */
+  describe(tier) {
+    const mcap = (value) => value === Infinity ? '∞' : `${(value / 1e6).toFixed(0)}M`;
+    const members = tier.symbols
+      ? [...tier.symbols].join(', ')
+      : `MCAP ${mcap(tier.minMcap)}-${mcap(tier.maxMcap)}`;
+    const overrides = Object.entries(tier.thresholds).map(([key, value]) => `${key}=${value}`);
+    if (tier.cooldownMs) overrides.push(`cooldown ${tier.cooldownMs / 60000} хв`);
+    if (tier.windowMs) overrides.push(`вікно ${tier.windowMs / 1000}с`);
+
+    return `🏷️ ${tier.name} (${members}): ${overrides.join(', ') || 'без змін'}`;
+  }
+}
+
+module.exports = { ThresholdProfiles, THRESHOLD_KEYS };
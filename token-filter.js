@@ -1,18 +1,25 @@
 // ============================================================================
 // TOKEN FILTER MODULE
-// Фільтрація токенів за Market Cap
+// Фільтрація токенів за Market Cap + 24h Volume
 // Альтернативний метод БЕЗ Binance API (для обходу HTTP 451)
 // ============================================================================
 
-const https = require('https');
+const { createProviders, TokenSnapshotStore } = require('./market-data-providers');
+const { SymbolResolver } = require('./symbol-resolver');
 
 class TokenFilter {
-  constructor(config) {
+  constructor(config, options = {}) {
     this.config = config;
-    this.validTokens = new Set();
-    this.tokenMetadata = new Map();
+    this.validTokens = new Set(); // CoinGecko id валідних монет
+    this.tokenMetadata = new Map(); // id -> { id, ticker, mcap, volume24h, lastUpdate }
     this.updateInterval = null;
     this.isInitialized = false;
+    this.lastRejections = { mcap: 0, volume: 0 };
+    this.providers = options.providers || createProviders(config.PROVIDERS || ['coingecko'], config);
+    this.snapshotStore = options.snapshotStore || new TokenSnapshotStore(config.SNAPSHOT_FILE);
+    this.dataSource = null; // { provider, fetchedAt, fromSnapshot }
+    this.watchlist = new Set(config.WATCHLIST || []); // завжди валідні символи
+    this.resolver = options.resolver || new SymbolResolver({ overridesFile: config.SYMBOL_OVERRIDES_FILE });
   }
 
   async initialize() {
@@ -36,25 +43,44 @@ class TokenFilter {
     try {
       const startTime = Date.now();
       
-      // Отримуємо токени з CoinGecko (вони мають інфу про futures)
-      console.log('[FILTER] Отримання токенів та їх Market Cap з CoinGecko...');
-      const tokensWithMcap = await this.fetchTokensFromCoinGecko();
+      const tokensWithMcap = await this.fetchTokens();
+
+      if (!tokensWithMcap) {
+        console.error(`[FILTER] ⚠️ Немає ринкових даних, залишаємо ${this.validTokens.size} токенів`);
+        return { added: [], removed: [], total: this.validTokens.size };
+      }
       
       console.log(`[FILTER] Отримано ${tokensWithMcap.length} токенів з MCAP даними`);
 
+      // Індекс тікерів будуємо по всіх монетах, а не лише валідних,
+      // щоб колізія з дрібною монетою не підмінила справжній контракт
+      this.resolver.build(tokensWithMcap);
+
       // Фільтруємо за діапазоном MCAP
       const oldTokens = new Set(this.validTokens);
       const newValidTokens = new Set();
       const newMetadata = new Map();
 
       let inRange = 0;
+      const rejections = { mcap: 0, volume: 0 };
+
+      for (const { id, ticker, mcap, volume24h } of tokensWithMcap) {
+        const mcapOk = this.isValidMarketCap(mcap);
+        const volumeOk = this.isValidVolume(volume24h);
+
+        // Рахуємо відмову по кожному критерію окремо
+        if (!mcapOk) rejections.mcap++;
+        if (!volumeOk) rejections.volume++;
+
+        if (mcapOk) inRange++;
 
-      for (const { symbol, mcap } of tokensWithMcap) {
-        if (this.isValidMarketCap(mcap)) {
-          inRange++;
-          newValidTokens.add(symbol);
-          newMetadata.set(symbol, {
+        if (mcapOk && volumeOk) {
+          newValidTokens.add(id);
+          newMetadata.set(id, {
+            id,
+            ticker,
             mcap,
+            volume24h,
             lastUpdate: Date.now()
           });
         }
@@ -62,6 +88,7 @@ class TokenFilter {
 
       this.validTokens = newValidTokens;
       this.tokenMetadata = newMetadata;
+      this.lastRejections = rejections;
 
       const added = [...newValidTokens].filter(t => !oldTokens.has(t));
       const removed = [...oldTokens].filter(t => !newValidTokens.has(t));
@@ -71,7 +98,10 @@ class TokenFilter {
       console.log('[FILTER] ═══════════════════════════════════════');
       console.log('[FILTER] Оновлення завершено:');
       console.log(`  • Всього токенів: ${tokensWithMcap.length}`);
+      console.log(`  • Колізій тікерів: ${this.resolver.collisions}`);
       console.log(`  • В діапазоні MCAP: ${inRange}`);
+      console.log(`  • Відхилено по MCAP: ${rejections.mcap}`);
+      console.log(`  • Відхилено по 24h Volume: ${rejections.volume}`);
       console.log(`  • Валідних токенів: ${this.validTokens.size}`);
       console.log(`  • Додано: ${added.length}`);
       console.log(`  • Видалено: ${removed.length}`);
@@ -90,6 +120,8 @@ class TokenFilter {
         console.log(`[FILTER] Видалені: ${removed.slice(0, 10).join(', ')}... (+${removed.length - 10})`);
       }
 
+      this.logUnmatched();
+
       return { added, removed, total: this.validTokens.size };
 
     } catch (error) {
@@ -99,123 +131,126 @@ class TokenFilter {
   }
 
   /**
-   * Отримання токенів з CoinGecko (обходимо Binance API)
+   * Отримання токенів: провайдери по черзі, потім знімок з диску
+   * Повертає null, якщо даних немає взагалі
    */
-  async fetchTokensFromCoinGecko() {
-    try {
-      const tokens = [];
-      const perPage = 250;
-      
-      // Отримуємо достатньо сторінок
-      for (let page = 1; page <= 5; page++) {
+  async fetchTokens() {
+    for (const provider of this.providers) {
+      try {
+        console.log(`[FILTER] Отримання токенів та їх Market Cap (${provider.name})...`);
+        const tokens = await provider.fetchTokens();
+
+        if (tokens.length === 0) {
+          console.error(`[FILTER] ${provider.name}: порожня відповідь`);
+          continue;
+        }
+
+        this.dataSource = { provider: provider.name, fetchedAt: Date.now(), fromSnapshot: false };
+
         try {
-          const url = `https://api.coingecko.com/api/v3/coins/markets?vs_currency=usd&order=market_cap_desc&per_page=${perPage}&page=${page}&sparkline=false`;
-          const data = await this.httpsGet(url);
-
-          if (!Array.isArray(data)) {
-            console.error(`[FILTER] Некоректний формат (сторінка ${page})`);
-            continue;
-          }
-
-          for (const coin of data) {
-            if (coin.symbol && coin.market_cap) {
-              // Конвертуємо в формат Binance USDT
-              const symbol = coin.symbol.toUpperCase() + 'USDT';
-              tokens.push({
-                symbol,
-                mcap: coin.market_cap
-              });
-            }
-          }
-
-          console.log(`[FILTER] CoinGecko сторінка ${page}: ${data.length} монет (всього: ${tokens.length})`);
-          
-          // Rate limit
-          if (page < 5) {
-            await this.sleep(1300);
-          }
-          
+          await this.snapshotStore.save(provider.name, tokens);
         } catch (error) {
-          console.error(`[FILTER] Помилка сторінки ${page}:`, error.message);
+          console.error('[FILTER] Помилка збереження знімку:', error.message);
         }
-      }
 
-      return tokens;
+        return tokens;
 
-    } catch (error) {
-      console.error('[FILTER] Помилка отримання токенів:', error.message);
-      return [];
+      } catch (error) {
+        console.error(`[FILTER] ${provider.name}: помилка -`, error.message);
+      }
     }
-  }
 
-  /**
-   * HTTPS GET запит
-   */
-  httpsGet(url, timeout = 15000) {
-    return new Promise((resolve, reject) => {
-      const req = https.get(url, {
-        headers: { 
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-          'Accept': 'application/json'
-        },
-        timeout: timeout
-      }, (res) => {
-        let data = '';
-        
-        res.on('data', chunk => data += chunk);
-        
-        res.on('end', () => {
-          if (res.statusCode === 429) {
-            reject(new Error('Rate limit exceeded'));
-            return;
-          }
-          
-          if (res.statusCode !== 200) {
-            reject(new Error(`HTTP ${res.statusCode}`));
-            return;
-          }
-          
-          try {
-            resolve(JSON.parse(data));
-          } catch (error) {
-            reject(new Error('Помилка парсингу JSON'));
-          }
-        });
-      });
-
-      req.on('error', reject);
-      req.on('timeout', () => {
-        req.destroy();
-        reject(new Error('Request timeout'));
-      });
-    });
-  }
-
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    // Знімок потрібен лише коли в пам'яті нічого немає (старт)
+    if (this.validTokens.size > 0) return null;
+
+    const snapshot = await this.snapshotStore.load();
+    if (!snapshot) return null;
+
+    const ageHours = (Date.now() - snapshot.savedAt) / 3600000;
+    console.log(`[FILTER] 💾 Використовуємо знімок з диску (${snapshot.provider}, ${ageHours.toFixed(1)} год тому)`);
+    this.dataSource = { provider: snapshot.provider, fetchedAt: snapshot.savedAt, fromSnapshot: true };
+
+    return snapshot.tokens;
   }
 
   isValidMarketCap(mcap) {
     return mcap >= this.config.MIN_MCAP_USD && mcap <= this.config.MAX_MCAP_USD;
   }
 
+  isValidVolume(volume24h) {
+    return volume24h >= this.config.MIN_VOLUME_24H && volume24h <= this.config.MAX_VOLUME_24H;
+  }
+
+  /**
+   * Перевірка ф'ючерсного контракту (BTCUSDT, 1000PEPEUSDT)
+   */
   isValid(symbol) {
-    return this.validTokens.has(symbol);
+    if (this.watchlist.has(symbol)) return true;
+
+    const coin = this.resolver.resolve(symbol);
+    return coin !== null && this.validTokens.has(coin.id);
   }
 
+  /**
+   * Канонічні символи (TICKERUSDT) валідних монет
+   * Монети, що програли колізію тікера, не мають свого контракту
+   */
   getValidTokens() {
-    return Array.from(this.validTokens);
+    const symbols = [];
+    for (const id of this.validTokens) {
+      const { ticker } = this.tokenMetadata.get(id);
+      const coin = this.resolver.tickerIndex.get(ticker);
+      if (coin && coin.id === id) {
+        symbols.push(`${ticker}USDT`);
+      }
+    }
+    return symbols;
   }
 
   getTokenMetadata(symbol) {
-    return this.tokenMetadata.get(symbol);
+    const coin = this.resolver.resolve(symbol, { track: false });
+    if (!coin) return undefined;
+
+    const metadata = this.tokenMetadata.get(coin.id);
+    if (!metadata) return undefined;
+
+    return { ...metadata, multiplier: coin.multiplier };
+  }
+
+  addToWatchlist(symbol) {
+    this.watchlist.add(symbol);
+  }
+
+  removeFromWatchlist(symbol) {
+    return this.watchlist.delete(symbol);
+  }
+
+  getWatchlist() {
+    return [...this.watchlist];
+  }
+
+  getUnmatchedSymbols() {
+    return this.resolver.getUnmatchedReport();
+  }
+
+  logUnmatched() {
+    const unmatched = this.getUnmatchedSymbols();
+    if (unmatched.length === 0) return;
+
+    const list = unmatched.slice(0, 20).map(u => u.symbol).join(', ');
+    const more = unmatched.length > 20 ? `... (+${unmatched.length - 20})` : '';
+    console.log(`[FILTER] Контракти без монети (${unmatched.length}): ${list}${more}`);
   }
 
   getStats() {
     return {
       total: this.validTokens.size,
+      rejections: { ...this.lastRejections },
+      unmatched: this.resolver.unmatched.size,
+      dataSource: this.dataSource,
       config: {
-        mcapRange: `$${this.formatNumber(this.config.MIN_MCAP_USD)} - $${this.formatNumber(this.config.MAX_MCAP_USD)}`
+        mcapRange: `$${this.formatNumber(this.config.MIN_MCAP_USD)} - $${this.formatNumber(this.config.MAX_MCAP_USD)}`,
+        volumeRange: `$${this.formatNumber(this.config.MIN_VOLUME_24H)} - $${this.formatNumber(this.config.MAX_VOLUME_24H)}`
       }
     };
   }